@@ -0,0 +1,44 @@
+const dotenv = require('dotenv');
+const { createFakeCaptcha } = require('../services/captcha/fakeCaptcha');
+const { createSiteverifyCaptcha } = require('../services/captcha/siteverifyCaptcha');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * CAPTCHA verifier for public forms, selected with CAPTCHA_PROVIDER:
+ *   none (default)                - no CAPTCHA
+ *   fake                          - accepts only CAPTCHA_FAKE_TOKEN (default "test-pass"), for tests
+ *   recaptcha, hcaptcha, turnstile - CAPTCHA_SITE_KEY and CAPTCHA_SECRET, CAPTCHA_VERIFY_URL to
+ *                                   override the provider's endpoint
+ * Verifiers share one interface: { name, siteKey, verify(token, { ip }) } resolving to
+ * { success, error }; verify rejects when the provider can't be reached.
+ */
+const createCaptcha = (env = process.env) => {
+  const provider = (env.CAPTCHA_PROVIDER || 'none').toLowerCase();
+
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'fake':
+      return createFakeCaptcha({ passToken: env.CAPTCHA_FAKE_TOKEN });
+    case 'recaptcha':
+    case 'hcaptcha':
+    case 'turnstile':
+      return createSiteverifyCaptcha({
+        provider,
+        siteKey: env.CAPTCHA_SITE_KEY,
+        secret: env.CAPTCHA_SECRET,
+        verifyUrl: env.CAPTCHA_VERIFY_URL
+      });
+    default:
+      throw new Error(`Unknown CAPTCHA_PROVIDER: ${provider}`);
+  }
+};
+
+const captcha = createCaptcha();
+
+module.exports = {
+  captcha,
+  createCaptcha
+};
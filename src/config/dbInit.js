@@ -1,6 +1,8 @@
 const { sequelize } = require('./database');
 const { seedDatabase } = require('./seedData');
-const models = require('../models');
+const { createSearchExtensions, dropSearchTrigger, setupSearchIndex } = require('./searchIndex');
+const { User } = require('../models');
+const { moveQuoteAttachmentsToPrivateStorage } = require('../services/quoteService');
 
 /**
  * Initialize the database by syncing models and seeding data
@@ -9,10 +11,40 @@ const initializeDatabase = async () => {
   try {
     console.log('Initializing database...');
     
+    // Extensions used by model indexes have to exist before syncing
+    await createSearchExtensions();
+    
+    // The search trigger blocks altering the columns it watches; it is recreated below
+    await dropSearchTrigger();
+    
+    // Quote attachments used to be public files referenced by url; keep the URL as storage_key
+    // until the file is moved to private storage below
+    await sequelize.query(
+      `DO $$ BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'quote_attachments' AND column_name = 'url') THEN
+          ALTER TABLE quote_attachments RENAME COLUMN url TO storage_key;
+        END IF;
+      END $$`
+    );
+    
     // Sync all models with the database
     await sequelize.sync({ alter: true });
     console.log('Database synchronized successfully!');
     
+    // Keep the product full-text search index up to date
+    await setupSearchIndex();
+    
+    // Specifications used to be seeded as JSON text; store them as objects so they can be filtered
+    await sequelize.query(
+      `UPDATE products SET specifications = (specifications #>> '{}')::jsonb
+        WHERE jsonb_typeof(specifications) = 'string' AND specifications #>> '{}' LIKE '{%'`
+    );
+    
+    await moveQuoteAttachmentsToPrivateStorage();
+    
+    // Admins created before the role column existed default to 'customer'
+    await User.update({ role: 'admin' }, { where: { is_admin: true, role: 'customer' } });
+    
     // Seed the database with initial data
     await seedDatabase();
     
@@ -0,0 +1,51 @@
+const path = require('path');
+const dotenv = require('dotenv');
+const { createLogTransport } = require('../services/mail/logTransport');
+const { createSmtpTransport } = require('../services/mail/smtpTransport');
+const { createFileTransport } = require('../services/mail/fileTransport');
+
+// Load environment variables
+dotenv.config();
+
+// Sender of outgoing mail
+const MAIL_FROM = process.env.MAIL_FROM || 'SKMEI Watch <no-reply@example.com>';
+
+/**
+ * Transport for outgoing mail, selected with MAIL_TRANSPORT:
+ *   log (default) - messages are written to the console, nothing is delivered
+ *   file          - messages are saved as .eml files in MAIL_FILE_DIR (default tmp/mail)
+ *   smtp          - SMTP_HOST, SMTP_PORT, SMTP_SECURE=true for implicit TLS,
+ *                   SMTP_USER and SMTP_PASSWORD
+ * Transports share one interface: send({ from, to, replyTo, subject, text, html, inReplyTo, references })
+ * resolves to { messageId }.
+ */
+const createMailTransport = (env = process.env) => {
+  const driver = (env.MAIL_TRANSPORT || 'log').toLowerCase();
+
+  switch (driver) {
+    case 'log':
+      return createLogTransport();
+    case 'file':
+      return createFileTransport({
+        dir: env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mail')
+      });
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT ? parseInt(env.SMTP_PORT) : undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${driver}`);
+  }
+};
+
+const mailTransport = createMailTransport();
+
+module.exports = {
+  MAIL_FROM,
+  mailTransport,
+  createMailTransport
+};
@@ -0,0 +1,55 @@
+const { sequelize } = require('./database');
+
+/**
+ * Enable the PostgreSQL extensions used by product search.
+ * Must run before models are synced, since the trigram indexes depend on pg_trgm.
+ */
+const createSearchExtensions = async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+};
+
+/**
+ * Drop the search trigger before models are synced: PostgreSQL can't alter the type of
+ * the columns it is defined on. setupSearchIndex creates it again after the sync.
+ */
+const dropSearchTrigger = async () => {
+  await sequelize.query('DROP TRIGGER IF EXISTS products_search_vector_trigger ON products');
+};
+
+/**
+ * Create the trigger that keeps products.search_vector up to date and fill it for
+ * existing rows. Weights: A = model number and name, B = features and
+ * specifications (keys and values), C = description.
+ */
+const setupSearchIndex = async () => {
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector :=
+        setweight(to_tsvector('simple', coalesce(NEW.model_number, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(NEW.features, '')), 'B') ||
+        setweight(jsonb_to_tsvector('english', coalesce(NEW.specifications, '{}'::jsonb), '["key", "string", "numeric"]'), 'B') ||
+        setweight(to_tsvector('english', coalesce(NEW.description, '')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `);
+
+  await dropSearchTrigger();
+  await sequelize.query(`
+    CREATE TRIGGER products_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF name, model_number, description, features, specifications
+    ON products
+    FOR EACH ROW EXECUTE FUNCTION products_search_vector_update()
+  `);
+
+  // Index products created before the trigger existed
+  await sequelize.query('UPDATE products SET name = name WHERE search_vector IS NULL');
+};
+
+module.exports = {
+  createSearchExtensions,
+  dropSearchTrigger,
+  setupSearchIndex
+};
@@ -1,4 +1,4 @@
-const { User, Category, Product, ProductImage } = require('../models');
+const { User, Category, Product, ProductImage, Collection } = require('../models');
 
 /**
  * Seed the database with initial data
@@ -90,7 +90,7 @@ const seedDatabase = async () => {
           category_id: categoryMap['digital-watch'],
           description: 'The SKMEI 1894 Digital Watch combines modern technology with sleek design. This versatile timepiece features a clear digital display, comfortable strap, and multiple functions to meet your everyday needs.',
           features: 'Digital display with backlight\nWater resistant up to 30m\nChronograph functionality\nDate and day display\nAlarm function\nComfortable silicone strap\nLong battery life',
-          specifications: JSON.stringify({
+          specifications: {
             'Case Material': 'ABS Plastic',
             'Band Material': 'Silicone',
             'Case Diameter': '42mm',
@@ -98,7 +98,7 @@ const seedDatabase = async () => {
             'Water Resistance': '30m',
             'Movement': 'Digital',
             'Battery': 'CR2025'
-          })
+          }
         },
         {
           name: 'Quartz Watch 1961',
@@ -107,7 +107,7 @@ const seedDatabase = async () => {
           category_id: categoryMap['quartz-watch'],
           description: 'The SKMEI 1961 Quartz Watch offers timeless elegance with reliable performance. Featuring a classic design with modern touches, this watch is perfect for both casual and formal occasions.',
           features: 'Analog display with precise quartz movement\nStainless steel case\nWater resistant up to 30m\nDate display\nDurable mineral glass\nAdjustable stainless steel bracelet\nLong battery life',
-          specifications: JSON.stringify({
+          specifications: {
             'Case Material': 'Stainless Steel',
             'Band Material': 'Stainless Steel',
             'Case Diameter': '40mm',
@@ -115,7 +115,7 @@ const seedDatabase = async () => {
             'Water Resistance': '30m',
             'Movement': 'Quartz',
             'Battery': 'SR626SW'
-          })
+          }
         },
         {
           name: 'Lady Watch 9222',
@@ -124,7 +124,7 @@ const seedDatabase = async () => {
           category_id: categoryMap['lady-watch'],
           description: 'The SKMEI 9222 Lady Watch combines elegance and functionality in a stylish package. Designed specifically for women, this watch features a slim profile, beautiful detailing, and reliable performance.',
           features: 'Elegant analog display\nSlim stainless steel case\nWater resistant up to 30m\nPrecise quartz movement\nScratch-resistant mineral glass\nAdjustable stainless steel bracelet\nLong battery life',
-          specifications: JSON.stringify({
+          specifications: {
             'Case Material': 'Stainless Steel',
             'Band Material': 'Stainless Steel',
             'Case Diameter': '32mm',
@@ -132,7 +132,7 @@ const seedDatabase = async () => {
             'Water Resistance': '30m',
             'Movement': 'Quartz',
             'Battery': 'SR626SW'
-          })
+          }
         }
       ];
       
@@ -149,6 +149,38 @@ const seedDatabase = async () => {
       }
     }
     
+    // Create the default collections if none exist
+    const collectionCount = await Collection.count();
+    if (collectionCount === 0) {
+      console.log('Creating collections...');
+      await Collection.bulkCreate([
+        {
+          name: 'Featured',
+          slug: 'featured',
+          description: 'Hand-picked products',
+          type: 'manual'
+        },
+        {
+          name: 'New Arrivals',
+          slug: 'new-arrivals',
+          description: 'Products added in the last 30 days',
+          type: 'rule',
+          rules: { added_within_days: 30 },
+          sort: 'newest',
+          product_limit: 12
+        },
+        {
+          name: 'Bestsellers',
+          slug: 'bestsellers',
+          description: 'Our best-selling products',
+          type: 'rule',
+          rules: {},
+          sort: 'bestselling',
+          product_limit: 12
+        }
+      ]);
+    }
+    
     console.log('Database seeding completed successfully!');
   } catch (error) {
     console.error('Error seeding database:', error);
@@ -0,0 +1,72 @@
+const path = require('path');
+const dotenv = require('dotenv');
+const { createLocalStorage } = require('../services/storage/localStorage');
+const { createS3Storage } = require('../services/storage/s3Storage');
+
+// Load environment variables
+dotenv.config();
+
+// Key prefixes of the files the app writes: media uploads, and quote attachments stored
+// publicly before they moved to private storage. Anything else below public/ (images,
+// css, ...) belongs to the site and is never deleted.
+const MANAGED_PREFIXES = ['uploads/', 'quote-attachments/'];
+
+// Key prefixes of private files, which are only served by the app after an access check
+const PRIVATE_PREFIXES = ['quote-attachments/'];
+
+/**
+ * Storage backend for uploaded files, selected with STORAGE_DRIVER:
+ *   local (default) - files in public/, served by express.static
+ *   s3              - S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *                     S3_PUBLIC_URL (bucket or CDN URL) and S3_ACL; S3_ENDPOINT with
+ *                     S3_FORCE_PATH_STYLE=true for MinIO and other S3-compatible services
+ * With isPrivate, the backend for files that must not be publicly reachable: local keeps
+ * them in storage/ (LOCAL_PRIVATE_STORAGE_DIR), s3 in S3_PRIVATE_BUCKET without S3_ACL.
+ * The private bucket is required and must not be the public one, whose bucket policy
+ * may make every object readable.
+ */
+const createStorage = (env = process.env, { isPrivate = false } = {}) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return isPrivate
+        ? createLocalStorage({
+          root: env.LOCAL_PRIVATE_STORAGE_DIR || path.join(__dirname, '../../storage'),
+          prefixes: PRIVATE_PREFIXES
+        })
+        : createLocalStorage({
+          root: path.join(__dirname, '../../public'),
+          baseUrl: env.LOCAL_STORAGE_URL || '',
+          prefixes: MANAGED_PREFIXES
+        });
+    case 's3': {
+      const options = {
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY
+      };
+      if (!isPrivate) {
+        return createS3Storage({ ...options, publicUrl: env.S3_PUBLIC_URL, acl: env.S3_ACL });
+      }
+      if (!env.S3_PRIVATE_BUCKET || env.S3_PRIVATE_BUCKET === env.S3_BUCKET) {
+        throw new Error('STORAGE_DRIVER=s3 needs an S3_PRIVATE_BUCKET other than S3_BUCKET for private files');
+      }
+      return createS3Storage({ ...options, bucket: env.S3_PRIVATE_BUCKET, cacheControl: 'private, no-cache' });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+const privateStorage = createStorage(process.env, { isPrivate: true });
+
+module.exports = {
+  storage,
+  privateStorage,
+  createStorage
+};
@@ -24,6 +24,25 @@ const auth = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to read the JWT token when present, without requiring it
+ */
+const optionalAuth = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = decoded.user;
+    } catch (err) {
+      // Treat an invalid token the same as no token
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
 /**
  * Middleware to check if user is admin
  */
@@ -35,5 +54,5 @@ const admin = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, admin };
+module.exports = { auth, optionalAuth, admin };
 
@@ -0,0 +1,13 @@
+const { resolveLocale } = require('../services/translationService');
+
+/**
+ * Middleware to pick the content locale from ?lang= or Accept-Language
+ */
+const locale = (req, res, next) => {
+  req.locale = resolveLocale(req);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { locale };
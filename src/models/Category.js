@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { generateUniqueSlug } = require('../services/slugService');
+const { buildSrcset } = require('../services/imageService');
 
 const Category = sequelize.define('Category', {
   id: {
@@ -22,21 +24,75 @@ const Category = sequelize.define('Category', {
       notEmpty: true
     }
   },
+  // Parent category; null for top-level categories
+  parent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'RESTRICT'
+  },
+  // Position among the categories with the same parent
+  display_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   description: {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Media library entry of the category image
+  media_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'media',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   image_url: {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // Processed sizes of the category image, same layout as ProductImage.sizes
+  image_sizes: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  image_srcset: {
+    type: DataTypes.VIRTUAL(DataTypes.JSONB, ['image_sizes']),
+    get() {
+      return buildSrcset(this.getDataValue('image_sizes'));
+    }
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   }
 }, {
   tableName: 'categories',
-  timestamps: false
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['parent_id', 'display_order']
+    }
+  ],
+  hooks: {
+    // Categories created without a slug get one generated from their name
+    beforeValidate: async (category, options) => {
+      if (!category.slug && category.name) {
+        category.slug = await generateUniqueSlug('Category', category.name, {
+          excludeId: category.id,
+          fallback: 'category',
+          transaction: options.transaction
+        });
+      }
+    }
+  }
 });
 
 module.exports = Category;
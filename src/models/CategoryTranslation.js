@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Category content in a locale other than the default; empty fields fall back to the category columns
+const CategoryTranslation = sequelize.define('CategoryTranslation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'category_translations',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['category_id', 'locale']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (translation) => {
+      translation.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = CategoryTranslation;
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { generateUniqueSlug } = require('../services/slugService');
+
+// Merchandising collection: a hand-picked product list (manual) or products matching rules (rule)
+const Collection = sequelize.define('Collection', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  slug: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('manual', 'rule'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  // Conditions of rule collections, e.g. { "category": "digital-watch", "max_price": 30, "added_within_days": 30 }
+  rules: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Product order of rule collections (manual collections keep their own order)
+  sort: {
+    type: DataTypes.ENUM('newest', 'price-asc', 'price-desc', 'name-asc', 'bestselling'),
+    allowNull: false,
+    defaultValue: 'newest'
+  },
+  // Maximum number of products shown, null for all
+  product_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Optional schedule, the collection is only public between these dates
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ends_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'collections',
+  timestamps: false,
+  validate: {
+    scheduleOrder() {
+      if (this.starts_at && this.ends_at && new Date(this.ends_at) <= new Date(this.starts_at)) {
+        throw new Error('ends_at must be after starts_at');
+      }
+    }
+  },
+  hooks: {
+    // Collections created without a slug get one generated from their name
+    beforeValidate: async (collection, options) => {
+      if (!collection.slug && collection.name) {
+        collection.slug = await generateUniqueSlug('Collection', collection.name, {
+          excludeId: collection.id,
+          fallback: 'collection',
+          transaction: options.transaction
+        });
+      }
+    },
+    beforeUpdate: (collection) => {
+      collection.updated_at = new Date();
+    }
+  }
+});
+
+// Instance method to check whether the collection is public at a point in time
+Collection.prototype.isLive = function(date = new Date()) {
+  return this.is_active &&
+    (!this.starts_at || new Date(this.starts_at) <= date) &&
+    (!this.ends_at || new Date(this.ends_at) > date);
+};
+
+module.exports = Collection;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Product of a manual collection, at its position in the collection
+const CollectionProduct = sequelize.define('CollectionProduct', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  collection_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'collections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'collection_products',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['collection_id', 'product_id']
+    }
+  ]
+});
+
+module.exports = CollectionProduct;
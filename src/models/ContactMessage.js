@@ -1,6 +1,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Workflow of an inquiry, from arrival until it is closed; suspected spam is held as quarantined
+const CONTACT_STATUSES = ['new', 'in-progress', 'replied', 'closed', 'quarantined'];
+
 const ContactMessage = sequelize.define('ContactMessage', {
   id: {
     type: DataTypes.INTEGER,
@@ -25,6 +28,11 @@ const ContactMessage = sequelize.define('ContactMessage', {
     type: DataTypes.STRING(50),
     allowNull: true
   },
+  // Optional for messages received before subjects were stored
+  subject: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
   message: {
     type: DataTypes.TEXT,
     allowNull: false,
@@ -32,18 +40,67 @@ const ContactMessage = sequelize.define('ContactMessage', {
       notEmpty: true
     }
   },
+  status: {
+    type: DataTypes.ENUM(...CONTACT_STATUSES),
+    allowNull: false,
+    defaultValue: 'new'
+  },
+  // Admin user handling the inquiry
+  assigned_to: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Locale the sender used, for the acknowledgement email
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  // Sender's IP address, used for rate limiting
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  // Spam score when the message was received, with the checks that added to it
+  spam_score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  spam_reasons: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
   },
-  is_read: {
-    type: DataTypes.BOOLEAN,
-    defaultValue: false
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
   }
 }, {
   tableName: 'contact_messages',
-  timestamps: false
+  timestamps: false,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['assigned_to'] },
+    { fields: ['ip_address', 'created_at'] },
+    { fields: ['email', 'created_at'] }
+  ],
+  hooks: {
+    beforeUpdate: (message) => {
+      message.updated_at = new Date();
+    }
+  }
 });
 
+ContactMessage.STATUSES = CONTACT_STATUSES;
+
 module.exports = ContactMessage;
 
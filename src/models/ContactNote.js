@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Internal note on a contact message, only visible to admins
+const ContactNote = sequelize.define('ContactNote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  message_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'contact_messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'contact_notes',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['message_id']
+    }
+  ]
+});
+
+module.exports = ContactNote;
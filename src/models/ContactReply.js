@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Reply emailed to the sender of a contact message. Replies are kept in order
+ * as the message's thread. They are sent through the email outbox; status follows
+ * the delivery of the outbox email.
+ */
+const ContactReply = sequelize.define('ContactReply', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  message_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'contact_messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  email_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'email_outbox',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  to_email: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  // Message-ID assigned by the mail transport, used to thread later replies
+  mail_message_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'contact_replies',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['message_id']
+    },
+    {
+      fields: ['email_id']
+    }
+  ]
+});
+
+module.exports = ContactReply;
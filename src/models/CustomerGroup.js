@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Group of customers, such as distributors or resellers, buying at a shared price list
+const CustomerGroup = sequelize.define('CustomerGroup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  price_list_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'price_lists',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'customer_groups',
+  timestamps: false,
+  hooks: {
+    beforeUpdate: (group) => {
+      group.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = CustomerGroup;
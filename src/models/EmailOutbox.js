@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Email waiting to be delivered. Messages are rendered when queued and sent by
+ * the outbox worker; a failed attempt is retried later until max_attempts is
+ * reached, after which the email stays 'failed' for an admin to retry.
+ */
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  to_email: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  reply_to: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Threading headers: the Message-ID answered and the earlier Message-IDs of the thread, space separated
+  in_reply_to: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  references: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  html: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Message-ID assigned by the mail transport
+  message_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'email_outbox',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (email) => {
+      email.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = EmailOutbox;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // ISO 4217 code, e.g. "EUR"
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  // Units of this currency per one unit of the base currency
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    validate: {
+      min: 0.00000001
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: false,
+  hooks: {
+    beforeValidate: (exchangeRate) => {
+      if (exchangeRate.currency) {
+        exchangeRate.currency = exchangeRate.currency.trim().toUpperCase();
+      }
+    },
+    beforeUpdate: (exchangeRate) => {
+      exchangeRate.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = ExchangeRate;
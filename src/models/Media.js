@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { buildSrcset } = require('../services/imageService');
+
+// Uploaded image in the media library, shared by every product image or category that uses it
+const Media = sequelize.define('Media', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // SHA-256 of the uploaded file, identical uploads reuse the same media
+  hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mime_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Size of the uploaded file in bytes
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Size of all processed files in storage, in bytes
+  stored_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Storage folder of the processed files, e.g. uploads/products
+  folder: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  image_url: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Processed sizes, same layout as ProductImage.sizes
+  sizes: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  srcset: {
+    type: DataTypes.VIRTUAL(DataTypes.JSONB, ['sizes']),
+    get() {
+      return buildSrcset(this.getDataValue('sizes'));
+    }
+  },
+  uploaded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'media',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['folder']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (media) => {
+      media.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = Media;
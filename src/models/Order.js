@@ -0,0 +1,138 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Statuses an order may move to from each status
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_number: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.keys(STATUS_TRANSITIONS)),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  shipping_name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  shipping_email: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  shipping_phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  shipping_address: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  shipping_city: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  shipping_postal_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  shipping_country: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  paid_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  shipped_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'orders',
+  timestamps: false,
+  hooks: {
+    beforeUpdate: (order) => {
+      order.updated_at = new Date();
+    }
+  }
+});
+
+Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Instance method to check whether the order may move to a status
+Order.prototype.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the order to a new status and stamp the matching date
+Order.prototype.transitionTo = async function(status, options = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${this.status} to ${status}`);
+  }
+
+  const updateData = { status };
+  if (status !== 'pending') {
+    updateData[`${status}_at`] = new Date();
+  }
+
+  return await this.update(updateData, options);
+};
+
+module.exports = Order;
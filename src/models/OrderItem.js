@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Product details are copied so the order survives later catalog changes
+  product_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  model_number: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  variant_sku: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  variant_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  unit_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  line_total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'order_items',
+  timestamps: false
+});
+
+module.exports = OrderItem;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  provider: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  // ID of the payment intent at the provider
+  provider_payment_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'refunded', 'partially_refunded'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  amount_refunded: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  failure_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Refunds made so far: [{ id, amount, idempotency_key, created_at }]
+  refunds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Webhook event IDs already applied, so redelivered events are ignored
+  processed_events: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  captured_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'payments',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'provider_payment_id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (payment) => {
+      payment.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = Payment;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Price list with quantity tiers per product, in the base currency. Customer groups
+ * buy at their group's list; the default list applies to everyone else, and to
+ * products the group's list doesn't cover.
+ */
+const PriceList = sequelize.define('PriceList', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'price_lists',
+  timestamps: false,
+  indexes: [
+    {
+      // Only one default price list
+      unique: true,
+      fields: ['is_default'],
+      where: { is_default: true }
+    }
+  ],
+  hooks: {
+    beforeUpdate: (priceList) => {
+      priceList.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = PriceList;
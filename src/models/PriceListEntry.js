@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Quantity tier of a product (or one of its variants) on a price list: from
+ * min_quantity units on, each unit costs price. Entries for a variant take
+ * precedence over the product's entries.
+ */
+const PriceListEntry = sequelize.define('PriceListEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  price_list_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'price_lists',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  min_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  }
+}, {
+  tableName: 'price_list_entries',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['price_list_id', 'product_id']
+    }
+  ]
+});
+
+module.exports = PriceListEntry;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { generateUniqueSlug, recordSlugChange } = require('../services/slugService');
 
 const Product = sequelize.define('Product', {
   id: {
@@ -42,6 +43,20 @@ const Product = sequelize.define('Product', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  // Products that don't track inventory are always shown as in stock
+  track_inventory: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Overrides the default low stock threshold (LOW_STOCK_THRESHOLD) for this product
+  low_stock_threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
   category_id: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -51,6 +66,11 @@ const Product = sequelize.define('Product', {
     },
     onDelete: 'SET NULL'
   },
+  // Full-text search document, maintained by a database trigger (see config/searchIndex.js)
+  search_vector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -62,12 +82,61 @@ const Product = sequelize.define('Product', {
 }, {
   tableName: 'products',
   timestamps: false,
+  indexes: [
+    {
+      name: 'products_search_vector_idx',
+      using: 'gin',
+      fields: ['search_vector']
+    },
+    {
+      name: 'products_name_trgm_idx',
+      using: 'gin',
+      fields: [{ name: 'name', operator: 'gin_trgm_ops' }]
+    },
+    {
+      name: 'products_model_number_trgm_idx',
+      using: 'gin',
+      fields: [{ name: 'model_number', operator: 'gin_trgm_ops' }]
+    }
+  ],
   hooks: {
-    beforeUpdate: (product) => {
+    // Products get a unique slug generated from their name
+    beforeValidate: async (product, options) => {
+      if (!product.slug && product.name) {
+        product.slug = await generateUniqueSlug('Product', product.name, {
+          excludeId: product.id,
+          fallback: 'product',
+          transaction: options.transaction
+        });
+      }
+    },
+    beforeUpdate: async (product, options) => {
       product.updated_at = new Date();
+      
+      // Renaming a product moves it to a new slug; the old one is kept for redirects
+      if (product.changed('name') && !product.changed('slug')) {
+        product.slug = await generateUniqueSlug('Product', product.name, {
+          excludeId: product.id,
+          fallback: 'product',
+          transaction: options.transaction
+        });
+      }
+    },
+    afterUpdate: async (product, options) => {
+      const previousSlug = product.previous('slug');
+      if (previousSlug && previousSlug !== product.slug) {
+        await recordSlugChange(product, previousSlug, { transaction: options.transaction });
+      }
     }
   }
 });
 
+// The search document is internal and never part of API responses
+Product.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.search_vector;
+  return values;
+};
+
 module.exports = Product;
 
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { buildSrcset } = require('../services/imageService');
 
 const ProductImage = sequelize.define('ProductImage', {
   id: {
@@ -16,6 +17,26 @@ const ProductImage = sequelize.define('ProductImage', {
     },
     onDelete: 'CASCADE'
   },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Media library entry the files belong to; images uploaded before the library have none
+  media_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'media',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Fallback file of the default size; the full size set is in `sizes`
   image_url: {
     type: DataTypes.STRING(255),
     allowNull: false,
@@ -23,6 +44,23 @@ const ProductImage = sequelize.define('ProductImage', {
       notEmpty: true
     }
   },
+  // Processed sizes, e.g. { "thumb": { "width": 150, "height": 150, "webp": "/uploads/...", "fallback": "/uploads/..." } }
+  sizes: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // srcset strings for the WebP and fallback files of the size set
+  srcset: {
+    type: DataTypes.VIRTUAL(DataTypes.JSONB, ['sizes']),
+    get() {
+      return buildSrcset(this.getDataValue('sizes'));
+    }
+  },
+  // Alternative text for screen readers and image search
+  alt_text: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
   is_primary: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -40,5 +78,16 @@ const ProductImage = sequelize.define('ProductImage', {
   timestamps: false
 });
 
+// Attributes returned whenever images are included in API responses
+ProductImage.PUBLIC_ATTRIBUTES = [
+  'id', 'media_id', 'image_url', 'sizes', 'srcset', 'alt_text', 'is_primary', 'display_order', 'variant_id'
+];
+
+// Order clauses that sort the images included under `as` by display order
+ProductImage.includeOrder = (as = 'images') => [
+  [{ model: ProductImage, as }, 'display_order', 'ASC'],
+  [{ model: ProductImage, as }, 'id', 'ASC']
+];
+
 module.exports = ProductImage;
 
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Manual price of a product in a specific currency, used instead of the converted base price
+const ProductPrice = sequelize.define('ProductPrice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'product_prices',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'currency']
+    }
+  ],
+  hooks: {
+    beforeValidate: (productPrice) => {
+      if (productPrice.currency) {
+        productPrice.currency = productPrice.currency.trim().toUpperCase();
+      }
+    },
+    beforeUpdate: (productPrice) => {
+      productPrice.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = ProductPrice;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Product content in a locale other than the default; empty fields fall back to the product columns
+const ProductTranslation = sequelize.define('ProductTranslation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  features: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'product_translations',
+  timestamps: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'locale']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (translation) => {
+      translation.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = ProductTranslation;
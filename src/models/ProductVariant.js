@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sku: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Option axis values, e.g. { "color": "Black", "strap": "Silicone", "size": "42mm" }
+  options: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  display_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: false,
+  hooks: {
+    beforeValidate: (variant) => {
+      // Default the name to the option values, e.g. "Black / Silicone"
+      if (!variant.name && variant.options) {
+        const values = Object.values(variant.options).filter(Boolean);
+        variant.name = values.length > 0 ? values.join(' / ') : null;
+      }
+      if (variant.sku) {
+        variant.sku = variant.sku.trim().toUpperCase();
+      }
+    },
+    beforeUpdate: (variant) => {
+      variant.updated_at = new Date();
+    }
+  }
+});
+
+module.exports = ProductVariant;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// File a buyer attached to a quote request, such as a logo or artwork
+const QuoteAttachment = sequelize.define('QuoteAttachment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  quote_request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'quote_requests',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mime_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Key of the file in private storage
+  storage_key: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  // Attachments are only downloaded through the app, which checks access to the quote
+  url: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return `/api/quotes/${this.quote_request_id}/attachments/${this.id}`;
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'quote_attachments',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['quote_request_id']
+    }
+  ]
+});
+
+module.exports = QuoteAttachment;
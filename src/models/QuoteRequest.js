@@ -0,0 +1,143 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Statuses a quote request moves through
+const QUOTE_STATUSES = ['submitted', 'quoted', 'accepted', 'declined', 'cancelled', 'expired'];
+
+/**
+ * Wholesale / OEM quotation request (RFQ). A buyer submits products with quantities,
+ * an admin answers with tiered prices, MOQs and a validity date (quoted), and the
+ * buyer accepts the quote, which turns it into an order, or it expires.
+ */
+const QuoteRequest = sequelize.define('QuoteRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  quote_number: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  status: {
+    type: DataTypes.ENUM(...QUOTE_STATUSES),
+    allowNull: false,
+    defaultValue: 'submitted'
+  },
+  company: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  contact_name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Locale the buyer used, for emails about the quote
+  locale: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  // Logo printing, packaging and other customization the buyer asks for
+  customization_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Admin's message to the buyer, printed on the quotation
+  quote_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Last day the quoted prices can be accepted
+  valid_until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  quoted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  quoted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'quote_requests',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['status']
+    }
+  ],
+  hooks: {
+    beforeUpdate: (quote) => {
+      quote.updated_at = new Date();
+    }
+  }
+});
+
+QuoteRequest.STATUSES = QUOTE_STATUSES;
+
+// Instance method to check whether a quote's validity date has passed
+QuoteRequest.prototype.isExpired = function(date = new Date()) {
+  return Boolean(this.valid_until) && this.valid_until < date.toISOString().slice(0, 10);
+};
+
+module.exports = QuoteRequest;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const QuoteRequestItem = sequelize.define('QuoteRequestItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  quote_request_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'quote_requests',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Product details are copied so the quote survives later catalog changes
+  product_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  model_number: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  variant_sku: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  variant_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  // Logo or customization wanted for this line
+  customization: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Unit price on the buyer's price list at the requested quantity when the request was made
+  list_price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  // Minimum order quantity set by the admin when quoting
+  moq: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Quoted unit prices by quantity: [{ min_quantity, unit_price }], ascending by min_quantity
+  price_tiers: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'quote_request_items',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['quote_request_id']
+    }
+  ]
+});
+
+module.exports = QuoteRequestItem;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SecurityCode = sequelize.define('SecurityCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  batch: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  check_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  first_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'security_codes',
+  timestamps: false,
+  hooks: {
+    beforeValidate: (securityCode) => {
+      // Codes are printed in upper case; store them the same way
+      if (securityCode.code) {
+        securityCode.code = securityCode.code.trim().toUpperCase();
+      }
+    }
+  }
+});
+
+module.exports = SecurityCode;
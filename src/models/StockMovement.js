@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Stock ledger entry. Quantities are signed:
+ *   receipt      (+) goods received into the warehouse
+ *   adjustment   (+/-) manual correction, e.g. after a stock count
+ *   sale         (-) goods sold on a paid order
+ *   reservation  (+) goods held for a pending order
+ *   release      (-) a reservation that ended (order paid or cancelled)
+ * On hand is the sum of receipts, adjustments and sales; reserved is the sum of
+ * reservations and releases. Entries for a variant also carry its product_id, so
+ * product totals include all of its variants.
+ */
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  variant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  type: {
+    type: DataTypes.ENUM('receipt', 'adjustment', 'sale', 'reservation', 'release'),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      notZero(value) {
+        if (value === 0) {
+          throw new Error('Quantity cannot be zero');
+        }
+      }
+    }
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'stock_movements',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['product_id', 'type']
+    },
+    {
+      fields: ['variant_id']
+    },
+    {
+      fields: ['order_id']
+    }
+  ]
+});
+
+module.exports = StockMovement;
@@ -35,14 +35,73 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  role: {
+    type: DataTypes.ENUM('customer', 'admin'),
+    allowNull: false,
+    defaultValue: 'customer'
+  },
+  first_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  last_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  company: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  postal_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  country: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Customer group whose price list the user buys at; set by admins
+  customer_group_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'customer_groups',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
   }
 }, {
   tableName: 'users',
   timestamps: false,
   hooks: {
+    beforeValidate: (user) => {
+      // Keep is_admin and role in sync, whichever one was set
+      if (user.changed('role')) {
+        user.is_admin = user.role === 'admin';
+      } else if (user.changed('is_admin')) {
+        user.role = user.is_admin ? 'admin' : 'customer';
+      }
+    },
     beforeCreate: async (user) => {
       if (user.password) {
         const salt = await bcrypt.genSalt(10);
@@ -50,6 +109,7 @@ const User = sequelize.define('User', {
       }
     },
     beforeUpdate: async (user) => {
+      user.updated_at = new Date();
       if (user.changed('password')) {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(user.password, salt);
@@ -63,5 +123,17 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Profile fields a user may edit on their own account
+User.PROFILE_FIELDS = [
+  'first_name',
+  'last_name',
+  'phone',
+  'company',
+  'address',
+  'city',
+  'postal_code',
+  'country'
+];
+
 module.exports = User;
 
@@ -2,20 +2,168 @@ const User = require('./User');
 const Category = require('./Category');
 const Product = require('./Product');
 const ProductImage = require('./ProductImage');
+const ProductVariant = require('./ProductVariant');
 const ContactMessage = require('./ContactMessage');
+const ContactNote = require('./ContactNote');
+const ContactReply = require('./ContactReply');
+const SecurityCode = require('./SecurityCode');
+const Cart = require('./Cart');
+const CartItem = require('./CartItem');
+const Order = require('./Order');
+const OrderItem = require('./OrderItem');
+const Payment = require('./Payment');
+const StockMovement = require('./StockMovement');
+const ExchangeRate = require('./ExchangeRate');
+const ProductPrice = require('./ProductPrice');
+const ProductTranslation = require('./ProductTranslation');
+const CategoryTranslation = require('./CategoryTranslation');
+const ProductSlug = require('./ProductSlug');
+const Media = require('./Media');
+const Collection = require('./Collection');
+const CollectionProduct = require('./CollectionProduct');
+const EmailOutbox = require('./EmailOutbox');
+const QuoteRequest = require('./QuoteRequest');
+const QuoteRequestItem = require('./QuoteRequestItem');
+const QuoteAttachment = require('./QuoteAttachment');
+const PriceList = require('./PriceList');
+const PriceListEntry = require('./PriceListEntry');
+const CustomerGroup = require('./CustomerGroup');
 
 // Define relationships
+Category.hasMany(Category, { foreignKey: 'parent_id', as: 'children' });
+Category.belongsTo(Category, { foreignKey: 'parent_id', as: 'parent' });
+
 Category.hasMany(Product, { foreignKey: 'category_id', as: 'products' });
 Product.belongsTo(Category, { foreignKey: 'category_id', as: 'category' });
 
 Product.hasMany(ProductImage, { foreignKey: 'product_id', as: 'images' });
 ProductImage.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
 
+Product.hasMany(ProductVariant, { foreignKey: 'product_id', as: 'variants' });
+ProductVariant.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+ProductVariant.hasMany(ProductImage, { foreignKey: 'variant_id', as: 'images' });
+ProductImage.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+
+Product.hasMany(SecurityCode, { foreignKey: 'product_id', as: 'securityCodes' });
+SecurityCode.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+User.hasOne(Cart, { foreignKey: 'user_id', as: 'cart' });
+Cart.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Cart.hasMany(CartItem, { foreignKey: 'cart_id', as: 'items' });
+CartItem.belongsTo(Cart, { foreignKey: 'cart_id', as: 'cart' });
+CartItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+CartItem.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+
+User.hasMany(Order, { foreignKey: 'user_id', as: 'orders' });
+Order.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Order.hasMany(OrderItem, { foreignKey: 'order_id', as: 'items' });
+OrderItem.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+OrderItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+
+Order.hasMany(Payment, { foreignKey: 'order_id', as: 'payments' });
+Payment.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+
+Product.hasMany(StockMovement, { foreignKey: 'product_id', as: 'stockMovements' });
+StockMovement.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+StockMovement.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+StockMovement.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+StockMovement.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Product.hasMany(ProductPrice, { foreignKey: 'product_id', as: 'currencyPrices' });
+ProductPrice.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+Product.hasMany(ProductTranslation, { foreignKey: 'product_id', as: 'translations' });
+ProductTranslation.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+Category.hasMany(CategoryTranslation, { foreignKey: 'category_id', as: 'translations' });
+CategoryTranslation.belongsTo(Category, { foreignKey: 'category_id', as: 'category' });
+
+Product.hasMany(ProductSlug, { foreignKey: 'product_id', as: 'slugHistory' });
+ProductSlug.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+
+Media.hasMany(ProductImage, { foreignKey: 'media_id', as: 'productImages' });
+ProductImage.belongsTo(Media, { foreignKey: 'media_id', as: 'media' });
+
+Media.hasMany(Category, { foreignKey: 'media_id', as: 'categories' });
+Category.belongsTo(Media, { foreignKey: 'media_id', as: 'media' });
+
+Media.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
+Collection.hasMany(CollectionProduct, { foreignKey: 'collection_id', as: 'items' });
+CollectionProduct.belongsTo(Collection, { foreignKey: 'collection_id', as: 'collection' });
+CollectionProduct.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+Product.hasMany(CollectionProduct, { foreignKey: 'product_id', as: 'collectionItems' });
+
+ContactMessage.belongsTo(User, { foreignKey: 'assigned_to', as: 'assignee' });
+User.hasMany(ContactMessage, { foreignKey: 'assigned_to', as: 'assignedMessages' });
+
+ContactMessage.hasMany(ContactNote, { foreignKey: 'message_id', as: 'notes' });
+ContactNote.belongsTo(ContactMessage, { foreignKey: 'message_id', as: 'contactMessage' });
+ContactNote.belongsTo(User, { foreignKey: 'user_id', as: 'author' });
+
+ContactMessage.hasMany(ContactReply, { foreignKey: 'message_id', as: 'replies' });
+ContactReply.belongsTo(ContactMessage, { foreignKey: 'message_id', as: 'contactMessage' });
+ContactReply.belongsTo(User, { foreignKey: 'user_id', as: 'author' });
+
+User.hasMany(QuoteRequest, { foreignKey: 'user_id', as: 'quoteRequests' });
+QuoteRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+QuoteRequest.belongsTo(User, { foreignKey: 'quoted_by', as: 'quotedBy' });
+QuoteRequest.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+
+QuoteRequest.hasMany(QuoteRequestItem, { foreignKey: 'quote_request_id', as: 'items' });
+QuoteRequestItem.belongsTo(QuoteRequest, { foreignKey: 'quote_request_id', as: 'quoteRequest' });
+QuoteRequestItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+QuoteRequestItem.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+
+QuoteRequest.hasMany(QuoteAttachment, { foreignKey: 'quote_request_id', as: 'attachments' });
+QuoteAttachment.belongsTo(QuoteRequest, { foreignKey: 'quote_request_id', as: 'quoteRequest' });
+
+PriceList.hasMany(PriceListEntry, { foreignKey: 'price_list_id', as: 'entries' });
+PriceListEntry.belongsTo(PriceList, { foreignKey: 'price_list_id', as: 'priceList' });
+PriceListEntry.belongsTo(Product, { foreignKey: 'product_id', as: 'product' });
+PriceListEntry.belongsTo(ProductVariant, { foreignKey: 'variant_id', as: 'variant' });
+Product.hasMany(PriceListEntry, { foreignKey: 'product_id', as: 'priceListEntries' });
+
+PriceList.hasMany(CustomerGroup, { foreignKey: 'price_list_id', as: 'customerGroups' });
+CustomerGroup.belongsTo(PriceList, { foreignKey: 'price_list_id', as: 'priceList' });
+
+CustomerGroup.hasMany(User, { foreignKey: 'customer_group_id', as: 'users' });
+User.belongsTo(CustomerGroup, { foreignKey: 'customer_group_id', as: 'customerGroup' });
+
 module.exports = {
   User,
   Category,
   Product,
   ProductImage,
-  ContactMessage
+  ProductVariant,
+  ContactMessage,
+  ContactNote,
+  ContactReply,
+  SecurityCode,
+  Cart,
+  CartItem,
+  Order,
+  OrderItem,
+  Payment,
+  StockMovement,
+  ExchangeRate,
+  ProductPrice,
+  ProductTranslation,
+  CategoryTranslation,
+  ProductSlug,
+  Media,
+  Collection,
+  CollectionProduct,
+  EmailOutbox,
+  QuoteRequest,
+  QuoteRequestItem,
+  QuoteAttachment,
+  PriceList,
+  PriceListEntry,
+  CustomerGroup
 };
 
@@ -0,0 +1,166 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { User } = require('../models');
+const { notifyPasswordChanged } = require('../services/notificationService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/account
+ * @desc    Get the current user's profile
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, user });
+  } catch (err) {
+    console.error('Get account error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/account
+ * @desc    Update the current user's profile
+ * @access  Private
+ */
+router.put(
+  '/',
+  auth,
+  [
+    body('email').optional().isEmail().withMessage('Please include a valid email'),
+    body('first_name').optional().isLength({ max: 100 }).withMessage('First name is too long'),
+    body('last_name').optional().isLength({ max: 100 }).withMessage('Last name is too long')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findByPk(req.user.id);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      // Check if email is being changed and if it already exists
+      if (req.body.email && req.body.email !== user.email) {
+        const existingUser = await User.findOne({
+          where: { email: req.body.email }
+        });
+
+        if (existingUser) {
+          return res.status(400).json({ success: false, message: 'Email already exists' });
+        }
+      }
+
+      // Only profile fields and email can be changed here, never the role
+      const updateData = {
+        email: req.body.email || user.email
+      };
+
+      User.PROFILE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      });
+
+      await user.update(updateData);
+
+      // Return user without password
+      const { password: _, ...userWithoutPassword } = user.toJSON();
+
+      res.json({ success: true, user: userWithoutPassword });
+    } catch (err) {
+      console.error('Update account error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/account/password
+ * @desc    Change the current user's password
+ * @access  Private
+ */
+router.put(
+  '/password',
+  auth,
+  [
+    body('current_password').notEmpty().withMessage('Current password is required'),
+    body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findByPk(req.user.id);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      // Verify current password
+      const isMatch = await user.comparePassword(req.body.current_password);
+      if (!isMatch) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+      }
+
+      await user.update({
+        password: req.body.new_password // Will be hashed by the model hook
+      });
+
+      await notifyPasswordChanged(user, req.locale);
+
+      res.json({ success: true, message: 'Password changed successfully' });
+    } catch (err) {
+      console.error('Change account password error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/account
+ * @desc    Delete the current customer account
+ * @access  Private (Customer)
+ */
+router.delete('/', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Admin accounts are managed through /api/users
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts cannot be deleted from the account page'
+      });
+    }
+
+    await user.destroy();
+
+    res.json({ success: true, message: 'Account deleted successfully' });
+  } catch (err) {
+    console.error('Delete account error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
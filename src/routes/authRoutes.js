@@ -1,11 +1,56 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
+const { auth } = require('../middleware/auth');
 const { User } = require('../models');
+const { CART_COOKIE, mergeGuestCart } = require('../services/cartService');
+const { notifyAccountCreated } = require('../services/notificationService');
 
 const router = express.Router();
 
+/**
+ * Public user data included in the JWT payload and auth responses
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  is_admin: user.is_admin,
+  role: user.role
+});
+
+/**
+ * Sign a JWT for the user and send it in the response
+ */
+const sendToken = (res, user, status = 200) => {
+  const payload = { user: toAuthUser(user) };
+
+  jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1d' },
+    (err, token) => {
+      if (err) throw err;
+      res.status(status).json({
+        success: true,
+        token,
+        user: toAuthUser(user)
+      });
+    }
+  );
+};
+
+/**
+ * Merge the guest cart from the cart cookie into the user's cart
+ */
+const claimGuestCart = async (req, res, user) => {
+  const token = req.cookies && req.cookies[CART_COOKIE];
+  if (token) {
+    await mergeGuestCart(token, user.id);
+    res.clearCookie(CART_COOKIE);
+  }
+};
+
 /**
  * @route   POST /api/auth/login
  * @desc    Authenticate user & get token
@@ -39,35 +84,9 @@ router.post(
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
 
-      // Create JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          is_admin: user.is_admin
-        }
-      };
-
-      // Sign token
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '1d' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({
-            success: true,
-            token,
-            user: {
-              id: user.id,
-              username: user.username,
-              email: user.email,
-              is_admin: user.is_admin
-            }
-          });
-        }
-      );
+      await claimGuestCart(req, res, user);
+
+      sendToken(res, user);
     } catch (err) {
       console.error('Login error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
@@ -77,8 +96,8 @@ router.post(
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new admin user
- * @access  Admin
+ * @desc    Register a new customer account
+ * @access  Public
  */
 router.post(
   '/register',
@@ -86,7 +105,8 @@ router.post(
     body('username').notEmpty().withMessage('Username is required'),
     body('email').isEmail().withMessage('Please include a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-    body('is_admin').isBoolean().withMessage('is_admin must be a boolean')
+    body('first_name').optional().isLength({ max: 100 }).withMessage('First name is too long'),
+    body('last_name').optional().isLength({ max: 100 }).withMessage('Last name is too long')
   ],
   async (req, res) => {
     // Check for validation errors
@@ -95,7 +115,16 @@ router.post(
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { username, email, password, is_admin } = req.body;
+    // Admin accounts can only be created by an admin through /api/users
+    const { is_admin, role } = req.body;
+    if (is_admin === true || is_admin === 'true' || (role && role !== 'customer')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts can only be created by an administrator'
+      });
+    }
+
+    const { username, email, password } = req.body;
 
     try {
       // Check if user already exists
@@ -109,43 +138,28 @@ router.post(
         return res.status(400).json({ success: false, message: 'Email already exists' });
       }
 
-      // Create new user
+      // Only copy whitelisted profile fields from the request
+      const profile = {};
+      User.PROFILE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          profile[field] = req.body[field];
+        }
+      });
+
+      // Create new customer
       user = await User.create({
+        ...profile,
         username,
         email,
         password, // Will be hashed by the model hook
-        is_admin
+        role: 'customer'
       });
 
-      // Create JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          is_admin: user.is_admin
-        }
-      };
-
-      // Sign token
-      jwt.sign(
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '1d' },
-        (err, token) => {
-          if (err) throw err;
-          res.json({
-            success: true,
-            token,
-            user: {
-              id: user.id,
-              username: user.username,
-              email: user.email,
-              is_admin: user.is_admin
-            }
-          });
-        }
-      );
+      await notifyAccountCreated(user, req.locale);
+
+      await claimGuestCart(req, res, user);
+
+      sendToken(res, user, 201);
     } catch (err) {
       console.error('Registration error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
@@ -158,9 +172,9 @@ router.post(
  * @desc    Get current user
  * @access  Private
  */
-router.get('/me', async (req, res) => {
+router.get('/me', auth, async (req, res) => {
   try {
-    // Get user from token (middleware will add user to req)
+    // Get user from token (middleware adds user to req)
     const user = await User.findByPk(req.user.id, {
       attributes: { exclude: ['password'] }
     });
@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { CartItem, Product, ProductVariant } = require('../models');
+const { getCart, formatCart } = require('../services/cartService');
+const { getPricingContext } = require('../services/pricingService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get the current cart
+ * @access  Public (guest cart by cookie, account cart when logged in)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await getCart(req, res);
+
+    res.json({ success: true, cart: await formatCart(cart, await getPricingContext(req.user)) });
+  } catch (err) {
+    console.error('Get cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Add a product to the cart
+ * @access  Public
+ */
+router.post(
+  '/items',
+  optionalAuth,
+  [
+    body('product_id').isInt().withMessage('Product is required'),
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Invalid variant'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      // Check if product exists
+      const product = await Product.findByPk(req.body.product_id);
+      if (!product) {
+        return res.status(400).json({ success: false, message: 'Invalid product' });
+      }
+
+      // Products sold in variants must be added with one of their active variants
+      const variantCount = await ProductVariant.count({
+        where: { product_id: product.id, is_active: true }
+      });
+
+      let variant = null;
+      if (req.body.variant_id) {
+        variant = await ProductVariant.findOne({
+          where: { id: req.body.variant_id, product_id: product.id, is_active: true }
+        });
+        if (!variant) {
+          return res.status(400).json({ success: false, message: 'Invalid variant' });
+        }
+      } else if (variantCount > 0) {
+        return res.status(400).json({ success: false, message: 'Please select a variant' });
+      }
+
+      const quantity = parseInt(req.body.quantity || 1);
+      const cart = await getCart(req, res, { create: true });
+      const variantId = variant ? variant.id : null;
+
+      // Increase the quantity if the product is already in the cart
+      const existingItem = await CartItem.findOne({
+        where: { cart_id: cart.id, product_id: product.id, variant_id: variantId }
+      });
+
+      if (existingItem) {
+        await existingItem.update({ quantity: existingItem.quantity + quantity });
+      } else {
+        await CartItem.create({ cart_id: cart.id, product_id: product.id, variant_id: variantId, quantity });
+      }
+
+      await cart.update({ updated_at: new Date() });
+
+      res.status(201).json({ success: true, cart: await formatCart(cart, await getPricingContext(req.user)) });
+    } catch (err) {
+      console.error('Add cart item error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/cart/items/:id
+ * @desc    Change the quantity of a cart item
+ * @access  Public
+ */
+router.put(
+  '/items/:id',
+  optionalAuth,
+  [
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const cart = await getCart(req, res);
+      const item = cart && await CartItem.findOne({
+        where: { id: req.params.id, cart_id: cart.id }
+      });
+
+      if (!item) {
+        return res.status(404).json({ success: false, message: 'Cart item not found' });
+      }
+
+      await item.update({ quantity: parseInt(req.body.quantity) });
+
+      res.json({ success: true, cart: await formatCart(cart, await getPricingContext(req.user)) });
+    } catch (err) {
+      console.error('Update cart item error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/cart/items/:id
+ * @desc    Remove an item from the cart
+ * @access  Public
+ */
+router.delete('/items/:id', optionalAuth, async (req, res) => {
+  try {
+    const cart = await getCart(req, res);
+    const item = cart && await CartItem.findOne({
+      where: { id: req.params.id, cart_id: cart.id }
+    });
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Cart item not found' });
+    }
+
+    await item.destroy();
+
+    res.json({ success: true, cart: await formatCart(cart, await getPricingContext(req.user)) });
+  } catch (err) {
+    console.error('Delete cart item error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Remove all items from the cart
+ * @access  Public
+ */
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await getCart(req, res);
+
+    if (cart) {
+      await CartItem.destroy({ where: { cart_id: cart.id } });
+    }
+
+    res.json({ success: true, cart: await formatCart(cart, await getPricingContext(req.user)) });
+  } catch (err) {
+    console.error('Clear cart error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,31 +2,29 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-const { auth, admin } = require('../middleware/auth');
-const { Category, Product } = require('../models');
+const { Op } = require('sequelize');
+const { auth, optionalAuth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { Category, Product, Media } = require('../models');
+const { getSpecFacets } = require('../services/specService');
+const { slugify } = require('../services/slugService');
+const { storeMedia, releaseImages } = require('../services/mediaService');
+const { resolveCurrency, localizeProducts } = require('../services/currencyService');
+const { getPricingContext } = require('../services/pricingService');
+const { translateCategories, translateProducts } = require('../services/translationService');
+const {
+  CATEGORY_ORDER,
+  descendantIds,
+  categoryBreadcrumbs,
+  checkParent,
+  nextDisplayOrder,
+  buildTree
+} = require('../services/categoryService');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../public/uploads/categories');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'category-' + uniqueSuffix + ext);
-  }
-});
+// Uploads are kept in memory and processed into a size set before being stored
+const storage = multer.memoryStorage();
 
 // File filter to only allow images
 const fileFilter = (req, file, cb) => {
@@ -47,24 +45,95 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+/**
+ * Media for the category image: the uploaded file, or media_id to reuse an image from the
+ * media library. Returns null when neither is given.
+ */
+const categoryImage = async (req) => {
+  if (req.file) {
+    const { media } = await storeMedia(req.file, {
+      folder: 'uploads/categories',
+      prefix: 'category',
+      userId: req.user.id
+    });
+    return media;
+  }
+
+  if (req.body.media_id) {
+    const media = await Media.findByPk(req.body.media_id);
+    if (!media) {
+      const error = new Error('Media not found');
+      error.status = 400;
+      throw error;
+    }
+    return media;
+  }
+
+  return null;
+};
+
+/**
+ * Read parent_id from a request body: undefined when absent, null for a top-level category
+ */
+const parseParentId = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '' || value === 'null') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    const error = new Error('parent_id must be a category ID');
+    error.status = 400;
+    throw error;
+  }
+  return parseInt(value);
+};
+
 /**
  * @route   GET /api/categories
- * @desc    Get all categories
+ * @desc    Get all categories as a flat list, siblings in display order
  * @access  Public
  */
 router.get('/', async (req, res) => {
   try {
     const categories = await Category.findAll({
-      order: [['name', 'ASC']]
+      order: CATEGORY_ORDER
     });
     
-    res.json({ success: true, categories });
+    res.json({
+      success: true,
+      locale: req.locale,
+      categories: await translateCategories(categories, req.locale)
+    });
   } catch (err) {
     console.error('Get categories error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/**
+ * @route   GET /api/categories/tree
+ * @desc    Get all categories nested by parent, siblings in display order
+ * @access  Public
+ */
+router.get('/tree', async (req, res) => {
+  try {
+    const categories = await Category.findAll({
+      order: CATEGORY_ORDER
+    });
+    
+    res.json({
+      success: true,
+      locale: req.locale,
+      categories: buildTree(await translateCategories(categories, req.locale))
+    });
+  } catch (err) {
+    console.error('Get category tree error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * @route   GET /api/categories/:id
  * @desc    Get category by ID
@@ -78,7 +147,19 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
     
-    res.json({ success: true, category });
+    const [translatedCategory] = await translateCategories([category], req.locale);
+    const children = await Category.findAll({
+      where: { parent_id: category.id },
+      order: CATEGORY_ORDER
+    });
+    
+    res.json({
+      success: true,
+      locale: req.locale,
+      category: translatedCategory,
+      children: await translateCategories(children, req.locale),
+      breadcrumbs: await categoryBreadcrumbs(category.id, req.locale)
+    });
   } catch (err) {
     console.error('Get category error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -87,13 +168,14 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   GET /api/categories/:slug/products
- * @desc    Get products by category slug
+ * @desc    Get products by category slug; ?include_descendants=true adds the products of all subcategories
  * @access  Public
  */
-router.get('/:slug/products', async (req, res) => {
+router.get('/:slug/products', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
+    const target = await resolveCurrency(req.query.currency);
     
     // Find category by slug
     const category = await Category.findOne({
@@ -104,21 +186,34 @@ router.get('/:slug/products', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
     
+    const categoryIds = req.query.include_descendants === 'true'
+      ? await descendantIds(category.id)
+      : [category.id];
+    
     // Get products with count
     const { count, rows: products } = await Product.findAndCountAll({
-      where: { category_id: category.id },
+      where: { category_id: { [Op.in]: categoryIds } },
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['createdAt', 'DESC']]
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
     });
     
+    const [translatedCategory] = await translateCategories([category], req.locale);
+    
     // Calculate pagination info
     const totalPages = Math.ceil(count / limit);
     
     res.json({
       success: true,
-      category,
-      products,
+      locale: req.locale,
+      category: translatedCategory,
+      breadcrumbs: await categoryBreadcrumbs(category.id, req.locale),
+      currency: target.currency,
+      products: await localizeProducts(
+        await translateProducts(products, req.locale),
+        target,
+        await getPricingContext(req.user)
+      ),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -127,11 +222,41 @@ router.get('/:slug/products', async (req, res) => {
       }
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Get category products error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/**
+ * @route   GET /api/categories/:slug/specifications
+ * @desc    Get the specification keys and distinct values used in a category, for filter sidebars
+ * @access  Public
+ */
+router.get('/:slug/specifications', async (req, res) => {
+  try {
+    // Find category by slug
+    const category = await Category.findOne({
+      where: { slug: req.params.slug }
+    });
+    
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+    
+    const specifications = await getSpecFacets(category.id);
+    
+    const [translatedCategory] = await translateCategories([category], req.locale);
+    
+    res.json({ success: true, locale: req.locale, category: translatedCategory, specifications });
+  } catch (err) {
+    console.error('Get category specifications error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * @route   POST /api/categories
  * @desc    Create a new category
@@ -142,7 +267,7 @@ router.post(
   [auth, admin, upload.single('image')],
   [
     body('name').notEmpty().withMessage('Category name is required'),
-    body('slug').notEmpty().withMessage('Category slug is required')
+    body('display_order').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Display order must be a positive integer')
   ],
   async (req, res) => {
     // Check for validation errors
@@ -152,31 +277,108 @@ router.post(
     }
     
     try {
-      // Check if category with same slug exists
-      const existingCategory = await Category.findOne({
-        where: { slug: req.body.slug }
-      });
-      
-      if (existingCategory) {
-        return res.status(400).json({ success: false, message: 'Category with this slug already exists' });
+      // Check if category with same slug exists (without a slug one is generated from the name)
+      const slug = req.body.slug ? slugify(req.body.slug) : null;
+      if (slug) {
+        const existingCategory = await Category.findOne({
+          where: { slug }
+        });
+        
+        if (existingCategory) {
+          return res.status(400).json({ success: false, message: 'Category with this slug already exists' });
+        }
       }
       
+      // Check the parent category if given, new categories are added after their siblings
+      const parentId = parseParentId(req.body.parent_id) || null;
+      await checkParent(null, parentId);
+      const displayOrder = req.body.display_order !== undefined && req.body.display_order !== ''
+        ? parseInt(req.body.display_order)
+        : await nextDisplayOrder(parentId);
+      
+      // Uploaded or reused image
+      const image = await categoryImage(req);
+      
       // Create category
       const category = await Category.create({
         name: req.body.name,
-        slug: req.body.slug,
+        slug,
         description: req.body.description || null,
-        image_url: req.file ? `/uploads/categories/${req.file.filename}` : null
+        parent_id: parentId,
+        display_order: displayOrder,
+        media_id: image ? image.id : null,
+        image_url: image ? image.image_url : null,
+        image_sizes: image ? image.sizes : null
       });
       
       res.status(201).json({ success: true, category });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Create category error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
+/**
+ * @route   PUT /api/categories/order
+ * @desc    Reorder the subcategories of parent_id (null for top-level categories); category_ids must
+ *          list every one of them once, in the new order
+ * @access  Private (Admin)
+ */
+router.put(
+  '/order',
+  [auth, admin],
+  [
+    body('category_ids').isArray({ min: 1 }).withMessage('category_ids must be a non-empty array'),
+    body('category_ids.*').isInt().withMessage('category_ids must contain category IDs')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    try {
+      const parentId = parseParentId(req.body.parent_id) || null;
+      const categoryIds = req.body.category_ids.map(id => parseInt(id));
+      
+      const categories = await sequelize.transaction(async (transaction) => {
+        const siblings = await Category.findAll({
+          where: { parent_id: parentId },
+          attributes: ['id'],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        const siblingIds = new Set(siblings.map(category => category.id));
+        if (categoryIds.length !== siblingIds.size || new Set(categoryIds).size !== categoryIds.length ||
+            categoryIds.some(id => !siblingIds.has(id))) {
+          const error = new Error('category_ids must list every subcategory of the parent exactly once');
+          error.status = 400;
+          throw error;
+        }
+        
+        for (const [index, id] of categoryIds.entries()) {
+          await Category.update({ display_order: index }, { where: { id }, transaction });
+        }
+        
+        return Category.findAll({ where: { parent_id: parentId }, order: CATEGORY_ORDER, transaction });
+      });
+      
+      res.json({ success: true, categories });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Reorder categories error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 /**
  * @route   PUT /api/categories/:id
  * @desc    Update a category
@@ -194,9 +396,10 @@ router.put(
       }
       
       // Check if slug is being changed and if it already exists
-      if (req.body.slug && req.body.slug !== category.slug) {
+      const slug = req.body.slug ? slugify(req.body.slug) : category.slug;
+      if (slug !== category.slug) {
         const existingCategory = await Category.findOne({
-          where: { slug: req.body.slug }
+          where: { slug }
         });
         
         if (existingCategory) {
@@ -204,24 +407,48 @@ router.put(
         }
       }
       
-      // If new image is uploaded, delete old image
-      if (req.file && category.image_url) {
-        const oldImagePath = path.join(__dirname, '../../public', category.image_url);
-        if (fs.existsSync(oldImagePath)) {
-          fs.unlinkSync(oldImagePath);
+      // Check the new parent, a moved category goes after its new siblings unless an order is given
+      const requestedParentId = parseParentId(req.body.parent_id);
+      const parentId = requestedParentId === undefined ? category.parent_id : requestedParentId;
+      if (parentId !== category.parent_id) {
+        await checkParent(category.id, parentId);
+      }
+      let displayOrder = category.display_order;
+      if (req.body.display_order !== undefined && req.body.display_order !== '') {
+        displayOrder = parseInt(req.body.display_order);
+        if (isNaN(displayOrder) || displayOrder < 0) {
+          return res.status(400).json({ success: false, message: 'Display order must be a positive integer' });
         }
+      } else if (parentId !== category.parent_id) {
+        displayOrder = await nextDisplayOrder(parentId);
       }
       
+      // Uploaded or reused image
+      const image = await categoryImage(req);
+      const previousImage = { media_id: category.media_id, image_url: category.image_url, sizes: category.image_sizes };
+      
       // Update category
       await category.update({
         name: req.body.name || category.name,
-        slug: req.body.slug || category.slug,
+        slug,
         description: req.body.description !== undefined ? req.body.description : category.description,
-        image_url: req.file ? `/uploads/categories/${req.file.filename}` : category.image_url
+        parent_id: parentId,
+        display_order: displayOrder,
+        media_id: image ? image.id : category.media_id,
+        image_url: image ? image.image_url : category.image_url,
+        image_sizes: image ? image.sizes : category.image_sizes
       });
       
+      // If the image was replaced, free the old image unless it is still used elsewhere
+      if (image && previousImage.image_url && previousImage.media_id !== image.id) {
+        await releaseImages([previousImage]);
+      }
+      
       res.json({ success: true, category });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Update category error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -241,6 +468,18 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
     
+    // Check if category has subcategories
+    const childCount = await Category.count({
+      where: { parent_id: category.id }
+    });
+    
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete category with ${childCount} subcategories. Please move or delete the subcategories first.`
+      });
+    }
+    
     // Check if category has products
     const productCount = await Product.count({
       where: { category_id: category.id }
@@ -253,17 +492,14 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       });
     }
     
-    // Delete category image if exists
-    if (category.image_url) {
-      const imagePath = path.join(__dirname, '../../public', category.image_url);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    }
-    
     // Delete category
     await category.destroy();
     
+    // Free the category image unless it is still used elsewhere
+    if (category.image_url) {
+      await releaseImages([{ media_id: category.media_id, image_url: category.image_url, sizes: category.image_sizes }]);
+    }
+    
     res.json({ success: true, message: 'Category deleted successfully' });
   } catch (err) {
     console.error('Delete category error:', err);
@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { auth, optionalAuth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { Collection, CollectionProduct, Product } = require('../models');
+const { normalizeRules, liveWhere, getCollectionProducts } = require('../services/collectionService');
+const { resolveCurrency, localizeProducts } = require('../services/currencyService');
+const { getPricingContext } = require('../services/pricingService');
+const { translateProducts } = require('../services/translationService');
+const { slugify } = require('../services/slugService');
+
+const router = express.Router();
+
+const COLLECTION_TYPES = ['manual', 'rule'];
+const COLLECTION_SORTS = ['newest', 'price-asc', 'price-desc', 'name-asc', 'bestselling'];
+
+// Validation shared by create and update; fields are optional on update
+const collectionValidation = [
+  body('type').optional().isIn(COLLECTION_TYPES).withMessage(`Type must be one of: ${COLLECTION_TYPES.join(', ')}`),
+  body('sort').optional().isIn(COLLECTION_SORTS).withMessage(`Sort must be one of: ${COLLECTION_SORTS.join(', ')}`),
+  body('product_limit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Product limit must be a positive integer'),
+  body('starts_at').optional({ nullable: true }).isISO8601().withMessage('starts_at must be a date'),
+  body('ends_at').optional({ nullable: true }).isISO8601().withMessage('ends_at must be a date'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+  body('product_ids').optional().isArray().withMessage('product_ids must be an array'),
+  body('product_ids.*').optional().isInt().withMessage('product_ids must contain product IDs')
+];
+
+/**
+ * Whether the request comes from an admin, who also sees inactive and scheduled collections
+ */
+const isAdmin = (req) => Boolean(req.user && req.user.is_admin);
+
+/**
+ * Find a collection by slug, hiding collections that aren't live from non-admins
+ */
+const findVisibleCollection = (req) => Collection.findOne({
+  where: isAdmin(req) ? { slug: req.params.slug } : { slug: req.params.slug, ...liveWhere() }
+});
+
+/**
+ * Replace the products of a manual collection, keeping the given order.
+ * Unknown product IDs are rejected.
+ */
+const setCollectionProducts = async (collection, productIds, transaction) => {
+  const ids = [...new Set(productIds.map(id => parseInt(id)))];
+  const found = await Product.count({ where: { id: { [Op.in]: ids } }, transaction });
+  if (found !== ids.length) {
+    const error = new Error('product_ids contains unknown products');
+    error.status = 400;
+    throw error;
+  }
+
+  await CollectionProduct.destroy({ where: { collection_id: collection.id }, transaction });
+  await CollectionProduct.bulkCreate(
+    ids.map((productId, index) => ({ collection_id: collection.id, product_id: productId, position: index })),
+    { transaction }
+  );
+};
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get the collections that are live now; admins get all collections with ?all=true
+ * @access  Public
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const collections = await Collection.findAll({
+      where: isAdmin(req) && req.query.all === 'true' ? {} : liveWhere(),
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ success: true, collections });
+  } catch (err) {
+    console.error('Get collections error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/collections/:slug
+ * @desc    Get a collection by slug
+ * @access  Public
+ */
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const collection = await findVisibleCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    res.json({ success: true, collection });
+  } catch (err) {
+    console.error('Get collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/collections/:slug/products
+ * @desc    Get the products of a collection in collection order, priced in ?currency=
+ * @access  Public
+ */
+router.get('/:slug/products', optionalAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+    const target = await resolveCurrency(req.query.currency);
+
+    const collection = await findVisibleCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    const { products, total } = await getCollectionProducts(collection, { page, limit });
+
+    res.json({
+      success: true,
+      locale: req.locale,
+      currency: target.currency,
+      collection,
+      products: await localizeProducts(
+        await translateProducts(products, req.locale),
+        target,
+        await getPricingContext(req.user)
+      ),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Get collection products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection; manual collections take ordered product_ids, rule collections take rules
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  [auth, admin],
+  [
+    body('name').notEmpty().withMessage('Collection name is required'),
+    ...collectionValidation
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      // Check if collection with same slug exists (without a slug one is generated from the name)
+      const slug = req.body.slug ? slugify(req.body.slug) : null;
+      if (slug && await Collection.findOne({ where: { slug } })) {
+        return res.status(400).json({ success: false, message: 'Collection with this slug already exists' });
+      }
+
+      const type = req.body.type || 'manual';
+      const rules = type === 'rule' ? await normalizeRules(req.body.rules || {}) : null;
+
+      const collection = await sequelize.transaction(async (transaction) => {
+        const created = await Collection.create({
+          name: req.body.name,
+          slug,
+          description: req.body.description || null,
+          type,
+          rules,
+          sort: req.body.sort || 'newest',
+          product_limit: req.body.product_limit || null,
+          is_active: req.body.is_active !== undefined ? req.body.is_active === true || req.body.is_active === 'true' : true,
+          starts_at: req.body.starts_at || null,
+          ends_at: req.body.ends_at || null
+        }, { transaction });
+
+        if (type === 'manual' && req.body.product_ids) {
+          await setCollectionProducts(created, req.body.product_ids, transaction);
+        }
+        return created;
+      });
+
+      res.status(201).json({ success: true, collection });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (err.name === 'SequelizeValidationError') {
+        return res.status(400).json({ success: false, message: err.errors.map(error => error.message).join(', ') });
+      }
+      console.error('Create collection error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Update a collection
+ * @access  Private (Admin)
+ */
+router.put('/:id', [auth, admin], collectionValidation, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const collection = await Collection.findByPk(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    // Check if slug is being changed and if it already exists
+    const slug = req.body.slug ? slugify(req.body.slug) : collection.slug;
+    if (slug !== collection.slug && await Collection.findOne({ where: { slug } })) {
+      return res.status(400).json({ success: false, message: 'Collection with this slug already exists' });
+    }
+
+    const type = req.body.type || collection.type;
+    let rules = null;
+    if (type === 'rule') {
+      rules = req.body.rules !== undefined ? await normalizeRules(req.body.rules) : collection.rules || {};
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await collection.update({
+        name: req.body.name || collection.name,
+        slug,
+        description: req.body.description !== undefined ? req.body.description : collection.description,
+        type,
+        rules,
+        sort: req.body.sort || collection.sort,
+        product_limit: req.body.product_limit !== undefined ? req.body.product_limit || null : collection.product_limit,
+        is_active: req.body.is_active !== undefined
+          ? req.body.is_active === true || req.body.is_active === 'true'
+          : collection.is_active,
+        starts_at: req.body.starts_at !== undefined ? req.body.starts_at || null : collection.starts_at,
+        ends_at: req.body.ends_at !== undefined ? req.body.ends_at || null : collection.ends_at
+      }, { transaction });
+
+      if (type === 'manual' && req.body.product_ids) {
+        await setCollectionProducts(collection, req.body.product_ids, transaction);
+      } else if (type === 'rule') {
+        // Rule collections don't keep a product list
+        await CollectionProduct.destroy({ where: { collection_id: collection.id }, transaction });
+      }
+    });
+
+    res.json({ success: true, collection });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    if (err.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, message: err.errors.map(error => error.message).join(', ') });
+    }
+    console.error('Update collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/collections/:id/products
+ * @desc    Set the products of a manual collection, in the order given by product_ids
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/products',
+  [auth, admin],
+  [
+    body('product_ids').isArray().withMessage('product_ids must be an array'),
+    body('product_ids.*').isInt().withMessage('product_ids must contain product IDs')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const collection = await Collection.findByPk(req.params.id);
+      if (!collection) {
+        return res.status(404).json({ success: false, message: 'Collection not found' });
+      }
+      if (collection.type !== 'manual') {
+        return res.status(400).json({ success: false, message: 'Only manual collections have a product list' });
+      }
+
+      await sequelize.transaction(transaction => setCollectionProducts(collection, req.body.product_ids, transaction));
+
+      const items = await CollectionProduct.findAll({
+        where: { collection_id: collection.id },
+        attributes: ['product_id', 'position'],
+        order: [['position', 'ASC']]
+      });
+
+      res.json({ success: true, items });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Set collection products error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const collection = await Collection.findByPk(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    // Delete collection (cascade will delete its product list)
+    await collection.destroy();
+
+    res.json({ success: true, message: 'Collection deleted successfully' });
+  } catch (err) {
+    console.error('Delete collection error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
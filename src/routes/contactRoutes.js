@@ -1,13 +1,50 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const { auth, admin } = require('../middleware/auth');
-const { ContactMessage } = require('../models');
+const { ContactMessage, ContactNote, ContactReply, User } = require('../models');
+const { checkAssignee, sendContactReply } = require('../services/contactService');
+const { notifyContactMessage } = require('../services/notificationService');
+const {
+  HONEYPOT_FIELD,
+  issueFormToken,
+  isHoneypotFilled,
+  checkRateLimit,
+  scoreMessage
+} = require('../services/spamService');
+const { captcha } = require('../config/captcha');
 
 const router = express.Router();
 
+// Admin fields included with a message's assignee and note/reply authors
+const USER_ATTRIBUTES = ['id', 'username', 'email'];
+
+// Sent for every accepted submission, quarantined or not, so bots can't tell the difference
+const SUBMITTED_MESSAGE = 'Your message has been sent successfully. We will get back to you soon.';
+
+// Fields the CAPTCHA widgets post their response token in
+const CAPTCHA_FIELDS = ['captcha_token', 'g-recaptcha-response', 'h-captcha-response', 'cf-turnstile-response'];
+
+/**
+ * @route   GET /api/contact/form
+ * @desc    Get what the contact form needs before submitting: a form token (submit it back as
+ *          form_token), the honeypot field to leave empty and the CAPTCHA provider and site key, if any
+ * @access  Public
+ */
+router.get('/form', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    form_token: issueFormToken(),
+    honeypot_field: HONEYPOT_FIELD,
+    captcha: captcha ? { provider: captcha.name, site_key: captcha.siteKey } : null
+  });
+});
+
 /**
  * @route   POST /api/contact
- * @desc    Submit a contact message
+ * @desc    Submit a contact message. Submissions are rate limited per IP and email, and
+ *          suspected spam is quarantined for review instead of reaching the inbox.
  * @access  Public
  */
 router.post(
@@ -26,6 +63,41 @@ router.post(
     }
     
     try {
+      // Only bots fill in the honeypot; pretend the message was sent and drop it
+      if (isHoneypotFilled(req.body)) {
+        return res.status(201).json({ success: true, message: SUBMITTED_MESSAGE });
+      }
+      
+      const retryAfter = await checkRateLimit({ ip: req.ip, email: req.body.email });
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many messages. Please try again later.'
+        });
+      }
+      
+      if (captcha) {
+        const field = CAPTCHA_FIELDS.find(name => req.body[name]);
+        let result;
+        try {
+          result = await captcha.verify(field ? String(req.body[field]) : null, { ip: req.ip });
+        } catch (err) {
+          console.error('CAPTCHA verification error:', err);
+          return res.status(503).json({ success: false, message: 'CAPTCHA could not be verified. Please try again.' });
+        }
+        if (!result.success) {
+          return res.status(400).json({ success: false, message: 'CAPTCHA verification failed' });
+        }
+      }
+      
+      const spam = scoreMessage({
+        name: req.body.name,
+        subject: req.body.subject,
+        message: req.body.message,
+        formToken: req.body.form_token
+      });
+      
       // Create contact message
       const contactMessage = await ContactMessage.create({
         name: req.body.name,
@@ -33,13 +105,20 @@ router.post(
         phone: req.body.phone || null,
         subject: req.body.subject,
         message: req.body.message,
-        status: 'unread'
+        status: spam.quarantine ? 'quarantined' : 'new',
+        locale: req.locale,
+        ip_address: req.ip || null,
+        spam_score: spam.score,
+        spam_reasons: spam.reasons
       });
       
-      res.status(201).json({
-        success: true,
-        message: 'Your message has been sent successfully. We will get back to you soon.'
-      });
+      // Alert the admins and acknowledge the message to the sender; quarantined
+      // messages wait until an admin approves them
+      if (!spam.quarantine) {
+        await notifyContactMessage(contactMessage);
+      }
+      
+      res.status(201).json({ success: true, message: SUBMITTED_MESSAGE });
     } catch (err) {
       console.error('Contact message error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
@@ -49,24 +128,49 @@ router.post(
 
 /**
  * @route   GET /api/contact/messages
- * @desc    Get all contact messages
+ * @desc    Get all contact messages; filter with ?status=, ?assigned_to= (a user ID, 'me' or 'none')
+ *          and ?q= (searches name, email and subject). Quarantined messages are only listed with
+ *          ?status=quarantined.
  * @access  Private (Admin)
  */
 router.get('/messages', [auth, admin], async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, assigned_to, q } = req.query;
     const offset = (page - 1) * limit;
     
     // Build query options
     const queryOptions = {
+      where: {},
+      include: [{ model: User, as: 'assignee', attributes: USER_ATTRIBUTES }],
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['createdAt', 'DESC']]
+      order: [['created_at', 'DESC']]
     };
     
     // Add status filter if provided
     if (status) {
-      queryOptions.where = { status };
+      if (!ContactMessage.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${ContactMessage.STATUSES.join(', ')}`
+        });
+      }
+      queryOptions.where.status = status;
+    } else {
+      queryOptions.where.status = { [Op.ne]: 'quarantined' };
+    }
+    
+    // Add assignee filter if provided
+    if (assigned_to === 'me') {
+      queryOptions.where.assigned_to = req.user.id;
+    } else if (assigned_to === 'none') {
+      queryOptions.where.assigned_to = null;
+    } else if (assigned_to) {
+      queryOptions.where.assigned_to = parseInt(assigned_to) || 0;
+    }
+    
+    if (q) {
+      queryOptions.where[Op.or] = ['name', 'email', 'subject'].map(field => ({ [field]: { [Op.iLike]: `%${q}%` } }));
     }
     
     // Get messages with count
@@ -92,11 +196,87 @@ router.get('/messages', [auth, admin], async (req, res) => {
 });
 
 /**
- * @route   GET /api/contact/messages/:id
- * @desc    Get contact message by ID
+ * @route   GET /api/contact/spam
+ * @desc    Get the spam queue: quarantined messages with their spam score and reasons, newest first
  * @access  Private (Admin)
  */
-router.get('/messages/:id', [auth, admin], async (req, res) => {
+router.get('/spam', [auth, admin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const { count, rows: messages } = await ContactMessage.findAndCountAll({
+      where: { status: 'quarantined' },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    res.json({
+      success: true,
+      messages,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get spam queue error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/contact/spam
+ * @desc    Delete quarantined messages: the given message_ids, or the whole queue with all: true
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/spam',
+  [auth, admin],
+  [
+    body('message_ids').optional().isArray({ min: 1 }).withMessage('message_ids must be a non-empty array'),
+    body('message_ids.*').optional().isInt().withMessage('message_ids must contain message IDs'),
+    body('all').optional().isBoolean().withMessage('all must be a boolean')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    const all = req.body.all === true || req.body.all === 'true';
+    if (!all && !req.body.message_ids) {
+      return res.status(400).json({ success: false, message: 'Provide message_ids or all: true' });
+    }
+    
+    try {
+      // Only quarantined messages are deleted, whatever IDs are given
+      const where = { status: 'quarantined' };
+      if (!all) {
+        where.id = { [Op.in]: req.body.message_ids.map(id => parseInt(id)) };
+      }
+      
+      const deleted = await ContactMessage.destroy({ where });
+      
+      res.json({ success: true, deleted });
+    } catch (err) {
+      console.error('Delete spam error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/contact/messages/:id/approve
+ * @desc    Release a quarantined message into the inbox as new; the admin alert and the
+ *          sender's acknowledgement are sent now
+ * @access  Private (Admin)
+ */
+router.post('/messages/:id/approve', [auth, admin], async (req, res) => {
   try {
     const message = await ContactMessage.findByPk(req.params.id);
     
@@ -104,43 +284,199 @@ router.get('/messages/:id', [auth, admin], async (req, res) => {
       return res.status(404).json({ success: false, message: 'Message not found' });
     }
     
-    // Mark message as read if it's unread
-    if (message.status === 'unread') {
-      await message.update({ status: 'read' });
+    if (message.status !== 'quarantined') {
+      return res.status(400).json({ success: false, message: 'Only quarantined messages can be approved' });
     }
     
+    await message.update({ status: 'new' });
+    await notifyContactMessage(message);
+    
     res.json({ success: true, message });
   } catch (err) {
-    console.error('Get message error:', err);
+    console.error('Approve message error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 /**
- * @route   PUT /api/contact/messages/:id
- * @desc    Update contact message status
+ * Find a contact message with its assignee, internal notes and reply thread, oldest first
+ */
+const findMessageWithThread = (id) => ContactMessage.findByPk(id, {
+  include: [
+    { model: User, as: 'assignee', attributes: USER_ATTRIBUTES },
+    {
+      model: ContactNote,
+      as: 'notes',
+      include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }]
+    },
+    {
+      model: ContactReply,
+      as: 'replies',
+      include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES }]
+    }
+  ],
+  order: [
+    [{ model: ContactNote, as: 'notes' }, 'created_at', 'ASC'],
+    [{ model: ContactNote, as: 'notes' }, 'id', 'ASC'],
+    [{ model: ContactReply, as: 'replies' }, 'created_at', 'ASC'],
+    [{ model: ContactReply, as: 'replies' }, 'id', 'ASC']
+  ]
+});
+
+/**
+ * @route   GET /api/contact/messages/:id
+ * @desc    Get contact message by ID, with its assignee, internal notes and reply thread
  * @access  Private (Admin)
  */
-router.put('/messages/:id', [auth, admin], async (req, res) => {
+router.get('/messages/:id', [auth, admin], async (req, res) => {
   try {
-    const message = await ContactMessage.findByPk(req.params.id);
+    const message = await findMessageWithThread(req.params.id);
     
     if (!message) {
       return res.status(404).json({ success: false, message: 'Message not found' });
     }
     
-    // Update message status
-    await message.update({
-      status: req.body.status || message.status
-    });
-    
     res.json({ success: true, message });
   } catch (err) {
-    console.error('Update message error:', err);
+    console.error('Get message error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/**
+ * @route   PUT /api/contact/messages/:id
+ * @desc    Update contact message status and assignee (an admin user ID, or null to unassign)
+ * @access  Private (Admin)
+ */
+router.put(
+  '/messages/:id',
+  [auth, admin],
+  [
+    body('status').optional().isIn(ContactMessage.STATUSES)
+      .withMessage(`Status must be one of: ${ContactMessage.STATUSES.join(', ')}`),
+    body('assigned_to').optional({ values: 'null' }).isInt().withMessage('assigned_to must be a user ID or null')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    try {
+      const message = await ContactMessage.findByPk(req.params.id);
+      
+      if (!message) {
+        return res.status(404).json({ success: false, message: 'Message not found' });
+      }
+      
+      const assignedTo = req.body.assigned_to === undefined
+        ? message.assigned_to
+        : req.body.assigned_to === null ? null : parseInt(req.body.assigned_to);
+      if (assignedTo !== message.assigned_to) {
+        await checkAssignee(assignedTo);
+      }
+      
+      // Update message status and assignee
+      await message.update({
+        status: req.body.status || message.status,
+        assigned_to: assignedTo
+      });
+      
+      res.json({ success: true, message: await findMessageWithThread(message.id) });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Update message error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/contact/messages/:id/notes
+ * @desc    Add an internal note to a contact message
+ * @access  Private (Admin)
+ */
+router.post(
+  '/messages/:id/notes',
+  [auth, admin],
+  [
+    body('note').trim().notEmpty().withMessage('Note is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    try {
+      const message = await ContactMessage.findByPk(req.params.id, { attributes: ['id'] });
+      
+      if (!message) {
+        return res.status(404).json({ success: false, message: 'Message not found' });
+      }
+      
+      const note = await ContactNote.create({
+        message_id: message.id,
+        user_id: req.user.id,
+        note: req.body.note
+      });
+      
+      res.status(201).json({ success: true, note });
+    } catch (err) {
+      console.error('Add message note error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/contact/messages/:id/replies
+ * @desc    Email a reply to the sender through the outbox and add it to the message's
+ *          thread; the message moves to 'replied'. Quarantined messages must be approved first.
+ * @access  Private (Admin)
+ */
+router.post(
+  '/messages/:id/replies',
+  [auth, admin],
+  [
+    body('body').trim().notEmpty().withMessage('Reply text is required'),
+    body('subject').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Subject must be 1 to 255 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    
+    try {
+      const message = await ContactMessage.findByPk(req.params.id);
+      
+      if (!message) {
+        return res.status(404).json({ success: false, message: 'Message not found' });
+      }
+      
+      const reply = await sendContactReply(message, {
+        body: req.body.body,
+        subject: req.body.subject,
+        userId: req.user.id
+      });
+      
+      res.status(201).json({ success: true, reply });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Send message reply error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/contact/messages/:id
  * @desc    Delete a contact message
@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { auth, admin } = require('../middleware/auth');
+const { ExchangeRate } = require('../models');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  parseRatesFile,
+  importRates
+} = require('../services/currencyService');
+
+const router = express.Router();
+
+// Rate files are parsed in memory, they are never stored on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 } // 1MB limit
+});
+
+/**
+ * @route   GET /api/currencies
+ * @desc    Get the base currency and the exchange rates of all supported currencies
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.findAll({
+      attributes: ['currency', 'rate', 'updated_at'],
+      order: [['currency', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      base_currency: BASE_CURRENCY,
+      currencies: [BASE_CURRENCY, ...rates.map(rate => rate.currency)],
+      rates
+    });
+  } catch (err) {
+    console.error('Get currencies error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/currencies/rates/:currency
+ * @desc    Create or update the exchange rate of a currency (units per one base currency unit)
+ * @access  Private (Admin)
+ */
+router.put(
+  '/rates/:currency',
+  [auth, admin],
+  [
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const currency = normalizeCurrency(req.params.currency);
+      if (!currency) {
+        return res.status(400).json({ success: false, message: 'Invalid currency' });
+      }
+      if (currency === BASE_CURRENCY) {
+        return res.status(400).json({ success: false, message: `${BASE_CURRENCY} is the base currency` });
+      }
+
+      let exchangeRate = await ExchangeRate.findOne({ where: { currency } });
+      if (exchangeRate) {
+        await exchangeRate.update({ rate: req.body.rate });
+      } else {
+        exchangeRate = await ExchangeRate.create({ currency, rate: req.body.rate });
+      }
+
+      res.json({ success: true, rate: exchangeRate });
+    } catch (err) {
+      console.error('Update exchange rate error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/currencies/rates/import
+ * @desc    Import exchange rates from a JSON or CSV file, or a JSON body { rates: { EUR: 0.92 } }
+ * @access  Private (Admin)
+ */
+router.post('/rates/import', [auth, admin, upload.single('file')], async (req, res) => {
+  try {
+    let entries = [];
+    if (req.file) {
+      entries = parseRatesFile(req.file.buffer.toString('utf8'));
+    } else if (Array.isArray(req.body.rates)) {
+      entries = req.body.rates;
+    } else if (req.body.rates && typeof req.body.rates === 'object') {
+      entries = Object.entries(req.body.rates).map(([currency, rate]) => ({ currency, rate }));
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, message: 'No exchange rates to import' });
+    }
+
+    const { imported, errors } = await importRates(entries);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Import contains invalid rates', errors });
+    }
+
+    res.status(201).json({ success: true, imported });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Import exchange rates error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/currencies/rates/:currency
+ * @desc    Stop supporting a currency
+ * @access  Private (Admin)
+ */
+router.delete('/rates/:currency', [auth, admin], async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOne({
+      where: { currency: normalizeCurrency(req.params.currency) }
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+
+    await exchangeRate.destroy();
+
+    res.json({ success: true, message: 'Exchange rate deleted successfully' });
+  } catch (err) {
+    console.error('Delete exchange rate error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { CustomerGroup, PriceList, User } = require('../models');
+
+const router = express.Router();
+
+// Validation shared by create and update; fields are optional on update
+const customerGroupValidation = [
+  body('name').optional().notEmpty().withMessage('Customer group name cannot be empty'),
+  body('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  body('price_list_id').optional({ values: 'null' }).isInt().withMessage('price_list_id must be a price list ID')
+];
+
+/**
+ * Reject a price list that doesn't exist
+ */
+const checkPriceList = async (priceListId) => {
+  if (priceListId && !await PriceList.findByPk(priceListId, { attributes: ['id'] })) {
+    const error = new Error('Price list not found');
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Price list shown with a customer group
+const priceListInclude = {
+  model: PriceList,
+  as: 'priceList',
+  attributes: ['id', 'name', 'is_active']
+};
+
+/**
+ * @route   GET /api/customer-groups
+ * @desc    Get all customer groups with their price list and number of members
+ * @access  Private (Admin)
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const customerGroups = await CustomerGroup.findAll({
+      attributes: {
+        include: [[
+          sequelize.literal(
+            '(SELECT COUNT(*) FROM users WHERE users.customer_group_id = "CustomerGroup".id)::int'
+          ),
+          'user_count'
+        ]]
+      },
+      include: [priceListInclude],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ success: true, customerGroups });
+  } catch (err) {
+    console.error('Get customer groups error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/customer-groups/:id
+ * @desc    Get a customer group with its price list and members
+ * @access  Private (Admin)
+ */
+router.get('/:id', [auth, admin], async (req, res) => {
+  try {
+    const customerGroup = await CustomerGroup.findByPk(req.params.id, {
+      include: [
+        priceListInclude,
+        {
+          model: User,
+          as: 'users',
+          attributes: ['id', 'username', 'email', 'company']
+        }
+      ]
+    });
+
+    if (!customerGroup) {
+      return res.status(404).json({ success: false, message: 'Customer group not found' });
+    }
+
+    res.json({ success: true, customerGroup });
+  } catch (err) {
+    console.error('Get customer group error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/customer-groups
+ * @desc    Create a customer group buying at price_list_id
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  [auth, admin],
+  [
+    body('name').notEmpty().withMessage('Customer group name is required'),
+    ...customerGroupValidation
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      if (await CustomerGroup.findOne({ where: { name: req.body.name } })) {
+        return res.status(400).json({ success: false, message: 'Customer group with this name already exists' });
+      }
+      await checkPriceList(req.body.price_list_id);
+
+      const customerGroup = await CustomerGroup.create({
+        name: req.body.name,
+        description: req.body.description || null,
+        price_list_id: req.body.price_list_id || null
+      });
+
+      res.status(201).json({ success: true, customerGroup });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Create customer group error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/customer-groups/:id
+ * @desc    Update a customer group; price_list_id null makes its members buy at the default list
+ * @access  Private (Admin)
+ */
+router.put('/:id', [auth, admin], customerGroupValidation, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const customerGroup = await CustomerGroup.findByPk(req.params.id);
+    if (!customerGroup) {
+      return res.status(404).json({ success: false, message: 'Customer group not found' });
+    }
+
+    // Check if name is being changed and if it already exists
+    if (req.body.name && req.body.name !== customerGroup.name &&
+        await CustomerGroup.findOne({ where: { name: req.body.name } })) {
+      return res.status(400).json({ success: false, message: 'Customer group with this name already exists' });
+    }
+    await checkPriceList(req.body.price_list_id);
+
+    await customerGroup.update({
+      name: req.body.name || customerGroup.name,
+      description: req.body.description !== undefined ? req.body.description || null : customerGroup.description,
+      price_list_id: req.body.price_list_id !== undefined ? req.body.price_list_id || null : customerGroup.price_list_id
+    });
+
+    res.json({ success: true, customerGroup });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Update customer group error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/customer-groups/:id
+ * @desc    Delete a customer group; its members fall back to the default price list
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const customerGroup = await CustomerGroup.findByPk(req.params.id);
+    if (!customerGroup) {
+      return res.status(404).json({ success: false, message: 'Customer group not found' });
+    }
+
+    // Delete customer group (its members are unassigned by the foreign key)
+    await customerGroup.destroy();
+
+    res.json({ success: true, message: 'Customer group deleted successfully' });
+  } catch (err) {
+    console.error('Delete customer group error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
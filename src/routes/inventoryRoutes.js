@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, admin } = require('../middleware/auth');
+const { Product, ProductVariant, StockMovement, User } = require('../models');
+const {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  getStockLevels,
+  getVariantStockLevels,
+  getLowStockThreshold,
+  recordMovement
+} = require('../services/inventoryService');
+
+const router = express.Router();
+
+/**
+ * Combine a product with its stock levels for responses
+ */
+const withStock = (product, levels) => ({
+  id: product.id,
+  name: product.name,
+  model_number: product.model_number,
+  track_inventory: product.track_inventory,
+  low_stock_threshold: getLowStockThreshold(product),
+  ...levels.get(product.id)
+});
+
+/**
+ * Get the variants of a product with their stock levels
+ */
+const getVariantStock = async (product) => {
+  const variants = await ProductVariant.findAll({
+    where: { product_id: product.id },
+    attributes: ['id', 'sku', 'name', 'is_active'],
+    order: [['display_order', 'ASC'], ['id', 'ASC']]
+  });
+  const levels = await getVariantStockLevels(variants.map(variant => variant.id));
+
+  return variants.map(variant => ({ ...variant.toJSON(), ...levels.get(variant.id) }));
+};
+
+/**
+ * Check that an optional variant_id belongs to the product
+ */
+const resolveVariant = async (product, variantId) => {
+  if (!variantId) {
+    return { variant: null };
+  }
+  const variant = await ProductVariant.findOne({ where: { id: variantId, product_id: product.id } });
+  return variant ? { variant } : { error: 'Invalid variant' };
+};
+
+/**
+ * @route   GET /api/inventory
+ * @desc    Get stock levels of all tracked products
+ * @access  Private (Admin)
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const products = await Product.findAll({
+      where: { track_inventory: true },
+      attributes: ['id', 'name', 'model_number', 'track_inventory', 'low_stock_threshold'],
+      order: [['name', 'ASC']]
+    });
+
+    const levels = await getStockLevels(products.map(product => product.id));
+
+    res.json({
+      success: true,
+      products: products.map(product => withStock(product, levels))
+    });
+  } catch (err) {
+    console.error('Get inventory error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/inventory/low-stock
+ * @desc    Get tracked products at or below their low stock threshold
+ * @access  Private (Admin)
+ */
+router.get('/low-stock', [auth, admin], async (req, res) => {
+  try {
+    const products = await Product.findAll({
+      where: { track_inventory: true },
+      attributes: ['id', 'name', 'model_number', 'track_inventory', 'low_stock_threshold']
+    });
+
+    const levels = await getStockLevels(products.map(product => product.id));
+
+    const alerts = products
+      .map(product => withStock(product, levels))
+      .filter(product => product.available <= product.low_stock_threshold)
+      .sort((a, b) => a.available - b.available);
+
+    res.json({
+      success: true,
+      default_threshold: DEFAULT_LOW_STOCK_THRESHOLD,
+      products: alerts
+    });
+  } catch (err) {
+    console.error('Get low stock error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/inventory/products/:productId
+ * @desc    Get stock levels and ledger history of a product
+ * @access  Private (Admin)
+ */
+router.get('/products/:productId', [auth, admin], async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const product = await Product.findByPk(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const levels = await getStockLevels([product.id]);
+
+    const { count, rows: movements } = await StockMovement.findAndCountAll({
+      where: { product_id: product.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username']
+        },
+        {
+          model: ProductVariant,
+          as: 'variant',
+          attributes: ['id', 'sku', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      stock: withStock(product, levels),
+      variants: await getVariantStock(product),
+      movements,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages
+      }
+    });
+  } catch (err) {
+    console.error('Get product stock error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/inventory/products/:productId/settings
+ * @desc    Turn stock tracking on or off and set the low stock threshold
+ * @access  Private (Admin)
+ */
+router.put(
+  '/products/:productId/settings',
+  [auth, admin],
+  [
+    body('track_inventory').optional().isBoolean().withMessage('track_inventory must be a boolean'),
+    body('low_stock_threshold')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Low stock threshold must be a non-negative number')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      await product.update({
+        track_inventory: req.body.track_inventory !== undefined
+          ? req.body.track_inventory === true || req.body.track_inventory === 'true'
+          : product.track_inventory,
+        low_stock_threshold: req.body.low_stock_threshold !== undefined
+          ? req.body.low_stock_threshold
+          : product.low_stock_threshold
+      });
+
+      const levels = await getStockLevels([product.id]);
+
+      res.json({ success: true, stock: withStock(product, levels) });
+    } catch (err) {
+      console.error('Update stock settings error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/inventory/products/:productId/receipts
+ * @desc    Record goods received into the warehouse (optionally for a variant)
+ * @access  Private (Admin)
+ */
+router.post(
+  '/products/:productId/receipts',
+  [auth, admin],
+  [
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Invalid variant')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const { variant, error } = await resolveVariant(product, req.body.variant_id);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const movement = await recordMovement({
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        type: 'receipt',
+        quantity: parseInt(req.body.quantity),
+        user_id: req.user.id,
+        reference: req.body.reference || null,
+        note: req.body.note || null
+      });
+
+      const levels = await getStockLevels([product.id]);
+
+      res.status(201).json({ success: true, movement, stock: withStock(product, levels) });
+    } catch (err) {
+      console.error('Record stock receipt error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/inventory/products/:productId/adjustments
+ * @desc    Correct the on hand quantity (positive or negative, optionally for a variant)
+ * @access  Private (Admin)
+ */
+router.post(
+  '/products/:productId/adjustments',
+  [auth, admin],
+  [
+    body('quantity')
+      .isInt()
+      .custom(value => parseInt(value) !== 0)
+      .withMessage('Quantity must be a non-zero number'),
+    body('note').notEmpty().withMessage('A note explaining the adjustment is required'),
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Invalid variant')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const { variant, error } = await resolveVariant(product, req.body.variant_id);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const movement = await recordMovement({
+        product_id: product.id,
+        variant_id: variant ? variant.id : null,
+        type: 'adjustment',
+        quantity: parseInt(req.body.quantity),
+        user_id: req.user.id,
+        reference: req.body.reference || null,
+        note: req.body.note
+      });
+
+      const levels = await getStockLevels([product.id]);
+
+      res.status(201).json({ success: true, movement, stock: withStock(product, levels) });
+    } catch (err) {
+      console.error('Record stock adjustment error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { Op } = require('sequelize');
+const { auth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { Media, ProductImage, Product, Category } = require('../models');
+const { referenceCountSql, storeMedia, releaseMedia, sweepMedia } = require('../services/mediaService');
+
+const router = express.Router();
+
+// File filter to only allow images
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|gif|webp/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (extname && mimetype) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'));
+  }
+};
+
+// Uploads are kept in memory and processed into a size set before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+/**
+ * @route   GET /api/media
+ * @desc    Browse the media library; ?q= searches file names, ?folder= filters by storage folder
+ *          and ?unused=true lists media that no product or category uses
+ * @access  Private (Admin)
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { q, folder, unused, page = 1, limit = 24 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    if (q) {
+      conditions.push({ file_name: { [Op.iLike]: `%${q}%` } });
+    }
+    if (folder) {
+      conditions.push({ folder });
+    }
+    if (unused === 'true') {
+      conditions.push(sequelize.literal(`${referenceCountSql()} = 0`));
+    }
+
+    const { count, rows: media } = await Media.findAndCountAll({
+      where: conditions.length > 0 ? { [Op.and]: conditions } : undefined,
+      attributes: {
+        exclude: ['hash'],
+        include: [[sequelize.literal(referenceCountSql()), 'reference_count']]
+      },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      media,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get media error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/media
+ * @desc    Upload images to the media library; files uploaded before are reused, not stored again
+ * @access  Private (Admin)
+ */
+router.post('/', [auth, admin, upload.array('files', 10)], async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const media = [];
+    for (const file of req.files) {
+      const stored = await storeMedia(file, { folder: 'uploads/media', prefix: 'media', userId: req.user.id });
+      media.push({ ...stored.media.toJSON(), reused: stored.reused });
+    }
+
+    res.status(201).json({ success: true, media });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Upload media error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/media/sweep
+ * @desc    Report media that nothing uses and files in storage without a record, past the grace
+ *          period; they are removed unless dry_run is true (the default)
+ * @access  Private (Admin)
+ */
+router.post('/sweep', [auth, admin], async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run !== false && req.body.dry_run !== 'false';
+    const report = await sweepMedia({ dryRun });
+
+    if (report.skipped) {
+      return res.status(409).json({ success: false, message: 'A sweep is already running' });
+    }
+
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error('Sweep media error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/media/:id
+ * @desc    Get a media item with the products and categories that use it
+ * @access  Private (Admin)
+ */
+router.get('/:id', [auth, admin], async (req, res) => {
+  try {
+    const media = await Media.findByPk(req.params.id, {
+      include: [
+        {
+          model: ProductImage,
+          as: 'productImages',
+          attributes: ['id', 'product_id', 'is_primary'],
+          include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'slug', 'model_number'] }]
+        },
+        {
+          model: Category,
+          as: 'categories',
+          attributes: ['id', 'name', 'slug']
+        }
+      ]
+    });
+
+    if (!media) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    res.json({ success: true, media });
+  } catch (err) {
+    console.error('Get media item error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Delete a media item and its files; media still in use can't be deleted
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const media = await Media.findByPk(req.params.id, {
+      attributes: ['id', [sequelize.literal(referenceCountSql()), 'reference_count']]
+    });
+
+    if (!media) {
+      return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    const referenceCount = media.get('reference_count');
+    if (referenceCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete media used by ${referenceCount} product images or categories. Please remove it from them first.`
+      });
+    }
+
+    await releaseMedia([media.id]);
+
+    res.json({ success: true, message: 'Media deleted successfully' });
+  } catch (err) {
+    console.error('Delete media error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const { auth, admin } = require('../middleware/auth');
+const { EmailOutbox } = require('../models');
+const { processOutbox, kickOutbox } = require('../services/notificationService');
+
+const router = express.Router();
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+/**
+ * @route   GET /api/notifications/outbox
+ * @desc    Get queued and sent emails, newest first; filter with ?status= and ?template=
+ * @access  Private (Admin)
+ */
+router.get('/outbox', [auth, admin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${OUTBOX_STATUSES.join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+    if (template) {
+      where.template = template;
+    }
+
+    const { count, rows: emails } = await EmailOutbox.findAndCountAll({
+      where,
+      attributes: { exclude: ['html', 'text'] },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      emails,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get email outbox error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/outbox/process
+ * @desc    Send the emails that are due now instead of waiting for the outbox worker
+ * @access  Private (Admin)
+ */
+router.post('/outbox/process', [auth, admin], async (req, res) => {
+  try {
+    const report = await processOutbox();
+
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error('Process email outbox error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/outbox/:id
+ * @desc    Get a queued or sent email with its content
+ * @access  Private (Admin)
+ */
+router.get('/outbox/:id', [auth, admin], async (req, res) => {
+  try {
+    const email = await EmailOutbox.findByPk(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    res.json({ success: true, email });
+  } catch (err) {
+    console.error('Get email error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/outbox/:id/retry
+ * @desc    Queue a failed email again with a fresh set of attempts
+ * @access  Private (Admin)
+ */
+router.post('/outbox/:id/retry', [auth, admin], async (req, res) => {
+  try {
+    const email = await EmailOutbox.findByPk(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    if (email.status !== 'failed') {
+      return res.status(400).json({ success: false, message: 'Only failed emails can be retried' });
+    }
+
+    await email.update({ status: 'pending', attempts: 0, next_attempt_at: new Date() });
+    kickOutbox();
+
+    res.json({ success: true, email });
+  } catch (err) {
+    console.error('Retry email error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { auth, admin } = require('../middleware/auth');
+const { Order, OrderItem, CartItem, User } = require('../models');
+const { getCart, getCartItems, resolveUnitPrice } = require('../services/cartService');
+const { getPricingContext, loadPriceBook } = require('../services/pricingService');
+const { createOrder, transitionOrder } = require('../services/orderService');
+
+const router = express.Router();
+
+// Relations returned with a single order
+const orderInclude = [
+  {
+    model: OrderItem,
+    as: 'items'
+  },
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'username', 'email']
+  }
+];
+
+/**
+ * @route   POST /api/orders
+ * @desc    Check out the current cart and create an order
+ * @access  Private
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('shipping_name').notEmpty().withMessage('Shipping name is required'),
+    body('shipping_email').optional().isEmail().withMessage('Please include a valid email'),
+    body('shipping_address').notEmpty().withMessage('Shipping address is required'),
+    body('shipping_city').notEmpty().withMessage('Shipping city is required'),
+    body('shipping_country').notEmpty().withMessage('Shipping country is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const cart = await getCart(req, res);
+      if (!cart) {
+        return res.status(400).json({ success: false, message: 'Your cart is empty' });
+      }
+
+      const pricing = await getPricingContext(req.user);
+
+      const order = await sequelize.transaction(async (transaction) => {
+        const items = await getCartItems(cart, { transaction });
+        if (items.length === 0) {
+          return null;
+        }
+
+        // Lines are charged at the buyer's price list tier for their quantity
+        const priceBook = await loadPriceBook(pricing, items.map(item => item.product_id), { transaction });
+        const lines = items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          unit_price: resolveUnitPrice(priceBook, item.product, item.variant, item.quantity)
+        }));
+
+        const inactive = lines.find(line => line.variant && !line.variant.is_active);
+        if (inactive) {
+          const error = new Error(`${inactive.product.name} (${inactive.variant.name}) is no longer available`);
+          error.status = 400;
+          throw error;
+        }
+
+        // Price on request products have to be quoted, they cannot be bought directly
+        const unpriced = lines.find(line => line.unit_price === null);
+        if (unpriced) {
+          const error = new Error(`${unpriced.product.name} has no price and cannot be ordered online`);
+          error.status = 400;
+          throw error;
+        }
+
+        const createdOrder = await createOrder({
+          userId: req.user.id,
+          lines,
+          shipping: {
+            shipping_name: req.body.shipping_name,
+            shipping_email: req.body.shipping_email || req.user.email,
+            shipping_phone: req.body.shipping_phone || null,
+            shipping_address: req.body.shipping_address,
+            shipping_city: req.body.shipping_city,
+            shipping_postal_code: req.body.shipping_postal_code || null,
+            shipping_country: req.body.shipping_country
+          },
+          notes: req.body.notes
+        }, transaction);
+
+        // Empty the cart once the order exists
+        await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
+
+        return createdOrder;
+      });
+
+      if (!order) {
+        return res.status(400).json({ success: false, message: 'Your cart is empty' });
+      }
+
+      const createdOrder = await Order.findByPk(order.id, { include: orderInclude });
+
+      res.status(201).json({ success: true, order: createdOrder });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Create order error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/orders
+ * @desc    Get the current user's orders
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: orders } = await Order.findAndCountAll({
+      where: { user_id: req.user.id },
+      include: [{ model: OrderItem, as: 'items' }],
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages
+      }
+    });
+  } catch (err) {
+    console.error('Get orders error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/orders/all
+ * @desc    Get all orders with optional filtering
+ * @access  Private (Admin)
+ */
+router.get('/all', [auth, admin], async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { order_number: { [Op.iLike]: `%${search}%` } },
+        { shipping_name: { [Op.iLike]: `%${search}%` } },
+        { shipping_email: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: orders } = await Order.findAndCountAll({
+      where,
+      include: orderInclude,
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages
+      }
+    });
+  } catch (err) {
+    console.error('Get all orders error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/orders/:id
+ * @desc    Get order by ID
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.id, { include: orderInclude });
+
+    if (!order || (order.user_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({ success: true, order });
+  } catch (err) {
+    console.error('Get order error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/orders/:id/status
+ * @desc    Move an order to a new status
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/status',
+  [auth, admin],
+  [
+    body('status').isIn(Object.keys(Order.STATUS_TRANSITIONS)).withMessage('Invalid order status')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const order = await Order.findByPk(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+
+      if (!order.canTransitionTo(req.body.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change order status from ${order.status} to ${req.body.status}`
+        });
+      }
+
+      await transitionOrder(order, req.body.status);
+
+      const updatedOrder = await Order.findByPk(order.id, { include: orderInclude });
+
+      res.json({ success: true, order: updatedOrder });
+    } catch (err) {
+      console.error('Update order status error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/orders/:id/cancel
+ * @desc    Cancel one of the current user's pending orders
+ * @access  Private (Owner)
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.id);
+
+    if (!order || order.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Customers may only cancel orders that have not been paid yet
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending orders can be cancelled'
+      });
+    }
+
+    await transitionOrder(order, 'cancelled');
+
+    res.json({ success: true, order });
+  } catch (err) {
+    console.error('Cancel order error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
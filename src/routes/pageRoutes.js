@@ -1,9 +1,89 @@
 const express = require('express');
 const path = require('path');
 const { auth, admin } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { Product, Category, ProductImage } = require('../models');
+const { findProductBySlug, productPath } = require('../services/slugService');
+const { translateProducts, translateCategories } = require('../services/translationService');
+const { productMeta, categoryMeta, metaDescription } = require('../services/seoService');
+const { CATEGORY_ORDER, descendantIds, categoryBreadcrumbs, buildTree } = require('../services/categoryService');
 
 const router = express.Router();
 
+// Products per page on category pages
+const CATEGORY_PAGE_SIZE = 12;
+
+const imageInclude = {
+  model: ProductImage,
+  as: 'images',
+  attributes: ProductImage.PUBLIC_ATTRIBUTES
+};
+
+/**
+ * URL of the primary (or first) image of a product at card size, or null
+ */
+const primaryImageUrl = (product) => {
+  const images = product.images || [];
+  const image = images.find(item => item.is_primary) || images[0];
+  if (!image) {
+    return null;
+  }
+  return image.sizes && image.sizes.card ? image.sizes.card.fallback : image.image_url;
+};
+
+/**
+ * Flatten a category tree into display order, each category with its depth
+ */
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(({ children, ...category }) => [
+  { ...category, depth },
+  ...flattenTree(children, depth + 1)
+]);
+
+/**
+ * Summary of a product for product cards, linking to its canonical page
+ */
+const productCard = (product, category) => ({
+  name: product.name,
+  summary: metaDescription((product.features || product.description || '').split('\n')[0]),
+  image_url: primaryImageUrl(product),
+  url: productPath(product, category)
+});
+
+/**
+ * Render the product detail page with the product's translated content
+ */
+const renderProductPage = async (req, res, product) => {
+  const [translated] = await translateProducts([product], req.locale);
+
+  const images = [...(translated.images || [])].sort((a, b) =>
+    (b.is_primary - a.is_primary) || (a.display_order - b.display_order) || (a.id - b.id)
+  );
+  const specifications = translated.specifications && typeof translated.specifications === 'object'
+    ? Object.entries(translated.specifications)
+    : [];
+
+  const relatedProducts = await Product.findAll({
+    where: { category_id: product.category_id, id: { [Op.ne]: product.id } },
+    include: [imageInclude],
+    order: [['created_at', 'DESC']],
+    limit: 4
+  });
+  const related = (await translateProducts(relatedProducts, req.locale))
+    .map(item => productCard(item, translated.category));
+
+  res.render('product-detail', {
+    locale: req.locale,
+    breadcrumbs: await categoryBreadcrumbs(product.category_id, req.locale),
+    meta: productMeta(req, { ...translated, images }, productPath(product, product.category)),
+    product: translated,
+    images,
+    paragraphs: (translated.description || '').split(/\n+/).map(text => text.trim()).filter(Boolean),
+    features: (translated.features || '').split('\n').map(text => text.trim()).filter(Boolean),
+    specifications,
+    related
+  });
+};
+
 /**
  * @route   GET /
  * @desc    Serve homepage
@@ -42,20 +122,86 @@ router.get('/products', (req, res) => {
 
 /**
  * @route   GET /products/:category
- * @desc    Serve category products page
+ * @desc    Render category products page, including the products of its subcategories
  * @access  Public
  */
-router.get('/products/:category', (req, res) => {
-  res.sendFile(path.join(__dirname, '../../views/product-listing.html'));
+router.get('/products/:category', async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ where: { slug: req.params.category } });
+    if (!category) {
+      return next();
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const { count, rows: products } = await Product.findAndCountAll({
+      where: { category_id: { [Op.in]: await descendantIds(category.id) } },
+      include: [{ model: Category, as: 'category', attributes: ['id', 'name', 'slug'] }, imageInclude],
+      distinct: true,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: CATEGORY_PAGE_SIZE,
+      offset: (page - 1) * CATEGORY_PAGE_SIZE
+    });
+
+    const [translatedCategory] = await translateCategories([category], req.locale);
+    const categories = flattenTree(buildTree(await translateCategories(
+      await Category.findAll({ order: CATEGORY_ORDER }),
+      req.locale
+    )));
+    const cards = (await translateProducts(products, req.locale))
+      .map(product => productCard(product, product.category));
+
+    res.render('product-listing', {
+      locale: req.locale,
+      meta: categoryMeta(req, translatedCategory, `/products/${category.slug}${page > 1 ? `?page=${page}` : ''}`),
+      category: translatedCategory,
+      breadcrumbs: await categoryBreadcrumbs(category.id, req.locale),
+      categories,
+      products: cards,
+      pagination: {
+        total: count,
+        page,
+        totalPages: Math.ceil(count / CATEGORY_PAGE_SIZE),
+        from: (page - 1) * CATEGORY_PAGE_SIZE + 1,
+        to: (page - 1) * CATEGORY_PAGE_SIZE + cards.length
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
  * @route   GET /products/:category/:id
- * @desc    Serve product detail page
+ * @desc    Render product detail page. Product IDs, former slugs and wrong categories
+ *          are redirected (301) to the canonical /products/:category/:slug URL
  * @access  Public
  */
-router.get('/products/:category/:id', (req, res) => {
-  res.sendFile(path.join(__dirname, '../../views/product-detail.html'));
+router.get('/products/:category/:id', async (req, res, next) => {
+  try {
+    const include = [{ model: Category, as: 'category', attributes: ['id', 'name', 'slug'] }, imageInclude];
+
+    let product = null;
+    if (/^\d+$/.test(req.params.id)) {
+      product = await Product.findByPk(req.params.id, { include });
+    } else {
+      const found = await findProductBySlug(req.params.id, { include });
+      product = found ? found.product : null;
+    }
+
+    if (!product) {
+      return next();
+    }
+
+    const canonicalPath = productPath(product, product.category);
+    if (req.path !== canonicalPath) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      return res.redirect(301, canonicalPath + (queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : ''));
+    }
+
+    await renderProductPage(req, res, product);
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
@@ -130,6 +276,15 @@ router.get('/admin/messages', (req, res) => {
   res.sendFile(path.join(__dirname, '../../views/admin/messages.html'));
 });
 
+/**
+ * @route   GET /admin/orders
+ * @desc    Serve admin orders page
+ * @access  Private (Admin)
+ */
+router.get('/admin/orders', (req, res) => {
+  res.sendFile(path.join(__dirname, '../../views/admin/orders.html'));
+});
+
 /**
  * @route   GET /admin/users
  * @desc    Serve admin users page
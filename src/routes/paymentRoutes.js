@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, admin } = require('../middleware/auth');
+const { Order, Payment } = require('../models');
+const { getProvider, listProviders } = require('../services/payments');
+const {
+  createPayment,
+  capturePayment,
+  refundPayment,
+  handleWebhookEvent
+} = require('../services/payments/paymentService');
+
+const router = express.Router();
+
+/**
+ * Send the response for an error thrown by the payment service
+ */
+const sendPaymentError = (res, err, label) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+/**
+ * Check that the current user owns the payment's order (or is an admin)
+ */
+const canAccessPayment = async (req, payment) => {
+  if (req.user.is_admin) {
+    return true;
+  }
+  const order = await Order.findByPk(payment.order_id, { attributes: ['user_id'] });
+  return order && order.user_id === req.user.id;
+};
+
+/**
+ * @route   GET /api/payments/providers
+ * @desc    List available payment providers
+ * @access  Public
+ */
+router.get('/providers', (req, res) => {
+  res.json({ success: true, providers: listProviders() });
+});
+
+/**
+ * @route   POST /api/payments/intents
+ * @desc    Start a payment for one of the current user's orders
+ * @access  Private
+ */
+router.post(
+  '/intents',
+  auth,
+  [
+    body('order_id').isInt().withMessage('Order is required'),
+    body('provider').notEmpty().withMessage('Payment provider is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const order = await Order.findByPk(req.body.order_id);
+      if (!order || order.user_id !== req.user.id) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+
+      const { payment, clientSecret } = await createPayment(order, req.body.provider);
+
+      res.status(201).json({ success: true, payment, client_secret: clientSecret });
+    } catch (err) {
+      sendPaymentError(res, err, 'Create payment intent');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/payments/:id/capture
+ * @desc    Capture a pending payment (Idempotency-Key header supported)
+ * @access  Private (Owner or Admin)
+ */
+router.post('/:id/capture', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id);
+    if (!payment || !(await canAccessPayment(req, payment))) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const capturedPayment = await capturePayment(payment.id, {
+      paymentMethod: req.body.payment_method,
+      idempotencyKey: req.header('Idempotency-Key')
+    });
+
+    if (capturedPayment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: 'Payment failed',
+        payment: capturedPayment
+      });
+    }
+
+    res.json({ success: true, payment: capturedPayment });
+  } catch (err) {
+    sendPaymentError(res, err, 'Capture payment');
+  }
+});
+
+/**
+ * @route   POST /api/payments/:id/refund
+ * @desc    Refund part or all of a payment (Idempotency-Key header required)
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/refund',
+  [auth, admin],
+  [
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const idempotencyKey = req.header('Idempotency-Key');
+    if (!idempotencyKey) {
+      return res.status(400).json({ success: false, message: 'Idempotency-Key header is required' });
+    }
+
+    try {
+      const payment = await refundPayment(req.params.id, {
+        amount: req.body.amount,
+        idempotencyKey
+      });
+
+      res.json({ success: true, payment });
+    } catch (err) {
+      sendPaymentError(res, err, 'Refund payment');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/order/:orderId
+ * @desc    Get the payments of an order
+ * @access  Private (Owner or Admin)
+ */
+router.get('/order/:orderId', auth, async (req, res) => {
+  try {
+    const order = await Order.findByPk(req.params.orderId);
+    if (!order || (order.user_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const payments = await Payment.findAll({
+      where: { order_id: order.id },
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ success: true, payments });
+  } catch (err) {
+    console.error('Get order payments error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Receive a signed webhook from a payment provider
+ * @access  Public (signature verified)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody, req.headers);
+  } catch (err) {
+    event = null;
+  }
+
+  if (!event) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  try {
+    await handleWebhookEvent(provider.name, event);
+
+    res.json({ success: true, received: true });
+  } catch (err) {
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
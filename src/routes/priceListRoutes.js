@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { auth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { PriceList, PriceListEntry, CustomerGroup, Product, ProductVariant } = require('../models');
+const { normalizeEntries } = require('../services/pricingService');
+
+const router = express.Router();
+
+// Validation shared by create and update; fields are optional on update
+const priceListValidation = [
+  body('name').optional().notEmpty().withMessage('Price list name cannot be empty'),
+  body('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  body('is_default').optional().isBoolean().withMessage('is_default must be a boolean'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+/**
+ * Read a boolean sent as JSON or form value, keeping the fallback when it is missing
+ */
+const booleanField = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+
+/**
+ * Clear the default flag of every other price list, so that the given one can be the default
+ */
+const clearDefault = (priceListId, transaction) => PriceList.update(
+  { is_default: false, updated_at: new Date() },
+  { where: { is_default: true, ...(priceListId ? { id: { [Op.ne]: priceListId } } : {}) }, transaction }
+);
+
+/**
+ * @route   GET /api/price-lists
+ * @desc    Get all price lists with the customer groups buying at them
+ * @access  Private (Admin)
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const priceLists = await PriceList.findAll({
+      include: [
+        {
+          model: CustomerGroup,
+          as: 'customerGroups',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['is_default', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({ success: true, priceLists });
+  } catch (err) {
+    console.error('Get price lists error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/price-lists/:id
+ * @desc    Get a price list with its quantity tiers, grouped by product
+ * @access  Private (Admin)
+ */
+router.get('/:id', [auth, admin], async (req, res) => {
+  try {
+    const priceList = await PriceList.findByPk(req.params.id, {
+      include: [
+        {
+          model: CustomerGroup,
+          as: 'customerGroups',
+          attributes: ['id', 'name']
+        },
+        {
+          model: PriceListEntry,
+          as: 'entries',
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'name', 'slug', 'model_number', 'price']
+            },
+            {
+              model: ProductVariant,
+              as: 'variant',
+              attributes: ['id', 'sku', 'name', 'price']
+            }
+          ]
+        }
+      ],
+      order: [
+        [{ model: PriceListEntry, as: 'entries' }, 'product_id', 'ASC'],
+        [{ model: PriceListEntry, as: 'entries' }, 'variant_id', 'ASC NULLS FIRST'],
+        [{ model: PriceListEntry, as: 'entries' }, 'min_quantity', 'ASC']
+      ]
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ success: false, message: 'Price list not found' });
+    }
+
+    res.json({ success: true, priceList });
+  } catch (err) {
+    console.error('Get price list error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/price-lists
+ * @desc    Create a price list; with is_default=true it replaces the current default list
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  [auth, admin],
+  [
+    body('name').notEmpty().withMessage('Price list name is required'),
+    ...priceListValidation
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      if (await PriceList.findOne({ where: { name: req.body.name } })) {
+        return res.status(400).json({ success: false, message: 'Price list with this name already exists' });
+      }
+
+      const isDefault = booleanField(req.body.is_default, false);
+      const priceList = await sequelize.transaction(async (transaction) => {
+        if (isDefault) {
+          await clearDefault(null, transaction);
+        }
+        return PriceList.create({
+          name: req.body.name,
+          description: req.body.description || null,
+          is_default: isDefault,
+          is_active: booleanField(req.body.is_active, true)
+        }, { transaction });
+      });
+
+      res.status(201).json({ success: true, priceList });
+    } catch (err) {
+      console.error('Create price list error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/price-lists/:id
+ * @desc    Update a price list
+ * @access  Private (Admin)
+ */
+router.put('/:id', [auth, admin], priceListValidation, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const priceList = await PriceList.findByPk(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({ success: false, message: 'Price list not found' });
+    }
+
+    // Check if name is being changed and if it already exists
+    if (req.body.name && req.body.name !== priceList.name &&
+        await PriceList.findOne({ where: { name: req.body.name } })) {
+      return res.status(400).json({ success: false, message: 'Price list with this name already exists' });
+    }
+
+    const isDefault = booleanField(req.body.is_default, priceList.is_default);
+    await sequelize.transaction(async (transaction) => {
+      if (isDefault && !priceList.is_default) {
+        await clearDefault(priceList.id, transaction);
+      }
+      await priceList.update({
+        name: req.body.name || priceList.name,
+        description: req.body.description !== undefined ? req.body.description || null : priceList.description,
+        is_default: isDefault,
+        is_active: booleanField(req.body.is_active, priceList.is_active)
+      }, { transaction });
+    });
+
+    res.json({ success: true, priceList });
+  } catch (err) {
+    console.error('Update price list error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/price-lists/:id/products/:productId
+ * @desc    Replace the quantity tiers of a product on a price list: tiers is a list of
+ *          { min_quantity, price } in the base currency; with variant_id they apply to that
+ *          variant only. An empty list removes the product (or variant) from the price list.
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/products/:productId',
+  [auth, admin],
+  [
+    body('tiers').isArray().withMessage('tiers must be an array'),
+    body('variant_id').optional({ values: 'null' }).isInt().withMessage('variant_id must be a variant ID')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const priceList = await PriceList.findByPk(req.params.id);
+      if (!priceList) {
+        return res.status(404).json({ success: false, message: 'Price list not found' });
+      }
+
+      const product = await Product.findByPk(req.params.productId, { attributes: ['id'] });
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const variantId = req.body.variant_id ? parseInt(req.body.variant_id) : null;
+      if (variantId && !await ProductVariant.findOne({ where: { id: variantId, product_id: product.id } })) {
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+
+      const tiers = normalizeEntries(req.body.tiers);
+      const where = { price_list_id: priceList.id, product_id: product.id, variant_id: variantId };
+
+      const entries = await sequelize.transaction(async (transaction) => {
+        await PriceListEntry.destroy({ where, transaction });
+        return PriceListEntry.bulkCreate(
+          tiers.map(tier => ({ ...where, ...tier })),
+          { transaction }
+        );
+      });
+
+      res.json({ success: true, entries });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Set price list tiers error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/price-lists/:id
+ * @desc    Delete a price list; its customer groups fall back to the default list
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const priceList = await PriceList.findByPk(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({ success: false, message: 'Price list not found' });
+    }
+
+    // Delete price list (cascade will delete its tiers and unassign its groups)
+    await priceList.destroy();
+
+    res.json({ success: true, message: 'Price list deleted successfully' });
+  } catch (err) {
+    console.error('Delete price list error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
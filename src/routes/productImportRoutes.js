@@ -0,0 +1,82 @@
+const express = require('express');
+const multer = require('multer');
+const { auth, admin } = require('../middleware/auth');
+const { importProducts, exportProducts } = require('../services/productImportService');
+
+const router = express.Router();
+
+// Import files are parsed in memory, only the images they contain are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit, for image zip files
+});
+
+/**
+ * @route   GET /api/products/export
+ * @desc    Export products as CSV or XLSX (?format=csv|xlsx, ?category=<slug>), with the
+ *          column layout used by the import
+ * @access  Private (Admin)
+ */
+router.get('/export', [auth, admin], async (req, res) => {
+  try {
+    const { contentType, extension, buffer } = await exportProducts({
+      format: req.query.format || 'csv',
+      category: req.query.category
+    });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="products-${date}.${extension}"`);
+    res.send(buffer);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Export products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/products/import
+ * @desc    Import products from a CSV or XLSX file (file) with columns model_number, name,
+ *          category (slug), price, description, features, images and spec.<key>. Products are
+ *          matched by model_number and updated, other rows create products. Images are URLs
+ *          or file names in an optional zip file (images), separated by "|".
+ *          With dry_run=true only the validation report is returned; nothing is saved
+ *          when any row is invalid.
+ * @access  Private (Admin)
+ */
+router.post(
+  '/import',
+  [auth, admin, upload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }])],
+  async (req, res) => {
+    try {
+      const file = req.files && req.files.file ? req.files.file[0] : null;
+      if (!file) {
+        return res.status(400).json({ success: false, message: 'No import file uploaded' });
+      }
+
+      const report = await importProducts({
+        file,
+        zip: req.files.images ? req.files.images[0] : null,
+        dryRun: req.body.dry_run === 'true' || req.body.dry_run === true,
+        userId: req.user.id
+      });
+
+      if (report.summary.failed > 0) {
+        return res.status(400).json({ success: false, message: 'Import contains invalid rows', report });
+      }
+
+      res.status(report.dry_run ? 200 : 201).json({ success: true, report });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Import products error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,32 +2,32 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { Op } = require('sequelize');
-const { auth, admin } = require('../middleware/auth');
-const { Product, Category, ProductImage } = require('../models');
+const { auth, optionalAuth, admin } = require('../middleware/auth');
+const { sequelize } = require('../config/database');
+const { Product, Category, ProductImage, ProductPrice, Media } = require('../models');
+const { inStockSql } = require('../services/inventoryService');
+const { buildVariantMatrix } = require('../services/variantService');
+const { searchSql, searchProducts } = require('../services/searchService');
+const { parseSpecFilters, specFilterSql } = require('../services/specService');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  resolveCurrency,
+  displayPriceSql,
+  localizeProducts,
+  localizeVariantMatrix
+} = require('../services/currencyService');
+const { getPricingContext } = require('../services/pricingService');
+const { translateProducts } = require('../services/translationService');
+const { findProductBySlug, productPath } = require('../services/slugService');
+const { storeMedia, releaseImages } = require('../services/mediaService');
+const { descendantIds, categoryBreadcrumbs } = require('../services/categoryService');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../public/uploads/products');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, 'product-' + uniqueSuffix + ext);
-  }
-});
+// Uploads are kept in memory and processed into a size set before being stored
+const storage = multer.memoryStorage();
 
 // File filter to only allow images
 const fileFilter = (req, file, cb) => {
@@ -48,15 +48,56 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+/**
+ * Add uploaded product images to the media library, one after the other to limit memory use.
+ * Returns the media of each file.
+ */
+const storeProductUploads = async (req) => {
+  const uploads = [];
+  for (const file of req.files || []) {
+    const { media } = await storeMedia(file, { folder: 'uploads/products', prefix: 'product', userId: req.user.id });
+    uploads.push(media);
+  }
+  return uploads;
+};
+
+/**
+ * Validate an optional price query parameter, returning the number or null if absent
+ */
+const parsePriceParam = (value, name) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const price = parseFloat(value);
+  if (isNaN(price) || price < 0) {
+    const error = new Error(`${name} must be a positive number`);
+    error.status = 400;
+    throw error;
+  }
+  return price;
+};
+
 /**
  * @route   GET /api/products
- * @desc    Get all products with optional filtering
+ * @desc    Get all products with optional filtering, including spec.<key>=<value>
+ *          and spec.<key>[gte|gt|lte|lt]=<number> specification filters.
+ *          Products without a price ("price on request") are left out when a
+ *          price range is given and listed last when sorting by price.
+ *          Prices are returned in ?currency= (default base currency) as display_price;
+ *          min_price/max_price are given in that currency too.
+ *          With ?include_descendants=true, ?category= also matches its subcategories.
+ *          Logged in customers see the prices and quantity tiers of their price list;
+ *          price filters, price sorting and price_range use those prices too.
  * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { category, search, sort, page = 1, limit = 10 } = req.query;
+    const { category, search, sort, in_stock, page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
+    const target = await resolveCurrency(req.query.currency);
+    const pricing = await getPricingContext(req.user);
+    const minPrice = parsePriceParam(req.query.min_price, 'min_price');
+    const maxPrice = parsePriceParam(req.query.max_price, 'max_price');
     
     // Build query options
     const queryOptions = {
@@ -69,31 +110,66 @@ router.get('/', async (req, res) => {
         {
           model: ProductImage,
           as: 'images',
-          attributes: ['id', 'image_url', 'is_primary']
+          attributes: ProductImage.PUBLIC_ATTRIBUTES
         }
       ],
+      attributes: {
+        include: [[sequelize.literal(inStockSql()), 'in_stock']]
+      },
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['createdAt', 'DESC']] // Default sorting
+      order: [['created_at', 'DESC']] // Default sorting
     };
     
-    // Add category filter if provided
+    // Conditions on the product itself, combined with AND
+    const conditions = [];
+
+    // Add category filter if provided, optionally with all its subcategories
+    let categoryWhere = null;
     if (category) {
-      queryOptions.include[0].where = { slug: category };
+      categoryWhere = { slug: category };
+      if (req.query.include_descendants === 'true') {
+        const parentCategory = await Category.findOne({ where: { slug: category }, attributes: ['id'] });
+        if (parentCategory) {
+          categoryWhere = { id: { [Op.in]: await descendantIds(parentCategory.id) } };
+        }
+      }
+      queryOptions.include[0].where = categoryWhere;
     }
-    
-    // Add search filter if provided
+
+    // Add full-text search filter if provided, ranked by relevance unless sorted otherwise
     if (search) {
-      queryOptions.where = {
-        ...queryOptions.where,
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${search}%` } },
-          { model_number: { [Op.iLike]: `%${search}%` } },
-          { description: { [Op.iLike]: `%${search}%` } }
-        ]
-      };
+      const { match, rank } = searchSql(search);
+      conditions.push(sequelize.literal(match));
+      queryOptions.attributes.include.push([sequelize.literal(rank), 'search_rank']);
+      queryOptions.order = [[sequelize.literal('search_rank'), 'DESC']];
     }
-    
+
+    // Add stock filter if provided
+    if (in_stock === 'true' || in_stock === 'false') {
+      conditions.push(sequelize.literal(in_stock === 'true' ? inStockSql() : `NOT ${inStockSql()}`));
+    }
+
+    // Add specification filters if provided
+    parseSpecFilters(req.query).forEach(filter => {
+      conditions.push(sequelize.literal(specFilterSql(filter)));
+    });
+
+    // Add price range filter if provided (never matches products without a price).
+    // Filter, sort and bounds use the price shown to the customer in the requested currency,
+    // including their price list price.
+    const priceSql = sequelize.literal(displayPriceSql(target, { pricing }));
+    if (minPrice !== null) {
+      conditions.push(sequelize.where(priceSql, { [Op.gte]: minPrice }));
+    }
+    if (maxPrice !== null) {
+      conditions.push(sequelize.where(priceSql, { [Op.lte]: maxPrice }));
+    }
+
+    if (conditions.length > 0) {
+      queryOptions.where = { [Op.and]: conditions };
+    }
+
     // Add sorting if provided
     if (sort) {
       switch (sort) {
@@ -104,21 +180,53 @@ router.get('/', async (req, res) => {
           queryOptions.order = [['name', 'DESC']];
           break;
         case 'oldest':
-          queryOptions.order = [['createdAt', 'ASC']];
+          queryOptions.order = [['created_at', 'ASC']];
+          break;
+        case 'price-asc':
+          queryOptions.order = [[priceSql, 'ASC NULLS LAST'], ['id', 'ASC']];
+          break;
+        case 'price-desc':
+          queryOptions.order = [[priceSql, 'DESC NULLS LAST'], ['id', 'ASC']];
           break;
         // Default is newest first (already set)
       }
     }
+
+    // Images of each product in display order
+    queryOptions.order.push(...ProductImage.includeOrder());
     
     // Get products with count
     const { count, rows: products } = await Product.findAndCountAll(queryOptions);
     
+    // Price bounds of the whole result set (all pages), for price slider UIs
+    const priceRange = await Product.findOne({
+      where: queryOptions.where,
+      include: categoryWhere ? [{ model: Category, as: 'category', attributes: [], where: categoryWhere }] : [],
+      attributes: [
+        [sequelize.fn('MIN', priceSql), 'min'],
+        [sequelize.fn('MAX', priceSql), 'max'],
+        [sequelize.literal(`COUNT(*) FILTER (WHERE ${displayPriceSql(target, { pricing })} IS NULL)`), 'price_on_request']
+      ],
+      raw: true
+    });
+    
     // Calculate pagination info
     const totalPages = Math.ceil(count / limit);
     
     res.json({
       success: true,
-      products,
+      currency: target.currency,
+      locale: req.locale,
+      products: await localizeProducts(
+        await translateProducts(products, req.locale),
+        target,
+        pricing
+      ),
+      price_range: {
+        min: priceRange.min === null ? null : parseFloat(priceRange.min),
+        max: priceRange.max === null ? null : parseFloat(priceRange.max),
+        price_on_request: parseInt(priceRange.price_on_request)
+      },
       pagination: {
         total: count,
         page: parseInt(page),
@@ -127,39 +235,156 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Get products error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+/**
+ * @route   GET /api/products/search
+ * @desc    Full-text search with ranking, highlighted snippets and facet counts
+ * @access  Public
+ */
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q, category, page = 1, limit = 10 } = req.query;
+    const term = (q || '').trim();
+    const target = await resolveCurrency(req.query.currency);
+    const pricing = await getPricingContext(req.user);
+
+    if (!term) {
+      return res.status(400).json({ success: false, message: 'Search query is required' });
+    }
+
+    const { products, total, facets, correctedQuery } = await searchProducts(term, {
+      category,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      query: term,
+      corrected_query: correctedQuery,
+      currency: target.currency,
+      locale: req.locale,
+      products: await localizeProducts(
+        await translateProducts(products, req.locale),
+        target,
+        pricing
+      ),
+      facets,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Search products error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Options for loading a product with everything the detail response needs
+const detailOptions = () => ({
+  attributes: {
+    include: [[sequelize.literal(inStockSql()), 'in_stock']]
+  },
+  include: [
+    {
+      model: Category,
+      as: 'category',
+      attributes: ['id', 'name', 'slug']
+    },
+    {
+      model: ProductImage,
+      as: 'images',
+      attributes: ProductImage.PUBLIC_ATTRIBUTES
+    }
+  ],
+  order: ProductImage.includeOrder()
+});
+
+/**
+ * Send a product with its variant matrix, translated and priced for the request and its caller
+ */
+const sendProductDetail = async (req, res, product) => {
+  const target = await resolveCurrency(req.query.currency);
+  const pricing = await getPricingContext(req.user);
+  const variantMatrix = await buildVariantMatrix(product);
+  const [localizedProduct] = await localizeProducts(await translateProducts([product], req.locale), target, pricing);
+
+  res.json({
+    success: true,
+    locale: req.locale,
+    currency: target.currency,
+    product: localizedProduct,
+    url: productPath(product, product.category),
+    breadcrumbs: await categoryBreadcrumbs(product.category_id, req.locale),
+    variant_matrix: await localizeVariantMatrix(variantMatrix, product, target, pricing)
+  });
+};
+
+/**
+ * @route   GET /api/products/slug/:slug
+ * @desc    Get product by slug; former slugs redirect (301) to the current one
+ * @access  Public
+ */
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const found = await findProductBySlug(req.params.slug, detailOptions());
+    
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    
+    if (!found.current) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      return res.redirect(
+        301,
+        `${req.baseUrl}/slug/${found.product.slug}${queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : ''}`
+      );
+    }
+    
+    await sendProductDetail(req, res, found.product);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Get product by slug error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * @route   GET /api/products/:id
  * @desc    Get product by ID
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const product = await Product.findByPk(req.params.id, {
-      include: [
-        {
-          model: Category,
-          as: 'category',
-          attributes: ['id', 'name', 'slug']
-        },
-        {
-          model: ProductImage,
-          as: 'images',
-          attributes: ['id', 'image_url', 'is_primary']
-        }
-      ]
-    });
+    const product = await Product.findByPk(req.params.id, detailOptions());
     
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
     
-    res.json({ success: true, product });
+    await sendProductDetail(req, res, product);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('Get product error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -193,6 +418,9 @@ router.post(
         return res.status(400).json({ success: false, message: 'Invalid category' });
       }
       
+      // Process uploaded images before anything is saved
+      const uploads = await storeProductUploads(req);
+      
       // Create product
       const product = await Product.create({
         name: req.body.name,
@@ -201,15 +429,20 @@ router.post(
         description: req.body.description,
         features: req.body.features || null,
         specifications: req.body.specifications ? JSON.parse(req.body.specifications) : null,
-        price: req.body.price || null
+        price: req.body.price || null,
+        track_inventory: req.body.track_inventory === 'true' || req.body.track_inventory === true,
+        low_stock_threshold: req.body.low_stock_threshold ? parseInt(req.body.low_stock_threshold) : null
       });
       
-      // Process uploaded images
-      if (req.files && req.files.length > 0) {
-        const productImages = req.files.map((file, index) => ({
+      // Save processed images
+      if (uploads.length > 0) {
+        const productImages = uploads.map((upload, index) => ({
           product_id: product.id,
-          image_url: `/uploads/products/${file.filename}`,
-          is_primary: index === 0 // First image is primary
+          media_id: upload.id,
+          image_url: upload.image_url,
+          sizes: upload.sizes,
+          is_primary: index === 0, // First image is primary
+          display_order: index
         }));
         
         await ProductImage.bulkCreate(productImages);
@@ -226,13 +459,17 @@ router.post(
           {
             model: ProductImage,
             as: 'images',
-            attributes: ['id', 'image_url', 'is_primary']
+            attributes: ProductImage.PUBLIC_ATTRIBUTES
           }
-        ]
+        ],
+        order: ProductImage.includeOrder()
       });
       
       res.status(201).json({ success: true, product: createdProduct });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Create product error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -263,6 +500,9 @@ router.put(
         }
       }
       
+      // Process uploaded images before anything is saved
+      const uploads = await storeProductUploads(req);
+      
       // Update product
       await product.update({
         name: req.body.name || product.name,
@@ -271,40 +511,48 @@ router.put(
         description: req.body.description || product.description,
         features: req.body.features || product.features,
         specifications: req.body.specifications ? JSON.parse(req.body.specifications) : product.specifications,
-        price: req.body.price || product.price
+        price: req.body.price || product.price,
+        track_inventory: req.body.track_inventory !== undefined
+          ? req.body.track_inventory === 'true' || req.body.track_inventory === true
+          : product.track_inventory,
+        low_stock_threshold: req.body.low_stock_threshold !== undefined
+          ? (req.body.low_stock_threshold === '' || req.body.low_stock_threshold === null ? null : parseInt(req.body.low_stock_threshold))
+          : product.low_stock_threshold
       });
       
-      // Process uploaded images if any
-      if (req.files && req.files.length > 0) {
+      // Save processed images if any
+      if (uploads.length > 0) {
         // If replace_images flag is set, delete existing images
+        let replacedImages = [];
         if (req.body.replace_images === 'true') {
           // Get existing images
-          const existingImages = await ProductImage.findAll({
+          replacedImages = await ProductImage.findAll({
             where: { product_id: product.id }
           });
           
-          // Delete image files
-          for (const image of existingImages) {
-            const imagePath = path.join(__dirname, '../../public', image.image_url);
-            if (fs.existsSync(imagePath)) {
-              fs.unlinkSync(imagePath);
-            }
-          }
-          
           // Delete image records
           await ProductImage.destroy({
             where: { product_id: product.id }
           });
         }
         
-        // Add new images
-        const productImages = req.files.map((file, index) => ({
+        // Add new images after the existing ones
+        const lastOrder = req.body.replace_images === 'true'
+          ? -1
+          : (await ProductImage.max('display_order', { where: { product_id: product.id } })) ?? -1;
+        const productImages = uploads.map((upload, index) => ({
           product_id: product.id,
-          image_url: `/uploads/products/${file.filename}`,
-          is_primary: index === 0 && req.body.replace_images === 'true' // First image is primary if replacing
+          media_id: upload.id,
+          image_url: upload.image_url,
+          sizes: upload.sizes,
+          is_primary: index === 0 && req.body.replace_images === 'true', // First image is primary if replacing
+          display_order: lastOrder + 1 + index
         }));
         
         await ProductImage.bulkCreate(productImages);
+        
+        // Free the files of replaced images that no other image uses (a re-uploaded file keeps its media)
+        await releaseImages(replacedImages);
       }
       
       // Get the updated product with relations
@@ -318,19 +566,401 @@ router.put(
           {
             model: ProductImage,
             as: 'images',
-            attributes: ['id', 'image_url', 'is_primary']
+            attributes: ProductImage.PUBLIC_ATTRIBUTES
           }
-        ]
+        ],
+        order: ProductImage.includeOrder()
       });
       
       res.json({ success: true, product: updatedProduct });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Update product error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
+/**
+ * @route   GET /api/products/:id/prices
+ * @desc    Get the manual per-currency prices of a product
+ * @access  Private (Admin)
+ */
+router.get('/:id/prices', [auth, admin], async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const prices = await ProductPrice.findAll({
+      where: { product_id: product.id },
+      order: [['currency', 'ASC']]
+    });
+
+    res.json({ success: true, base_currency: BASE_CURRENCY, base_price: product.price, prices });
+  } catch (err) {
+    console.error('Get product prices error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/products/:id/prices/:currency
+ * @desc    Set a manual price in a currency, used instead of the converted base price
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/prices/:currency',
+  [auth, admin],
+  [
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.id);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const { currency } = await resolveCurrency(req.params.currency);
+      if (currency === BASE_CURRENCY) {
+        return res.status(400).json({
+          success: false,
+          message: `Set the ${BASE_CURRENCY} price on the product itself`
+        });
+      }
+
+      let productPrice = await ProductPrice.findOne({ where: { product_id: product.id, currency } });
+      if (productPrice) {
+        await productPrice.update({ price: req.body.price });
+      } else {
+        productPrice = await ProductPrice.create({ product_id: product.id, currency, price: req.body.price });
+      }
+
+      res.json({ success: true, price: productPrice });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Set product price error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/products/:id/prices/:currency
+ * @desc    Remove a manual price, the converted base price is used again
+ * @access  Private (Admin)
+ */
+router.delete('/:id/prices/:currency', [auth, admin], async (req, res) => {
+  try {
+    const productPrice = await ProductPrice.findOne({
+      where: { product_id: req.params.id, currency: normalizeCurrency(req.params.currency) }
+    });
+
+    if (!productPrice) {
+      return res.status(404).json({ success: false, message: 'Price not found' });
+    }
+
+    await productPrice.destroy();
+
+    res.json({ success: true, message: 'Price deleted successfully' });
+  } catch (err) {
+    console.error('Delete product price error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Images of a product in display order
+ */
+const findProductImages = (productId, options = {}) => ProductImage.findAll({
+  where: { product_id: productId },
+  attributes: ProductImage.PUBLIC_ATTRIBUTES,
+  order: [['display_order', 'ASC'], ['id', 'ASC']],
+  ...options
+});
+
+/**
+ * Lock a product row for the rest of a transaction, so concurrent image changes
+ * of the same product run one after the other. Returns null if it doesn't exist.
+ */
+const lockProduct = (productId, transaction) => Product.findByPk(productId, {
+  attributes: ['id'],
+  lock: transaction.LOCK.UPDATE,
+  transaction
+});
+
+/**
+ * @route   POST /api/products/:id/images
+ * @desc    Add images to a product, uploaded (images) and/or reused from the media library
+ *          (media_ids, an array or comma-separated list); they are added after the existing images
+ * @access  Private (Admin)
+ */
+router.post('/:id/images', [auth, admin, upload.array('images', 10)], async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const mediaIds = [].concat(req.body.media_ids || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (mediaIds.some(id => !/^\d+$/.test(id))) {
+      return res.status(400).json({ success: false, message: 'media_ids must contain media IDs' });
+    }
+
+    const libraryMedia = await Media.findAll({ where: { id: { [Op.in]: mediaIds.map(Number) } } });
+    const mediaById = new Map(libraryMedia.map(media => [media.id, media]));
+    if (mediaIds.some(id => !mediaById.has(Number(id)))) {
+      return res.status(400).json({ success: false, message: 'Media not found' });
+    }
+
+    // Library media first, in the order given, then uploads
+    const media = [...mediaIds.map(id => mediaById.get(Number(id))), ...await storeProductUploads(req)];
+    if (media.length === 0) {
+      return res.status(400).json({ success: false, message: 'No images given' });
+    }
+
+    const images = await sequelize.transaction(async (transaction) => {
+      await lockProduct(product.id, transaction);
+
+      const existing = await ProductImage.findAll({
+        where: { product_id: product.id },
+        attributes: ['display_order', 'is_primary'],
+        transaction
+      });
+      const lastOrder = existing.reduce((max, image) => Math.max(max, image.display_order), -1);
+      const hasPrimary = existing.some(image => image.is_primary);
+
+      await ProductImage.bulkCreate(media.map((item, index) => ({
+        product_id: product.id,
+        media_id: item.id,
+        image_url: item.image_url,
+        sizes: item.sizes,
+        is_primary: index === 0 && !hasPrimary, // First image is primary if the product has none
+        display_order: lastOrder + 1 + index
+      })), { transaction });
+
+      return findProductImages(product.id, { transaction });
+    });
+
+    res.status(201).json({ success: true, images });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Add product images error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/products/:id/images/order
+ * @desc    Reorder the images of a product; image_ids must list every image once, in the new order
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/images/order',
+  [auth, admin],
+  [
+    body('image_ids').isArray({ min: 1 }).withMessage('image_ids must be a non-empty array'),
+    body('image_ids.*').isInt().withMessage('image_ids must contain image IDs')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const imageIds = req.body.image_ids.map(id => parseInt(id));
+
+      const images = await sequelize.transaction(async (transaction) => {
+        if (!(await lockProduct(req.params.id, transaction))) {
+          return null;
+        }
+
+        const existing = await ProductImage.findAll({
+          where: { product_id: req.params.id },
+          attributes: ['id'],
+          transaction
+        });
+        const existingIds = new Set(existing.map(image => image.id));
+        if (imageIds.length !== existingIds.size || new Set(imageIds).size !== imageIds.length ||
+            imageIds.some(id => !existingIds.has(id))) {
+          const error = new Error('image_ids must list every image of the product exactly once');
+          error.status = 400;
+          throw error;
+        }
+
+        for (const [index, id] of imageIds.entries()) {
+          await ProductImage.update({ display_order: index }, { where: { id }, transaction });
+        }
+
+        return findProductImages(req.params.id, { transaction });
+      });
+
+      if (!images) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      res.json({ success: true, images });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Reorder product images error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/products/:id/images/:imageId/primary
+ * @desc    Make an image the primary image of its product, clearing the flag on all others
+ * @access  Private (Admin)
+ */
+router.put('/:id/images/:imageId/primary', [auth, admin], async (req, res) => {
+  try {
+    const images = await sequelize.transaction(async (transaction) => {
+      if (!(await lockProduct(req.params.id, transaction))) {
+        return null;
+      }
+
+      const image = await ProductImage.findOne({
+        where: { id: req.params.imageId, product_id: req.params.id },
+        transaction
+      });
+      if (!image) {
+        return null;
+      }
+
+      await ProductImage.update(
+        { is_primary: false },
+        { where: { product_id: req.params.id, id: { [Op.ne]: image.id } }, transaction }
+      );
+      await image.update({ is_primary: true }, { transaction });
+
+      return findProductImages(req.params.id, { transaction });
+    });
+
+    if (!images) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    res.json({ success: true, images });
+  } catch (err) {
+    console.error('Set primary image error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/products/:id/images/:imageId
+ * @desc    Update the alt text of a product image
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/images/:imageId',
+  [auth, admin],
+  [
+    body('alt_text').optional({ nullable: true }).isString().withMessage('Alt text must be a string')
+      .isLength({ max: 255 }).withMessage('Alt text must be at most 255 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const image = await ProductImage.findOne({
+        where: { id: req.params.imageId, product_id: req.params.id }
+      });
+      if (!image) {
+        return res.status(404).json({ success: false, message: 'Image not found' });
+      }
+
+      if (req.body.alt_text !== undefined) {
+        const altText = req.body.alt_text === null ? '' : req.body.alt_text.trim();
+        await image.update({ alt_text: altText || null });
+      }
+
+      const [updatedImage] = await ProductImage.findAll({
+        where: { id: image.id },
+        attributes: ProductImage.PUBLIC_ATTRIBUTES
+      });
+
+      res.json({ success: true, image: updatedImage });
+    } catch (err) {
+      console.error('Update product image error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/products/:id/images/:imageId
+ * @desc    Delete a single product image; if it was the primary image, the next image
+ *          in display order becomes primary
+ * @access  Private (Admin)
+ */
+router.delete('/:id/images/:imageId', [auth, admin], async (req, res) => {
+  try {
+    const deleted = await sequelize.transaction(async (transaction) => {
+      if (!(await lockProduct(req.params.id, transaction))) {
+        return null;
+      }
+
+      const image = await ProductImage.findOne({
+        where: { id: req.params.imageId, product_id: req.params.id },
+        transaction
+      });
+      if (!image) {
+        return null;
+      }
+
+      await image.destroy({ transaction });
+
+      if (image.is_primary) {
+        const [next] = await findProductImages(req.params.id, { limit: 1, transaction });
+        if (next) {
+          await ProductImage.update({ is_primary: true }, { where: { id: next.id }, transaction });
+        }
+      }
+
+      return image;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    // Remove files only once the record is gone for good
+    await releaseImages([deleted]);
+
+    res.json({ success: true, images: await findProductImages(req.params.id) });
+  } catch (err) {
+    console.error('Delete product image error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 /**
  * @route   DELETE /api/products/:id
  * @desc    Delete a product
@@ -349,17 +979,12 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       where: { product_id: product.id }
     });
     
-    // Delete image files
-    for (const image of images) {
-      const imagePath = path.join(__dirname, '../../public', image.image_url);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    }
-    
     // Delete product (cascade will delete images)
     await product.destroy();
     
+    // Free the image files no other product uses
+    await releaseImages(images);
+    
     res.json({ success: true, message: 'Product deleted successfully' });
   } catch (err) {
     console.error('Delete product error:', err);
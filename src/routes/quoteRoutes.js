@@ -0,0 +1,477 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { auth, admin } = require('../middleware/auth');
+const { QuoteRequest, QuoteRequestItem, QuoteAttachment, Order, OrderItem, User } = require('../models');
+const {
+  createQuoteRequest,
+  readQuoteAttachment,
+  removeQuoteAttachmentFiles,
+  expireQuotes,
+  respondToQuote,
+  acceptQuote,
+  quotationPdf
+} = require('../services/quoteService');
+const { notifyQuoteRequested, notifyQuoteReady } = require('../services/notificationService');
+
+const router = express.Router();
+
+// File filter allowing logos, artwork and documents. No SVG or HTML: attachments are
+// opened by admins, and scriptable files could run with their session.
+const fileFilter = (req, file, cb) => {
+  const extname = /^\.(jpe?g|png|gif|webp|pdf|ai|eps|zip)$/.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = /^(image\/(jpeg|png|gif|webp|x-eps)|application\/(pdf|postscript|illustrator|eps|zip|x-zip-compressed|octet-stream))$/
+    .test(file.mimetype);
+
+  if (extname && mimetype) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Attachments must be images, PDF, AI, EPS or ZIP files'));
+  }
+};
+
+// Attachments are kept in memory and written to storage with the quote request
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+// Relations returned with a single quote request
+const quoteInclude = [
+  {
+    model: QuoteRequestItem,
+    as: 'items'
+  },
+  {
+    model: QuoteAttachment,
+    as: 'attachments'
+  },
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'username', 'email']
+  }
+];
+
+const quoteOrder = [
+  [{ model: QuoteRequestItem, as: 'items' }, 'id', 'ASC'],
+  [{ model: QuoteAttachment, as: 'attachments' }, 'id', 'ASC']
+];
+
+/**
+ * Find a quote request the current user may see: their own, or any for admins
+ */
+const findVisibleQuote = async (req) => {
+  const quote = await QuoteRequest.findByPk(req.params.id, { include: quoteInclude, order: quoteOrder });
+  if (!quote || (quote.user_id !== req.user.id && !req.user.is_admin)) {
+    return null;
+  }
+  return quote;
+};
+
+/**
+ * @route   POST /api/quotes
+ * @desc    Submit a quote request (multipart or JSON): items is a list of
+ *          { product_id, variant_id, quantity, customization } (JSON text in multipart forms),
+ *          with up to 5 attachments (logos, artwork) in attachments
+ * @access  Private
+ */
+router.post(
+  '/',
+  [auth, upload.array('attachments', 5)],
+  [
+    body('contact_name').notEmpty().withMessage('Contact name is required'),
+    body('email').optional().isEmail().withMessage('Please include a valid email'),
+    body('items').notEmpty().withMessage('At least one item is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const quote = await createQuoteRequest({
+        userId: req.user.id,
+        details: {
+          contact_name: req.body.contact_name,
+          email: req.body.email || req.user.email,
+          company: req.body.company || null,
+          phone: req.body.phone || null,
+          country: req.body.country || null,
+          customization_notes: req.body.customization_notes || null,
+          notes: req.body.notes || null,
+          locale: req.locale
+        },
+        items: req.body.items,
+        files: req.files || []
+      });
+
+      const createdQuote = await QuoteRequest.findByPk(quote.id, { include: quoteInclude, order: quoteOrder });
+      await notifyQuoteRequested(createdQuote, createdQuote.items);
+
+      res.status(201).json({ success: true, quote: createdQuote });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Create quote request error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/quotes
+ * @desc    Get the current user's quote requests
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    await expireQuotes();
+
+    const { count, rows: quotes } = await QuoteRequest.findAndCountAll({
+      where: { user_id: req.user.id },
+      include: [{ model: QuoteRequestItem, as: 'items' }],
+      distinct: true,
+      order: [['created_at', 'DESC'], [{ model: QuoteRequestItem, as: 'items' }, 'id', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      quotes,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get quote requests error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/quotes/all
+ * @desc    Get all quote requests, optionally filtered by ?status=
+ * @access  Private (Admin)
+ */
+router.get('/all', [auth, admin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      if (!QuoteRequest.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${QuoteRequest.STATUSES.join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+
+    await expireQuotes();
+
+    const { count, rows: quotes } = await QuoteRequest.findAndCountAll({
+      where,
+      include: [
+        { model: QuoteRequestItem, as: 'items' },
+        { model: User, as: 'user', attributes: ['id', 'username', 'email'] }
+      ],
+      distinct: true,
+      order: [['created_at', 'DESC'], [{ model: QuoteRequestItem, as: 'items' }, 'id', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      quotes,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get all quote requests error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/quotes/:id
+ * @desc    Get a quote request with its items and attachments
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    await expireQuotes();
+
+    const quote = await findVisibleQuote(req);
+    if (!quote) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    res.json({ success: true, quote });
+  } catch (err) {
+    console.error('Get quote request error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/quotes/:id/attachments/:attachmentId
+ * @desc    Download an attachment of a quote request
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const quote = await findVisibleQuote(req);
+    if (!quote) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    const attachment = quote.attachments.find(candidate => String(candidate.id) === req.params.attachmentId);
+    const file = attachment ? await readQuoteAttachment(attachment) : null;
+    if (!file) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    // Always a download, never rendered by the browser
+    res.attachment(attachment.file_name);
+    res.set('Content-Type', attachment.mime_type);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(file);
+  } catch (err) {
+    console.error('Quote attachment download error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/quotes/:id/pdf
+ * @desc    Download the quotation of a quoted request as a PDF
+ * @access  Private (Owner or Admin)
+ */
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const quote = await findVisibleQuote(req);
+    if (!quote) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    if (!quote.quoted_at) {
+      return res.status(400).json({ success: false, message: 'This request has not been quoted yet' });
+    }
+
+    const pdf = await quotationPdf(quote);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="quotation-${quote.quote_number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('Quotation PDF error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/quotes/:id/quote
+ * @desc    Quote a request: items is a list of { id, moq, price_tiers: [{ min_quantity, unit_price }] };
+ *          lines left out are quoted at the buyer's price list tiers (or list_price).
+ *          valid_until is the last day the quote can be accepted
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/quote',
+  [auth, admin],
+  [
+    body('items').optional().isArray().withMessage('items must be an array'),
+    body('valid_until').isISO8601().withMessage('valid_until must be a date'),
+    body('quote_notes').optional({ values: 'null' }).isString().withMessage('quote_notes must be text')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const quote = await respondToQuote(req.params.id, {
+        items: req.body.items,
+        validUntil: req.body.valid_until.slice(0, 10),
+        quoteNotes: req.body.quote_notes,
+        userId: req.user.id
+      });
+
+      await notifyQuoteReady(quote, quote.locale);
+
+      const quotedQuote = await QuoteRequest.findByPk(quote.id, { include: quoteInclude, order: quoteOrder });
+
+      res.json({ success: true, quote: quotedQuote });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Quote request error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/quotes/:id/decline
+ * @desc    Decline a quote request, with an optional note to the buyer in quote_notes
+ * @access  Private (Admin)
+ */
+router.post('/:id/decline', [auth, admin], async (req, res) => {
+  try {
+    const quote = await QuoteRequest.findByPk(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    if (!['submitted', 'quoted'].includes(quote.status)) {
+      return res.status(400).json({ success: false, message: `A quote request that is ${quote.status} cannot be declined` });
+    }
+
+    await quote.update({
+      status: 'declined',
+      quote_notes: req.body.quote_notes !== undefined ? req.body.quote_notes || null : quote.quote_notes
+    });
+
+    res.json({ success: true, quote });
+  } catch (err) {
+    console.error('Decline quote request error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/quotes/:id/cancel
+ * @desc    Withdraw a quote request that hasn't been accepted
+ * @access  Private (Owner)
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const quote = await QuoteRequest.findByPk(req.params.id);
+    if (!quote || quote.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    if (!['submitted', 'quoted'].includes(quote.status)) {
+      return res.status(400).json({ success: false, message: `A quote request that is ${quote.status} cannot be cancelled` });
+    }
+
+    await quote.update({ status: 'cancelled' });
+
+    res.json({ success: true, quote });
+  } catch (err) {
+    console.error('Cancel quote request error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/quotes/:id/accept
+ * @desc    Accept a quotation and place it as an order at the quoted prices. Line quantities
+ *          can be changed with quantities ({ itemId: quantity }) within the MOQ and price tiers.
+ * @access  Private (Owner)
+ */
+router.post(
+  '/:id/accept',
+  auth,
+  [
+    body('shipping_name').notEmpty().withMessage('Shipping name is required'),
+    body('shipping_email').optional().isEmail().withMessage('Please include a valid email'),
+    body('shipping_address').notEmpty().withMessage('Shipping address is required'),
+    body('shipping_city').notEmpty().withMessage('Shipping city is required'),
+    body('shipping_country').notEmpty().withMessage('Shipping country is required'),
+    body('quantities').optional().isObject().withMessage('quantities must map item IDs to quantities')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await acceptQuote(req.params.id, {
+        userId: req.user.id,
+        shipping: {
+          shipping_name: req.body.shipping_name,
+          shipping_email: req.body.shipping_email || req.user.email,
+          shipping_phone: req.body.shipping_phone || null,
+          shipping_address: req.body.shipping_address,
+          shipping_city: req.body.shipping_city,
+          shipping_postal_code: req.body.shipping_postal_code || null,
+          shipping_country: req.body.shipping_country
+        },
+        quantities: req.body.quantities || {},
+        notes: req.body.notes
+      });
+
+      if (result.expired) {
+        return res.status(400).json({ success: false, message: 'This quotation has expired' });
+      }
+
+      const order = await Order.findByPk(result.order.id, {
+        include: [{ model: OrderItem, as: 'items' }]
+      });
+
+      res.status(201).json({ success: true, quote: result.quote, order });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      console.error('Accept quote error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/quotes/:id
+ * @desc    Delete a quote request and its attachments
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const quote = await QuoteRequest.findByPk(req.params.id, {
+      include: [{ model: QuoteAttachment, as: 'attachments' }]
+    });
+    if (!quote) {
+      return res.status(404).json({ success: false, message: 'Quote request not found' });
+    }
+
+    const attachments = quote.attachments;
+
+    // Delete quote request (cascade will delete its items and attachment records)
+    await quote.destroy();
+    await removeQuoteAttachmentFiles(attachments);
+
+    res.json({ success: true, message: 'Quote request deleted successfully' });
+  } catch (err) {
+    console.error('Delete quote request error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { auth, admin } = require('../middleware/auth');
+const { SecurityCode, Product } = require('../models');
+
+const router = express.Router();
+
+// Code files are parsed in memory, they are never stored on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
+});
+
+// Characters used for generated codes (no 0/O or 1/I to avoid misreading labels)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+const MAX_CODES_PER_REQUEST = 10000;
+// Column sizes of security_codes.code and security_codes.batch
+const MAX_CODE_LENGTH = 64;
+const MAX_BATCH_LENGTH = 50;
+
+/**
+ * Generate a random code with the given prefix
+ */
+const generateCode = (prefix) => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = prefix;
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+/**
+ * Normalize a list of raw codes: trim, uppercase, drop empties and duplicates
+ */
+const normalizeCodes = (codes) => {
+  const normalized = codes
+    .map(code => String(code).trim().toUpperCase())
+    .filter(code => code.length > 0);
+  return [...new Set(normalized)];
+};
+
+/**
+ * Find which of the given codes already exist in the database
+ */
+const findExistingCodes = async (codes) => {
+  const existing = await SecurityCode.findAll({
+    where: { code: { [Op.in]: codes } },
+    attributes: ['code']
+  });
+  return new Set(existing.map(securityCode => securityCode.code));
+};
+
+/**
+ * @route   GET /api/security-codes
+ * @desc    Get security codes with optional filtering
+ * @access  Private (Admin)
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { product_id, batch, status, search, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+    const where = {};
+
+    if (product_id) {
+      where.product_id = product_id;
+    }
+
+    if (batch) {
+      where.batch = batch;
+    }
+
+    // Filter by whether the code has been checked yet
+    if (status === 'checked') {
+      where.check_count = { [Op.gt]: 0 };
+    } else if (status === 'unchecked') {
+      where.check_count = 0;
+    }
+
+    if (search) {
+      where.code = { [Op.iLike]: `%${search}%` };
+    }
+
+    const { count, rows: codes } = await SecurityCode.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'name', 'model_number']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      codes,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages
+      }
+    });
+  } catch (err) {
+    console.error('Get security codes error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/security-codes/generate
+ * @desc    Generate a batch of random security codes for a product
+ * @access  Private (Admin)
+ */
+router.post(
+  '/generate',
+  [auth, admin],
+  [
+    body('product_id').notEmpty().withMessage('Product is required'),
+    body('quantity')
+      .isInt({ min: 1, max: MAX_CODES_PER_REQUEST })
+      .withMessage(`Quantity must be between 1 and ${MAX_CODES_PER_REQUEST}`),
+    body('prefix')
+      .optional()
+      .matches(/^[A-Za-z0-9]{0,20}$/)
+      .withMessage('Prefix may only contain up to 20 letters and digits'),
+    body('batch')
+      .optional()
+      .isLength({ max: MAX_BATCH_LENGTH })
+      .withMessage(`Batch must be at most ${MAX_BATCH_LENGTH} characters`)
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      // Check if product exists
+      const product = await Product.findByPk(req.body.product_id);
+      if (!product) {
+        return res.status(400).json({ success: false, message: 'Invalid product' });
+      }
+
+      const quantity = parseInt(req.body.quantity);
+      const prefix = (req.body.prefix !== undefined ? req.body.prefix : 'SKMEI').toUpperCase();
+      const batch = req.body.batch || null;
+
+      // Generate codes, regenerating any that collide with existing ones
+      const codes = new Set();
+      while (codes.size < quantity) {
+        const candidates = [];
+        while (codes.size + candidates.length < quantity) {
+          const candidate = generateCode(prefix);
+          if (!codes.has(candidate) && !candidates.includes(candidate)) {
+            candidates.push(candidate);
+          }
+        }
+
+        const existing = await findExistingCodes(candidates);
+        candidates
+          .filter(candidate => !existing.has(candidate))
+          .forEach(candidate => codes.add(candidate));
+      }
+
+      await SecurityCode.bulkCreate([...codes].map(code => ({
+        code,
+        product_id: product.id,
+        batch
+      })));
+
+      res.status(201).json({
+        success: true,
+        generated: codes.size,
+        batch,
+        codes: [...codes]
+      });
+    } catch (err) {
+      console.error('Generate security codes error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/security-codes/import
+ * @desc    Import existing security codes (JSON list or a text/CSV file, one code per line)
+ * @access  Private (Admin)
+ */
+router.post(
+  '/import',
+  [auth, admin, upload.single('file')],
+  [
+    body('product_id').notEmpty().withMessage('Product is required'),
+    body('batch')
+      .optional()
+      .isLength({ max: MAX_BATCH_LENGTH })
+      .withMessage(`Batch must be at most ${MAX_BATCH_LENGTH} characters`),
+    body('codes.*')
+      .trim()
+      .isLength({ max: MAX_CODE_LENGTH })
+      .withMessage(`Codes must be at most ${MAX_CODE_LENGTH} characters`)
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      // Check if product exists
+      const product = await Product.findByPk(req.body.product_id);
+      if (!product) {
+        return res.status(400).json({ success: false, message: 'Invalid product' });
+      }
+
+      // Collect raw codes from the uploaded file or the request body
+      let rawCodes = [];
+      if (req.file) {
+        rawCodes = req.file.buffer.toString('utf8').split(/[\r\n,;]+/);
+      } else if (Array.isArray(req.body.codes)) {
+        rawCodes = req.body.codes;
+      } else if (typeof req.body.codes === 'string') {
+        rawCodes = req.body.codes.split(/[\r\n,;]+/);
+      }
+
+      const codes = normalizeCodes(rawCodes);
+      if (codes.length === 0) {
+        return res.status(400).json({ success: false, message: 'No codes to import' });
+      }
+
+      if (codes.length > MAX_CODES_PER_REQUEST) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot import more than ${MAX_CODES_PER_REQUEST} codes at once`
+        });
+      }
+
+      // Codes from a file or a comma separated list skip the body validation
+      const tooLong = codes.filter(code => code.length > MAX_CODE_LENGTH);
+      if (tooLong.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Codes must be at most ${MAX_CODE_LENGTH} characters: ${tooLong.slice(0, 5).join(', ')}`
+        });
+      }
+
+      // Skip codes that are already registered
+      const existing = await findExistingCodes(codes);
+      const newCodes = codes.filter(code => !existing.has(code));
+
+      await SecurityCode.bulkCreate(newCodes.map(code => ({
+        code,
+        product_id: product.id,
+        batch: req.body.batch || null
+      })));
+
+      res.status(201).json({
+        success: true,
+        imported: newCodes.length,
+        skipped: codes.length - newCodes.length,
+        duplicates: [...existing]
+      });
+    } catch (err) {
+      console.error('Import security codes error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/security-codes/:id
+ * @desc    Delete a security code
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const securityCode = await SecurityCode.findByPk(req.params.id);
+
+    if (!securityCode) {
+      return res.status(404).json({ success: false, message: 'Security code not found' });
+    }
+
+    await securityCode.destroy();
+
+    res.json({ success: true, message: 'Security code deleted successfully' });
+  } catch (err) {
+    console.error('Delete security code error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, admin } = require('../middleware/auth');
+const { Product, Category, ProductTranslation, CategoryTranslation } = require('../models');
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  PRODUCT_FIELDS,
+  CATEGORY_FIELDS,
+  missingFields
+} = require('../services/translationService');
+
+const router = express.Router();
+
+// Locales that are stored in translation tables
+const TRANSLATED_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+/**
+ * Middleware to reject locales that have no translation table entries
+ */
+const checkLocale = (req, res, next) => {
+  if (!TRANSLATED_LOCALES.includes(req.params.locale)) {
+    return res.status(400).json({
+      success: false,
+      message: `Locale must be one of: ${TRANSLATED_LOCALES.join(', ')}`
+    });
+  }
+  next();
+};
+
+/**
+ * Pick the translatable fields from a request body, turning empty strings into null
+ */
+const pickFields = (data, fields) => {
+  const values = {};
+  fields.forEach(field => {
+    if (data[field] !== undefined) {
+      values[field] = data[field] === '' ? null : data[field];
+    }
+  });
+  return values;
+};
+
+/**
+ * Create or update the translation of a record in a locale
+ */
+const saveTranslation = async (Model, foreignKey, id, locale, values) => {
+  const translation = await Model.findOne({ where: { [foreignKey]: id, locale } });
+  if (translation) {
+    return translation.update(values);
+  }
+  return Model.create({ [foreignKey]: id, locale, ...values });
+};
+
+/**
+ * @route   GET /api/translations/missing
+ * @desc    Report products and categories with untranslated fields, per locale (?locale= to pick one)
+ * @access  Private (Admin)
+ */
+router.get('/missing', [auth, admin], async (req, res) => {
+  try {
+    const locales = req.query.locale ? [req.query.locale] : TRANSLATED_LOCALES;
+    if (locales.some(locale => !TRANSLATED_LOCALES.includes(locale))) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${TRANSLATED_LOCALES.join(', ')}`
+      });
+    }
+
+    const products = await Product.findAll({
+      attributes: ['id', 'name', 'model_number', ...PRODUCT_FIELDS],
+      include: [{ model: ProductTranslation, as: 'translations' }],
+      order: [['name', 'ASC']]
+    });
+    const categories = await Category.findAll({
+      attributes: ['id', 'slug', ...CATEGORY_FIELDS],
+      include: [{ model: CategoryTranslation, as: 'translations' }],
+      order: [['name', 'ASC']]
+    });
+
+    const report = locales.map(locale => {
+      const missingProducts = products
+        .map(product => ({
+          id: product.id,
+          name: product.name,
+          model_number: product.model_number,
+          missing: missingFields(
+            product, product.translations.find(translation => translation.locale === locale), PRODUCT_FIELDS
+          )
+        }))
+        .filter(product => product.missing.length > 0);
+
+      const missingCategories = categories
+        .map(category => ({
+          id: category.id,
+          name: category.name,
+          slug: category.slug,
+          missing: missingFields(
+            category, category.translations.find(translation => translation.locale === locale), CATEGORY_FIELDS
+          )
+        }))
+        .filter(category => category.missing.length > 0);
+
+      return {
+        locale,
+        products: {
+          total: products.length,
+          missing: missingProducts.length,
+          items: missingProducts
+        },
+        categories: {
+          total: categories.length,
+          missing: missingCategories.length,
+          items: missingCategories
+        }
+      };
+    });
+
+    res.json({ success: true, default_locale: DEFAULT_LOCALE, report });
+  } catch (err) {
+    console.error('Get missing translations error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/translations/products/:id
+ * @desc    Get all translations of a product
+ * @access  Private (Admin)
+ */
+router.get('/products/:id', [auth, admin], async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.id, {
+      attributes: ['id', 'model_number', ...PRODUCT_FIELDS],
+      include: [{ model: ProductTranslation, as: 'translations' }]
+    });
+
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, default_locale: DEFAULT_LOCALE, product });
+  } catch (err) {
+    console.error('Get product translations error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/translations/products/:id/:locale
+ * @desc    Create or update the translation of a product
+ * @access  Private (Admin)
+ */
+router.put(
+  '/products/:id/:locale',
+  [auth, admin, checkLocale],
+  [
+    body('name').optional({ nullable: true }).isLength({ max: 255 }).withMessage('Name is too long')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.id);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const translation = await saveTranslation(
+        ProductTranslation, 'product_id', product.id, req.params.locale, pickFields(req.body, PRODUCT_FIELDS)
+      );
+
+      res.json({ success: true, translation });
+    } catch (err) {
+      console.error('Update product translation error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/translations/products/:id/:locale
+ * @desc    Delete the translation of a product
+ * @access  Private (Admin)
+ */
+router.delete('/products/:id/:locale', [auth, admin, checkLocale], async (req, res) => {
+  try {
+    const translation = await ProductTranslation.findOne({
+      where: { product_id: req.params.id, locale: req.params.locale }
+    });
+
+    if (!translation) {
+      return res.status(404).json({ success: false, message: 'Translation not found' });
+    }
+
+    await translation.destroy();
+
+    res.json({ success: true, message: 'Translation deleted successfully' });
+  } catch (err) {
+    console.error('Delete product translation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/translations/categories/:id
+ * @desc    Get all translations of a category
+ * @access  Private (Admin)
+ */
+router.get('/categories/:id', [auth, admin], async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id, {
+      attributes: ['id', 'slug', ...CATEGORY_FIELDS],
+      include: [{ model: CategoryTranslation, as: 'translations' }]
+    });
+
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    res.json({ success: true, default_locale: DEFAULT_LOCALE, category });
+  } catch (err) {
+    console.error('Get category translations error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/translations/categories/:id/:locale
+ * @desc    Create or update the translation of a category
+ * @access  Private (Admin)
+ */
+router.put(
+  '/categories/:id/:locale',
+  [auth, admin, checkLocale],
+  [
+    body('name').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Name is too long')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const category = await Category.findByPk(req.params.id);
+      if (!category) {
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+
+      const translation = await saveTranslation(
+        CategoryTranslation, 'category_id', category.id, req.params.locale, pickFields(req.body, CATEGORY_FIELDS)
+      );
+
+      res.json({ success: true, translation });
+    } catch (err) {
+      console.error('Update category translation error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/translations/categories/:id/:locale
+ * @desc    Delete the translation of a category
+ * @access  Private (Admin)
+ */
+router.delete('/categories/:id/:locale', [auth, admin, checkLocale], async (req, res) => {
+  try {
+    const translation = await CategoryTranslation.findOne({
+      where: { category_id: req.params.id, locale: req.params.locale }
+    });
+
+    if (!translation) {
+      return res.status(404).json({ success: false, message: 'Translation not found' });
+    }
+
+    await translation.destroy();
+
+    res.json({ success: true, message: 'Translation deleted successfully' });
+  } catch (err) {
+    console.error('Delete category translation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,45 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth, admin } = require('../middleware/auth');
-const { User } = require('../models');
+const { User, CustomerGroup } = require('../models');
+const { notifyAccountCreated, notifyPasswordChanged } = require('../services/notificationService');
 
 const router = express.Router();
 
+/**
+ * Resolve the requested role from either `role` or the legacy `is_admin` flag
+ */
+const resolveRole = (data, fallback) => {
+  if (data.role === 'admin' || data.role === 'customer') {
+    return data.role;
+  }
+  if (data.is_admin !== undefined) {
+    return data.is_admin === true || data.is_admin === 'true' ? 'admin' : 'customer';
+  }
+  return fallback;
+};
+
+/**
+ * Resolve the requested customer group, which decides the price list the user buys at.
+ * Returns the fallback when none is given; throws when the group doesn't exist.
+ */
+const resolveCustomerGroup = async (data, fallback) => {
+  if (data.customer_group_id === undefined) {
+    return fallback;
+  }
+  if (data.customer_group_id === null || data.customer_group_id === '') {
+    return null;
+  }
+
+  const group = await CustomerGroup.findByPk(data.customer_group_id, { attributes: ['id'] });
+  if (!group) {
+    const error = new Error('Customer group not found');
+    error.status = 400;
+    throw error;
+  }
+  return group.id;
+};
+
 /**
  * @route   GET /api/users
  * @desc    Get all users
@@ -12,7 +47,10 @@ const router = express.Router();
  */
 router.get('/', [auth, admin], async (req, res) => {
   try {
+    const { role } = req.query;
+    
     const users = await User.findAll({
+      where: role ? { role } : {},
       attributes: { exclude: ['password'] },
       order: [['createdAt', 'DESC']]
     });
@@ -58,7 +96,9 @@ router.post(
     body('username').notEmpty().withMessage('Username is required'),
     body('email').isEmail().withMessage('Please include a valid email'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-    body('is_admin').isBoolean().withMessage('is_admin must be a boolean')
+    body('is_admin').optional().isBoolean().withMessage('is_admin must be a boolean'),
+    body('role').optional().isIn(['customer', 'admin']).withMessage('Role must be customer or admin'),
+    body('customer_group_id').optional({ values: 'falsy' }).isInt().withMessage('customer_group_id must be a customer group ID')
   ],
   async (req, res) => {
     // Check for validation errors
@@ -67,7 +107,7 @@ router.post(
       return res.status(400).json({ success: false, errors: errors.array() });
     }
     
-    const { username, email, password, is_admin } = req.body;
+    const { username, email, password } = req.body;
     
     try {
       // Check if user already exists
@@ -81,19 +121,34 @@ router.post(
         return res.status(400).json({ success: false, message: 'Email already exists' });
       }
       
+      // Copy whitelisted profile fields from the request
+      const profile = {};
+      User.PROFILE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          profile[field] = req.body[field];
+        }
+      });
+      
       // Create new user
       user = await User.create({
+        ...profile,
         username,
         email,
         password, // Will be hashed by the model hook
-        is_admin
+        role: resolveRole(req.body, 'customer'),
+        customer_group_id: await resolveCustomerGroup(req.body, null)
       });
       
+      await notifyAccountCreated(user, req.locale, { createdByAdmin: true });
+      
       // Return user without password
       const { password: _, ...userWithoutPassword } = user.toJSON();
       
       res.status(201).json({ success: true, user: userWithoutPassword });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Create user error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -138,13 +193,35 @@ router.put(
         }
       }
       
+      // Prevent demoting the last admin user
+      const role = resolveRole(req.body, user.role);
+      if (user.role === 'admin' && role !== 'admin') {
+        const adminCount = await User.count({
+          where: { role: 'admin' }
+        });
+        
+        if (adminCount <= 1) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot demote the last admin user'
+          });
+        }
+      }
+      
       // Update user
       const updateData = {
         username: req.body.username || user.username,
         email: req.body.email || user.email,
-        is_admin: req.body.is_admin !== undefined ? req.body.is_admin : user.is_admin
+        role,
+        customer_group_id: await resolveCustomerGroup(req.body, user.customer_group_id)
       };
       
+      User.PROFILE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      });
+      
       // Only update password if provided
       if (req.body.password) {
         updateData.password = req.body.password; // Will be hashed by the model hook
@@ -152,11 +229,18 @@ router.put(
       
       await user.update(updateData);
       
+      if (updateData.password) {
+        await notifyPasswordChanged(user, req.locale);
+      }
+      
       // Return user without password
       const { password: _, ...userWithoutPassword } = user.toJSON();
       
       res.json({ success: true, user: userWithoutPassword });
     } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
       console.error('Update user error:', err);
       res.status(500).json({ success: false, message: 'Server error' });
     }
@@ -177,9 +261,9 @@ router.delete('/:id', [auth, admin], async (req, res) => {
     }
     
     // Prevent deleting the last admin user
-    if (user.is_admin) {
+    if (user.role === 'admin') {
       const adminCount = await User.count({
-        where: { is_admin: true }
+        where: { role: 'admin' }
       });
       
       if (adminCount <= 1) {
@@ -245,6 +329,8 @@ router.put(
         password: req.body.new_password // Will be hashed by the model hook
       });
       
+      await notifyPasswordChanged(user, req.locale);
+      
       res.json({ success: true, message: 'Password changed successfully' });
     } catch (err) {
       console.error('Change password error:', err);
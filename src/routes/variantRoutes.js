@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { auth, admin } = require('../middleware/auth');
+const { Product, ProductVariant, ProductImage } = require('../models');
+const { normalizeOptions, sameOptions, buildVariantMatrix } = require('../services/variantService');
+
+// Mounted at /api/products/:productId/variants
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Find another variant of the product with the same options
+ */
+const findDuplicateVariant = async (productId, options, excludeId = null) => {
+  const variants = await ProductVariant.findAll({
+    where: excludeId ? { product_id: productId, id: { [Op.ne]: excludeId } } : { product_id: productId }
+  });
+  return variants.find(variant => sameOptions(variant.options, options)) || null;
+};
+
+// Validation shared by create and update
+const variantValidation = [
+  body('options').optional().isObject().withMessage('Options must be an object of axis values'),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+  body('display_order').optional().isInt().withMessage('Display order must be a number')
+];
+
+/**
+ * @route   GET /api/products/:productId/variants
+ * @desc    Get the variant matrix of a product
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const product = await Product.findByPk(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, variant_matrix: await buildVariantMatrix(product) });
+  } catch (err) {
+    console.error('Get variants error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/products/:productId/variants
+ * @desc    Create a product variant
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  [auth, admin],
+  [
+    body('sku').notEmpty().withMessage('SKU is required'),
+    body('options').isObject().withMessage('Options must be an object of axis values'),
+    ...variantValidation
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findByPk(req.params.productId);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const options = normalizeOptions(req.body.options);
+      if (Object.keys(options).length === 0) {
+        return res.status(400).json({ success: false, message: 'At least one option is required' });
+      }
+
+      // Check if SKU is already used
+      const existingSku = await ProductVariant.findOne({
+        where: { sku: req.body.sku.trim().toUpperCase() }
+      });
+      if (existingSku) {
+        return res.status(400).json({ success: false, message: 'SKU already exists' });
+      }
+
+      if (await findDuplicateVariant(product.id, options)) {
+        return res.status(400).json({ success: false, message: 'A variant with these options already exists' });
+      }
+
+      const variant = await ProductVariant.create({
+        product_id: product.id,
+        sku: req.body.sku,
+        name: req.body.name || null,
+        options,
+        price: req.body.price !== undefined && req.body.price !== '' ? req.body.price : null,
+        is_active: req.body.is_active !== undefined ? req.body.is_active : true,
+        display_order: req.body.display_order || 0
+      });
+
+      res.status(201).json({ success: true, variant });
+    } catch (err) {
+      console.error('Create variant error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/products/:productId/variants/:id
+ * @desc    Update a product variant
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id',
+  [auth, admin],
+  variantValidation,
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const variant = await ProductVariant.findOne({
+        where: { id: req.params.id, product_id: req.params.productId }
+      });
+      if (!variant) {
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+
+      // Check if SKU is being changed and if it already exists
+      const sku = req.body.sku ? req.body.sku.trim().toUpperCase() : variant.sku;
+      if (sku !== variant.sku) {
+        const existingSku = await ProductVariant.findOne({ where: { sku } });
+        if (existingSku) {
+          return res.status(400).json({ success: false, message: 'SKU already exists' });
+        }
+      }
+
+      const options = req.body.options ? normalizeOptions(req.body.options) : variant.options;
+      if (Object.keys(options).length === 0) {
+        return res.status(400).json({ success: false, message: 'At least one option is required' });
+      }
+
+      if (await findDuplicateVariant(variant.product_id, options, variant.id)) {
+        return res.status(400).json({ success: false, message: 'A variant with these options already exists' });
+      }
+
+      await variant.update({
+        sku,
+        // Regenerate the name from the options unless one is given
+        name: req.body.name !== undefined ? req.body.name || null : (req.body.options ? null : variant.name),
+        options,
+        price: req.body.price !== undefined ? (req.body.price === '' ? null : req.body.price) : variant.price,
+        is_active: req.body.is_active !== undefined ? req.body.is_active : variant.is_active,
+        display_order: req.body.display_order !== undefined ? req.body.display_order : variant.display_order
+      });
+
+      res.json({ success: true, variant });
+    } catch (err) {
+      console.error('Update variant error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/products/:productId/variants/:id/images
+ * @desc    Assign product images to a variant
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id/images',
+  [auth, admin],
+  [
+    body('image_ids').isArray().withMessage('image_ids must be an array')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const variant = await ProductVariant.findOne({
+        where: { id: req.params.id, product_id: req.params.productId }
+      });
+      if (!variant) {
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+
+      // Unassign the images that are no longer listed, then assign the listed ones
+      await ProductImage.update(
+        { variant_id: null },
+        { where: { variant_id: variant.id, id: { [Op.notIn]: req.body.image_ids.length ? req.body.image_ids : [0] } } }
+      );
+
+      if (req.body.image_ids.length > 0) {
+        await ProductImage.update(
+          { variant_id: variant.id },
+          { where: { product_id: variant.product_id, id: { [Op.in]: req.body.image_ids } } }
+        );
+      }
+
+      const images = await ProductImage.findAll({
+        where: { variant_id: variant.id },
+        attributes: ProductImage.PUBLIC_ATTRIBUTES
+      });
+
+      res.json({ success: true, images });
+    } catch (err) {
+      console.error('Assign variant images error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/products/:productId/variants/:id
+ * @desc    Delete a product variant
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const variant = await ProductVariant.findOne({
+      where: { id: req.params.id, product_id: req.params.productId }
+    });
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    // Images stay on the product; their variant_id is cleared by the foreign key
+    await variant.destroy();
+
+    res.json({ success: true, message: 'Variant deleted successfully' });
+  } catch (err) {
+    console.error('Delete variant error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const { SecurityCode, Product } = require('../models');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/verify
+ * @desc    Verify a product anti-counterfeit code
+ * @access  Public
+ */
+router.post(
+  '/',
+  [
+    body('code').trim().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const code = req.body.code.toUpperCase();
+
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        // Lock the row so concurrent checks are counted correctly
+        const securityCode = await SecurityCode.findOne({
+          where: { code },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!securityCode) {
+          return null;
+        }
+
+        // Remember the state before this check
+        const previousCount = securityCode.check_count;
+        const previousCheckAt = securityCode.last_checked_at;
+        const now = new Date();
+
+        await securityCode.update({
+          check_count: previousCount + 1,
+          first_checked_at: securityCode.first_checked_at || now,
+          last_checked_at: now
+        }, { transaction });
+
+        return { securityCode, previousCount, previousCheckAt };
+      });
+
+      if (!result) {
+        return res.json({
+          success: true,
+          genuine: false,
+          status: 'not_found',
+          message: 'This code is not recognized. Please double-check or contact support.'
+        });
+      }
+
+      const { securityCode, previousCount, previousCheckAt } = result;
+      const product = securityCode.product_id
+        ? await Product.findByPk(securityCode.product_id, {
+          attributes: ['id', 'name', 'slug', 'model_number']
+        })
+        : null;
+
+      if (previousCount === 0) {
+        return res.json({
+          success: true,
+          genuine: true,
+          status: 'first_check',
+          message: 'This is an authentic SKMEI product. This is the first time this code has been checked.',
+          check_count: securityCode.check_count,
+          first_checked_at: securityCode.first_checked_at,
+          product
+        });
+      }
+
+      res.json({
+        success: true,
+        genuine: true,
+        status: 'already_checked',
+        message: `This code has already been checked ${previousCount} time(s). If you did not check it yourself, the product may be counterfeit.`,
+        check_count: securityCode.check_count,
+        previous_check_count: previousCount,
+        first_checked_at: securityCode.first_checked_at,
+        last_checked_at: previousCheckAt,
+        product
+      });
+    } catch (err) {
+      console.error('Verify code error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
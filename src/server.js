@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const dotenv = require('dotenv');
 
@@ -10,37 +11,93 @@ dotenv.config();
 // Import database configuration
 const { testConnection } = require('./config/database');
 const { initializeDatabase } = require('./config/dbInit');
+const { scheduleMediaSweep } = require('./services/mediaService');
+const { scheduleOutbox } = require('./services/notificationService');
 
 // Import routes
 const productRoutes = require('./routes/productRoutes');
+const productImportRoutes = require('./routes/productImportRoutes');
+const variantRoutes = require('./routes/variantRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const authRoutes = require('./routes/authRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const userRoutes = require('./routes/userRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const translationRoutes = require('./routes/translationRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
+const customerGroupRoutes = require('./routes/customerGroupRoutes');
+const securityCodeRoutes = require('./routes/securityCodeRoutes');
+const verifyRoutes = require('./routes/verifyRoutes');
 const pageRoutes = require('./routes/pageRoutes');
 
+// Import middleware
+const { locale } = require('./middleware/locale');
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY (hop count, or true) makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disable CSP for development
   crossOriginEmbedderPolicy: false // Allow embedding of resources
 })); // Security headers
 app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+  // Keep the raw body for payment webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+app.use(cookieParser()); // Parse cookies (guest cart)
+app.use(locale); // Content locale from ?lang= or Accept-Language
+
+// Server-rendered pages
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, '../views'));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
 
 // API Routes
+app.use('/api/products/:productId/variants', variantRoutes);
+app.use('/api/products', productImportRoutes); // before productRoutes, so /export isn't taken for an ID
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/translations', translationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/customer-groups', customerGroupRoutes);
+app.use('/api/security-codes', securityCodeRoutes);
+app.use('/api/verify', verifyRoutes);
 
 // Page Routes
 app.use('/', pageRoutes);
@@ -65,6 +122,12 @@ const startServer = async () => {
       // Initialize database (create tables and seed data)
       await initializeDatabase();
       
+      // Remove unused uploads periodically
+      scheduleMediaSweep();
+      
+      // Deliver queued emails and retry failed ones
+      scheduleOutbox();
+      
       // Start the server
       app.listen(PORT, '0.0.0.0', () => {
         console.log(`Server running on http://0.0.0.0:${PORT}`);
@@ -79,8 +142,10 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-startServer();
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
 
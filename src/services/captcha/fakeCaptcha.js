@@ -0,0 +1,17 @@
+/**
+ * CAPTCHA verifier for tests and local development: a token equal to
+ * `passToken` passes, anything else fails. No network calls are made.
+ */
+const createFakeCaptcha = ({ passToken = 'test-pass' } = {}) => ({
+  name: 'fake',
+
+  siteKey: 'fake',
+
+  async verify(token) {
+    return token === passToken
+      ? { success: true }
+      : { success: false, error: token ? 'invalid-input-response' : 'missing-input-response' };
+  }
+});
+
+module.exports = { createFakeCaptcha };
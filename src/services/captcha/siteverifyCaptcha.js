@@ -0,0 +1,54 @@
+// Verification endpoints of the providers sharing the siteverify API
+const VERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+/**
+ * CAPTCHA verifier for reCAPTCHA, hCaptcha and Cloudflare Turnstile, which all
+ * take the secret, the widget's response token and the client IP as a form POST
+ * and answer { success, 'error-codes' }. `verifyUrl` overrides the provider's endpoint.
+ */
+const createSiteverifyCaptcha = ({ provider, siteKey, secret, verifyUrl, timeoutMs = 5000 }) => {
+  const url = verifyUrl || VERIFY_URLS[provider];
+  if (!url) {
+    throw new Error(`Unknown CAPTCHA provider: ${provider}`);
+  }
+  if (!siteKey || !secret) {
+    throw new Error(`${provider} CAPTCHA needs CAPTCHA_SITE_KEY and CAPTCHA_SECRET`);
+  }
+
+  return {
+    name: provider,
+
+    siteKey,
+
+    async verify(token, { ip } = {}) {
+      if (!token) {
+        return { success: false, error: 'missing-input-response' };
+      }
+
+      const params = new URLSearchParams({ secret, response: token });
+      if (ip) {
+        params.set('remoteip', ip);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        body: params,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`${provider} verification failed with HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      return result.success
+        ? { success: true }
+        : { success: false, error: (result['error-codes'] || []).join(', ') || 'verification-failed' };
+    }
+  };
+};
+
+module.exports = { createSiteverifyCaptcha };
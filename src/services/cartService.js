@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { Cart, CartItem, Product, ProductImage, ProductVariant } = require('../models');
+const { loadPriceBook, priceTiers, tierUnitPrice } = require('./pricingService');
+
+// Name and lifetime of the cookie that identifies guest carts
+const CART_COOKIE = 'cart_token';
+const CART_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Round a money amount to two decimals
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the unit price a cart line is charged at, or null if the product has no price.
+ * A variant price overrides the product price.
+ */
+const getUnitPrice = (product, variant = null) => {
+  const price = variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.price;
+
+  if (price === null || price === undefined) {
+    return null;
+  }
+  return roundMoney(parseFloat(price));
+};
+
+/**
+ * Get the unit price of a line of `quantity` units on the buyer's price lists (see
+ * pricingService.loadPriceBook), falling back to getUnitPrice below the first tier
+ */
+const resolveUnitPrice = (priceBook, product, variant, quantity) => {
+  const listPrice = tierUnitPrice(priceTiers(priceBook, product, variant), quantity);
+  return listPrice === null ? getUnitPrice(product, variant) : roundMoney(listPrice);
+};
+
+/**
+ * Find the cart for the current request, optionally creating it.
+ * Logged in users get their account cart, guests get a cart identified by cookie.
+ */
+const getCart = async (req, res, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ where: { user_id: req.user.id } });
+    if (!cart && create) {
+      cart = await Cart.create({ user_id: req.user.id });
+    }
+    return cart;
+  }
+
+  const token = req.cookies && req.cookies[CART_COOKIE];
+  let cart = token ? await Cart.findOne({ where: { token, user_id: null } }) : null;
+
+  if (!cart && create) {
+    cart = await Cart.create({ token: crypto.randomBytes(24).toString('hex') });
+    res.cookie(CART_COOKIE, cart.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: CART_COOKIE_MAX_AGE
+    });
+  }
+
+  return cart;
+};
+
+/**
+ * Move the items of a guest cart into the user's cart and delete the guest cart
+ */
+const mergeGuestCart = async (token, userId) => {
+  if (!token) {
+    return;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const guestCart = await Cart.findOne({
+      where: { token, user_id: null },
+      include: [{ model: CartItem, as: 'items' }],
+      transaction
+    });
+
+    if (!guestCart) {
+      return;
+    }
+
+    const [userCart] = await Cart.findOrCreate({
+      where: { user_id: userId },
+      transaction
+    });
+
+    for (const item of guestCart.items) {
+      const existingItem = await CartItem.findOne({
+        where: { cart_id: userCart.id, product_id: item.product_id, variant_id: item.variant_id },
+        transaction
+      });
+
+      if (existingItem) {
+        await existingItem.update({
+          quantity: existingItem.quantity + item.quantity
+        }, { transaction });
+      } else {
+        await item.update({ cart_id: userCart.id }, { transaction });
+      }
+    }
+
+    // Remaining guest items (already merged) are removed by cascade
+    await guestCart.destroy({ transaction });
+  });
+};
+
+/**
+ * Load the cart items with their products
+ */
+const getCartItems = async (cart, options = {}) => {
+  return await CartItem.findAll({
+    where: { cart_id: cart.id },
+    include: [
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'name', 'slug', 'model_number', 'price'],
+        include: [
+          {
+            model: ProductImage,
+            as: 'images',
+            attributes: ProductImage.PUBLIC_ATTRIBUTES
+          }
+        ]
+      },
+      {
+        model: ProductVariant,
+        as: 'variant',
+        attributes: ['id', 'sku', 'name', 'options', 'price', 'is_active']
+      }
+    ],
+    order: [['created_at', 'ASC']],
+    ...options
+  });
+};
+
+/**
+ * Serialize a cart with its items and totals, priced for a pricing context
+ * (pricingService.getPricingContext)
+ */
+const formatCart = async (cart, pricing = null) => {
+  if (!cart) {
+    return { id: null, items: [], item_count: 0, subtotal: '0.00', purchasable: false };
+  }
+
+  const items = await getCartItems(cart);
+  const priceBook = await loadPriceBook(pricing, items.map(item => item.product_id));
+  let subtotal = 0;
+  let itemCount = 0;
+  let purchasable = items.length > 0;
+
+  const formattedItems = items.map(item => {
+    const unitPrice = resolveUnitPrice(priceBook, item.product, item.variant, item.quantity);
+    const lineTotal = unitPrice === null ? null : roundMoney(unitPrice * item.quantity);
+
+    itemCount += item.quantity;
+    if (lineTotal === null) {
+      // Price on request items cannot be checked out
+      purchasable = false;
+    } else {
+      subtotal += lineTotal;
+    }
+
+    return {
+      id: item.id,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      unit_price: unitPrice === null ? null : unitPrice.toFixed(2),
+      line_total: lineTotal === null ? null : lineTotal.toFixed(2),
+      product: item.product,
+      variant: item.variant
+    };
+  });
+
+  return {
+    id: cart.id,
+    items: formattedItems,
+    item_count: itemCount,
+    subtotal: roundMoney(subtotal).toFixed(2),
+    purchasable
+  };
+};
+
+module.exports = {
+  CART_COOKIE,
+  roundMoney,
+  getUnitPrice,
+  resolveUnitPrice,
+  getCart,
+  mergeGuestCart,
+  getCartItems,
+  formatCart
+};
@@ -0,0 +1,136 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Category } = require('../models');
+const { translateCategories } = require('./translationService');
+
+// Sibling order of categories
+const CATEGORY_ORDER = [['display_order', 'ASC'], ['name', 'ASC']];
+
+// Guards recursive queries against cycles in data written before parent checks existed
+const MAX_DEPTH = 50;
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const categoryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * IDs of a category and all categories below it
+ */
+const descendantIds = async (categoryId, { transaction } = {}) => {
+  const rows = await sequelize.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, 0 AS depth FROM categories WHERE id = :categoryId
+       UNION ALL
+       SELECT categories.id, tree.depth + 1 FROM categories
+         JOIN tree ON categories.parent_id = tree.id
+        WHERE tree.depth < ${MAX_DEPTH}
+     )
+     SELECT DISTINCT id FROM tree`,
+    { replacements: { categoryId }, type: QueryTypes.SELECT, transaction }
+  );
+  return rows.map(row => row.id);
+};
+
+/**
+ * Categories from the top level down to the given category
+ */
+const categoryPath = async (categoryId, { transaction } = {}) => {
+  if (!categoryId) {
+    return [];
+  }
+
+  const rows = await sequelize.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, parent_id, 0 AS depth FROM categories WHERE id = :categoryId
+       UNION ALL
+       SELECT categories.id, categories.parent_id, path.depth + 1 FROM categories
+         JOIN path ON categories.id = path.parent_id
+        WHERE path.depth < ${MAX_DEPTH}
+     )
+     SELECT id, depth FROM path`,
+    { replacements: { categoryId }, type: QueryTypes.SELECT, transaction }
+  );
+
+  const depths = new Map(rows.map(row => [row.id, row.depth]));
+  const categories = await Category.findAll({
+    where: { id: [...depths.keys()] },
+    attributes: ['id', 'name', 'slug', 'parent_id'],
+    transaction
+  });
+  return categories.sort((a, b) => depths.get(b.id) - depths.get(a.id));
+};
+
+/**
+ * Breadcrumb trail of a category in a locale: [{ id, name, slug, url }], top level first
+ */
+const categoryBreadcrumbs = async (categoryId, locale) => {
+  const path = await translateCategories(await categoryPath(categoryId), locale);
+  return path.map(category => ({
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    url: `/products/${category.slug}`
+  }));
+};
+
+/**
+ * Reject a parent that doesn't exist or would put a category below itself
+ */
+const checkParent = async (categoryId, parentId, { transaction } = {}) => {
+  if (!parentId) {
+    return;
+  }
+
+  const parent = await Category.findByPk(parentId, { attributes: ['id'], transaction });
+  if (!parent) {
+    throw categoryError('Parent category not found');
+  }
+
+  if (categoryId && (await descendantIds(categoryId, { transaction })).includes(parent.id)) {
+    throw categoryError('A category cannot be moved below itself or one of its subcategories');
+  }
+};
+
+/**
+ * Position after the last category with the same parent
+ */
+const nextDisplayOrder = async (parentId, { transaction } = {}) => {
+  const last = await Category.max('display_order', {
+    where: { parent_id: parentId || null },
+    transaction
+  });
+  return last === null ? 0 : last + 1;
+};
+
+/**
+ * Nest flat categories (plain objects, in sibling order) into a tree: each gets a children array
+ */
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+module.exports = {
+  CATEGORY_ORDER,
+  descendantIds,
+  categoryPath,
+  categoryBreadcrumbs,
+  checkParent,
+  nextDisplayOrder,
+  buildTree
+};
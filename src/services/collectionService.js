@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Product, Category, ProductImage, CollectionProduct } = require('../models');
+const { inStockSql } = require('./inventoryService');
+const { descendantIds } = require('./categoryService');
+
+// Order statuses that count as sales for bestseller collections
+const SOLD_STATUSES = ['paid', 'shipped', 'delivered'];
+const DEFAULT_SALES_DAYS = 90;
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const collectionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validate the rules of a rule collection (an object or JSON text) and return them cleaned up:
+ *   category            - category slug
+ *   include_descendants - also match products of subcategories
+ *   min_price/max_price - price range in the base currency
+ *   added_within_days   - only products created in the last N days
+ *   in_stock            - only products in stock
+ *   sales_within_days   - period counted by the bestselling sort (default 90)
+ */
+const normalizeRules = async (input) => {
+  let rules = input;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (err) {
+      throw collectionError('Rules must be valid JSON');
+    }
+  }
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw collectionError('Rules must be an object');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(rules)) {
+    if (value === null || value === '') {
+      continue;
+    }
+    switch (key) {
+      case 'category': {
+        const category = await Category.findOne({ where: { slug: String(value) }, attributes: ['id'] });
+        if (!category) {
+          throw collectionError(`Unknown category: ${value}`);
+        }
+        normalized.category = String(value);
+        break;
+      }
+      case 'include_descendants':
+      case 'in_stock':
+        normalized[key] = value === true || value === 'true';
+        break;
+      case 'min_price':
+      case 'max_price': {
+        const price = Number(value);
+        if (isNaN(price) || price < 0) {
+          throw collectionError(`${key} must be a positive number`);
+        }
+        normalized[key] = price;
+        break;
+      }
+      case 'added_within_days':
+      case 'sales_within_days': {
+        const days = Number(value);
+        if (!Number.isInteger(days) || days < 1) {
+          throw collectionError(`${key} must be a positive whole number`);
+        }
+        normalized[key] = days;
+        break;
+      }
+      default:
+        throw collectionError(`Unknown rule: ${key}`);
+    }
+  }
+
+  if (normalized.min_price !== undefined && normalized.max_price !== undefined &&
+      normalized.min_price > normalized.max_price) {
+    throw collectionError('min_price must not be greater than max_price');
+  }
+  return normalized;
+};
+
+/**
+ * Where clause of the collections that are public at a point in time
+ */
+const liveWhere = (date = new Date()) => ({
+  is_active: true,
+  [Op.and]: [
+    { [Op.or]: [{ starts_at: null }, { starts_at: { [Op.lte]: date } }] },
+    { [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: date } }] }
+  ]
+});
+
+/**
+ * Product conditions of a rule collection
+ */
+const ruleConditions = async (rules) => {
+  const conditions = [];
+
+  if (rules.category) {
+    const category = await Category.findOne({ where: { slug: rules.category }, attributes: ['id'] });
+    // A deleted category matches nothing
+    const categoryIds = !category ? [] : rules.include_descendants ? await descendantIds(category.id) : [category.id];
+    conditions.push({ category_id: { [Op.in]: categoryIds } });
+  }
+  if (rules.min_price !== undefined) {
+    conditions.push({ price: { [Op.gte]: rules.min_price } });
+  }
+  if (rules.max_price !== undefined) {
+    conditions.push({ price: { [Op.lte]: rules.max_price } });
+  }
+  if (rules.added_within_days) {
+    conditions.push({ created_at: { [Op.gte]: new Date(Date.now() - rules.added_within_days * 24 * 60 * 60 * 1000) } });
+  }
+  if (rules.in_stock) {
+    conditions.push(sequelize.literal(inStockSql()));
+  }
+
+  return conditions;
+};
+
+/**
+ * SQL for the units of a product sold in the last N days
+ */
+const unitsSoldSql = (days) =>
+  `(SELECT COALESCE(SUM(order_items.quantity), 0) FROM order_items
+     JOIN orders ON orders.id = order_items.order_id
+    WHERE order_items.product_id = "Product".id
+      AND orders.status IN (${SOLD_STATUSES.map(status => sequelize.escape(status)).join(', ')})
+      AND orders.created_at >= NOW() - INTERVAL '${parseInt(days)} days')`;
+
+/**
+ * Product order of a rule collection
+ */
+const ruleOrder = (collection) => {
+  const rules = collection.rules || {};
+  switch (collection.sort) {
+    case 'price-asc':
+      return [['price', 'ASC NULLS LAST'], ['id', 'ASC']];
+    case 'price-desc':
+      return [['price', 'DESC NULLS LAST'], ['id', 'ASC']];
+    case 'name-asc':
+      return [['name', 'ASC'], ['id', 'ASC']];
+    case 'bestselling':
+      return [
+        [sequelize.literal(unitsSoldSql(rules.sales_within_days || DEFAULT_SALES_DAYS)), 'DESC'],
+        ['created_at', 'DESC'],
+        ['id', 'DESC']
+      ];
+    default:
+      return [['created_at', 'DESC'], ['id', 'DESC']];
+  }
+};
+
+/**
+ * Number of products matching a collection, before its product_limit
+ */
+const countCollectionProducts = async (collection) => {
+  if (collection.type === 'manual') {
+    return CollectionProduct.count({ where: { collection_id: collection.id } });
+  }
+  return Product.count({ where: { [Op.and]: await ruleConditions(collection.rules || {}) } });
+};
+
+/**
+ * Products of a collection for one page, in collection order, with their category and images.
+ * The collection's product_limit caps the total. Returns { products, total }.
+ */
+const getCollectionProducts = async (collection, { page = 1, limit = 12 } = {}) => {
+  const offset = (page - 1) * limit;
+  const cap = collection.product_limit || Infinity;
+  if (offset >= cap) {
+    const total = Math.min(await countCollectionProducts(collection), cap);
+    return { products: [], total };
+  }
+
+  let where;
+  let order;
+  if (collection.type === 'manual') {
+    const collectionId = parseInt(collection.id);
+    where = sequelize.literal(
+      `"Product".id IN (SELECT product_id FROM collection_products WHERE collection_id = ${collectionId})`
+    );
+    order = [
+      [sequelize.literal(
+        `(SELECT position FROM collection_products WHERE collection_id = ${collectionId} AND product_id = "Product".id)`
+      ), 'ASC'],
+      ['id', 'ASC']
+    ];
+  } else {
+    where = { [Op.and]: await ruleConditions(collection.rules || {}) };
+    order = ruleOrder(collection);
+  }
+
+  const { count, rows } = await Product.findAndCountAll({
+    where,
+    attributes: {
+      include: [[sequelize.literal(inStockSql()), 'in_stock']]
+    },
+    include: [
+      {
+        model: Category,
+        as: 'category',
+        attributes: ['id', 'name', 'slug']
+      },
+      {
+        model: ProductImage,
+        as: 'images',
+        attributes: ProductImage.PUBLIC_ATTRIBUTES
+      }
+    ],
+    distinct: true,
+    order: [...order, ...ProductImage.includeOrder()],
+    limit: Math.min(limit, cap - offset),
+    offset
+  });
+
+  return { products: rows, total: Math.min(count, cap) };
+};
+
+module.exports = {
+  normalizeRules,
+  liveWhere,
+  getCollectionProducts
+};
@@ -0,0 +1,83 @@
+const { sequelize } = require('../config/database');
+const { User, ContactReply } = require('../models');
+const { queueEmail } = require('./notificationService');
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const contactError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check that a contact message can be assigned to a user; null unassigns
+ */
+const checkAssignee = async (userId) => {
+  if (userId === null) {
+    return;
+  }
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'is_admin'] });
+  if (!user || !user.is_admin) {
+    throw contactError('Messages can only be assigned to admin users');
+  }
+};
+
+/**
+ * Queue a reply to the sender of a contact message and add it to the message's thread.
+ * Replies in the same thread reference each other, so mail clients group them. The reply
+ * is sent through the email outbox and retried like other emails; its status follows the
+ * delivery. The message moves to 'replied' right away. Quarantined messages have to be
+ * approved before they can be answered. Resolves to the reply.
+ */
+const sendContactReply = async (message, { body, subject, userId }) => {
+  if (message.status === 'quarantined') {
+    throw contactError('Approve the message before replying to it');
+  }
+
+  const previous = await ContactReply.findAll({
+    where: { message_id: message.id, status: 'sent' },
+    attributes: ['mail_message_id'],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+  const references = previous.map(reply => reply.mail_message_id).filter(Boolean);
+  const replySubject = subject || `Re: ${message.subject || 'Your message'}`;
+
+  return sequelize.transaction(async (transaction) => {
+    const email = await queueEmail({
+      template: 'contact-reply',
+      to: message.email,
+      locale: message.locale || undefined,
+      data: {
+        subject: replySubject,
+        body,
+        name: message.name,
+        email: message.email,
+        message: message.message,
+        sentAt: message.created_at
+      },
+      inReplyTo: references[references.length - 1] || null,
+      references,
+      transaction
+    });
+
+    const reply = await ContactReply.create({
+      message_id: message.id,
+      user_id: userId || null,
+      email_id: email.id,
+      to_email: message.email,
+      subject: replySubject,
+      body
+    }, { transaction });
+
+    await message.update({ status: 'replied' }, { transaction });
+    return reply;
+  });
+};
+
+module.exports = {
+  checkAssignee,
+  sendContactReply
+};
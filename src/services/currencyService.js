@@ -0,0 +1,288 @@
+const { sequelize } = require('../config/database');
+const { ExchangeRate, ProductPrice } = require('../models');
+const { loadPriceBook, priceTiers, tierUnitPrice, listPriceSql } = require('./pricingService');
+
+// Currency product prices are entered and stored in
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const currencyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Normalize a currency code, returning null if it is not a three letter code
+ */
+const normalizeCurrency = (code) => {
+  const currency = String(code || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : null;
+};
+
+/**
+ * Number of decimals a currency is priced in (2 for EUR, 0 for JPY)
+ */
+const getFractionDigits = (currency) => {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (err) {
+    return 2;
+  }
+};
+
+/**
+ * Round an amount to the decimals of a currency
+ */
+const roundToCurrency = (amount, currency) => {
+  const factor = Math.pow(10, getFractionDigits(currency));
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Format an amount as a decimal string in the precision of its currency, like DECIMAL columns
+ */
+const formatAmount = (amount, currency) => amount.toFixed(getFractionDigits(currency));
+
+/**
+ * Resolve the currency requested by a client to { currency, rate }.
+ * Defaults to the base currency; unknown currencies are rejected.
+ */
+const resolveCurrency = async (code) => {
+  if (code === undefined || code === null || code === '') {
+    return { currency: BASE_CURRENCY, rate: 1 };
+  }
+
+  const currency = normalizeCurrency(code);
+  if (!currency) {
+    throw currencyError('Invalid currency');
+  }
+  if (currency === BASE_CURRENCY) {
+    return { currency, rate: 1 };
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({ where: { currency } });
+  if (!exchangeRate) {
+    throw currencyError(`Unsupported currency: ${currency}`);
+  }
+
+  return { currency, rate: parseFloat(exchangeRate.rate) };
+};
+
+/**
+ * Convert a base currency amount into the target currency, rounded to its decimals
+ */
+const convertAmount = (amount, { currency, rate }) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+  return roundToCurrency(parseFloat(amount) * rate, currency);
+};
+
+/**
+ * Convert a target currency amount back into the base currency (e.g. for price filters)
+ */
+const toBaseAmount = (amount, { rate }) => amount / rate;
+
+/**
+ * SQL for the price of a product in the target currency, matching its display_price:
+ * the single-unit price of the pricing context's price lists converted and rounded, else
+ * the manual price for that currency, else the base price converted and rounded.
+ * NULL for products without a price.
+ */
+const displayPriceSql = ({ currency, rate }, { pricing = null, tableAlias = '"Product"' } = {}) => {
+  const convert = (amount) => (currency === BASE_CURRENCY
+    ? amount
+    : `ROUND(${amount} * ${Number(rate)}, ${getFractionDigits(currency)})`);
+
+  const productPrice = currency === BASE_CURRENCY
+    ? `${tableAlias}."price"`
+    : `COALESCE(
+    (SELECT product_prices.price FROM product_prices
+      WHERE product_prices.product_id = ${tableAlias}."id" AND product_prices.currency = ${sequelize.escape(currency)}),
+    ${convert(`${tableAlias}."price"`)}
+  )`;
+
+  const listPrice = listPriceSql(pricing, tableAlias);
+  return listPrice ? `COALESCE(${convert(listPrice)}, ${productPrice})` : productPrice;
+};
+
+/**
+ * Load the manual prices of products in a currency, keyed by product id
+ */
+const getPriceOverrides = async (productIds, currency) => {
+  const overrides = new Map();
+  if (productIds.length === 0 || currency === BASE_CURRENCY) {
+    return overrides;
+  }
+
+  const prices = await ProductPrice.findAll({
+    where: { product_id: productIds, currency }
+  });
+  prices.forEach(productPrice => overrides.set(productPrice.product_id, parseFloat(productPrice.price)));
+
+  return overrides;
+};
+
+/**
+ * Price of a product in the target currency: the manual price for that currency wins
+ * over the converted base price. Returns { currency, amount, is_override }, amount is null
+ * for products without a price.
+ */
+const priceInCurrency = (basePrice, override, target) => {
+  if (override !== undefined) {
+    return { currency: target.currency, amount: formatAmount(override, target.currency), is_override: true };
+  }
+
+  const amount = convertAmount(basePrice, target);
+  return {
+    currency: target.currency,
+    amount: amount === null ? null : formatAmount(amount, target.currency),
+    is_override: false
+  };
+};
+
+/**
+ * Convert price list tiers into the target currency: [{ min_quantity, unit_price }]
+ */
+const localizeTiers = (tiers, target) => tiers.map(tier => ({
+  min_quantity: tier.min_quantity,
+  unit_price: priceInCurrency(tier.unit_price, undefined, target).amount
+}));
+
+/**
+ * Add a display_price in the target currency to products (model instances or plain objects),
+ * along with the quantity tiers of the caller's price lists when a pricing context is given.
+ * A price list price for a single unit replaces the product price and its currency overrides.
+ */
+const localizeProducts = async (products, target, pricing = null) => {
+  const productIds = products.map(product => product.id);
+  const overrides = await getPriceOverrides(productIds, target.currency);
+  const priceBook = await loadPriceBook(pricing, productIds);
+
+  return products.map(product => {
+    const values = typeof product.toJSON === 'function' ? product.toJSON() : product;
+    const tiers = priceTiers(priceBook, values);
+    const listPrice = tierUnitPrice(tiers, 1);
+    return {
+      ...values,
+      display_price: listPrice === null
+        ? priceInCurrency(values.price, overrides.get(values.id), target)
+        : priceInCurrency(listPrice, undefined, target),
+      price_tiers: localizeTiers(tiers, target)
+    };
+  });
+};
+
+/**
+ * Convert the variant prices of a variant matrix into the target currency.
+ * Variants without their own price follow the product's price in that currency;
+ * price list tiers of the pricing context win over both, as in localizeProducts.
+ */
+const localizeVariantMatrix = async (matrix, product, target, pricing = null) => {
+  const overrides = await getPriceOverrides([product.id], target.currency);
+  const priceBook = await loadPriceBook(pricing, [product.id]);
+  const productPrice = priceInCurrency(product.price, overrides.get(product.id), target);
+
+  return {
+    ...matrix,
+    currency: target.currency,
+    variants: matrix.variants.map(variant => {
+      const tiers = priceTiers(priceBook, product, {
+        id: variant.id,
+        price: variant.has_price_override ? variant.price : null
+      });
+      const listPrice = tierUnitPrice(tiers, 1);
+
+      let price = productPrice.amount;
+      if (listPrice !== null) {
+        price = priceInCurrency(listPrice, undefined, target).amount;
+      } else if (variant.has_price_override) {
+        price = priceInCurrency(variant.price, undefined, target).amount;
+      }
+
+      return {
+        ...variant,
+        price,
+        price_tiers: localizeTiers(tiers, target)
+      };
+    })
+  };
+};
+
+/**
+ * Parse an exchange rate import file. Accepts JSON, either { "EUR": 0.92 } or
+ * [{ "currency": "EUR", "rate": 0.92 }], or CSV lines of "currency,rate" with an optional header.
+ */
+const parseRatesFile = (content) => {
+  const text = content.trim();
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw currencyError('Invalid JSON file');
+    }
+    return Array.isArray(data)
+      ? data.map(entry => ({ currency: entry.currency, rate: entry.rate }))
+      : Object.entries(data).map(([currency, rate]) => ({ currency, rate }));
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim()))
+    .filter(([currency, rate]) => currency && rate !== undefined && currency.toLowerCase() !== 'currency')
+    .map(([currency, rate]) => ({ currency, rate }));
+};
+
+/**
+ * Validate and save exchange rates. Returns { imported, errors }, where errors lists
+ * the rejected lines; nothing is saved when any line is invalid.
+ */
+const importRates = async (entries) => {
+  const errors = [];
+  const rates = [];
+
+  entries.forEach((entry, index) => {
+    const currency = normalizeCurrency(entry.currency);
+    const rate = parseFloat(entry.rate);
+    if (!currency) {
+      errors.push({ line: index + 1, message: `Invalid currency: ${entry.currency}` });
+    } else if (currency === BASE_CURRENCY) {
+      errors.push({ line: index + 1, message: `${BASE_CURRENCY} is the base currency` });
+    } else if (isNaN(rate) || rate <= 0) {
+      errors.push({ line: index + 1, message: `Invalid rate for ${currency}` });
+    } else {
+      rates.push({ currency, rate });
+    }
+  });
+
+  if (errors.length > 0 || rates.length === 0) {
+    return { imported: 0, errors };
+  }
+
+  await ExchangeRate.bulkCreate(
+    rates.map(rate => ({ ...rate, updated_at: new Date() })),
+    { conflictAttributes: ['currency'], updateOnDuplicate: ['rate', 'updated_at'] }
+  );
+
+  return { imported: rates.length, errors };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  roundToCurrency,
+  formatAmount,
+  resolveCurrency,
+  convertAmount,
+  toBaseAmount,
+  displayPriceSql,
+  localizeProducts,
+  localizeVariantMatrix,
+  parseRatesFile,
+  importRates
+};
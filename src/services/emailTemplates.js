@@ -0,0 +1,172 @@
+const path = require('path');
+const ejs = require('ejs');
+const { DEFAULT_LOCALE, matchLocale } = require('./translationService');
+const { SITE_NAME } = require('./seoService');
+
+// Email templates live in views/emails as <template>.html.ejs and <template>.text.ejs
+const TEMPLATE_DIR = path.join(__dirname, '../../views/emails');
+
+/**
+ * Localized strings of each email template; {placeholders} are filled from the template data.
+ * Every template needs a subject. Strings missing in a locale fall back to the default locale.
+ */
+const MESSAGES = {
+  en: {
+    layout: {
+      footer: 'This email was sent by {siteName}.'
+    },
+    'contact-admin-alert': {
+      subject: 'New contact message: {subject}',
+      intro: 'A new message was sent through the contact form.',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      subject_label: 'Subject',
+      reference: 'Message #{id}'
+    },
+    'contact-acknowledgement': {
+      subject: 'We received your message',
+      greeting: 'Hello,',
+      intro: 'Thank you for contacting us. We have received your message and will get back to you soon.',
+      closing: 'Best regards,\n{siteName}'
+    },
+    'contact-reply': {
+      subject: '{subject}',
+      quoteHeader: 'On {sentAt}, {name} <{email}> wrote:'
+    },
+    'password-changed': {
+      subject: 'Your password was changed',
+      greeting: 'Hello {name},',
+      intro: 'The password of your account was changed on {changedAt}.',
+      warning: 'If you did not make this change, please contact us right away.'
+    },
+    'quote-request-admin-alert': {
+      subject: 'New quote request {quoteNumber}',
+      intro: '{contactName} requested a quote for {itemCount} products.',
+      company: 'Company',
+      email: 'Email',
+      reference: 'Quote request {quoteNumber}'
+    },
+    'quote-ready': {
+      subject: 'Your quotation {quoteNumber} is ready',
+      greeting: 'Hello {name},',
+      intro: 'We have prepared a quotation for your request {quoteNumber}. It is valid until {validUntil}.',
+      action: 'You can download the quotation as a PDF and accept it from your account.',
+      closing: 'Best regards,\n{siteName}'
+    },
+    'account-created': {
+      subject: 'Welcome to {siteName}',
+      greeting: 'Hello {name},',
+      intro: 'Thank you for creating an account with {siteName}.',
+      introAdmin: 'An account with {siteName} has been created for you.',
+      username: 'Your username is {username}.',
+      passwordHint: 'Please ask the administrator for your password and change it after signing in.'
+    }
+  },
+  zh: {
+    layout: {
+      footer: '此邮件由 {siteName} 发送。'
+    },
+    'contact-admin-alert': {
+      subject: '新的联系留言：{subject}',
+      intro: '联系表单收到一条新留言。',
+      name: '姓名',
+      email: '邮箱',
+      phone: '电话',
+      subject_label: '主题',
+      reference: '留言 #{id}'
+    },
+    'contact-acknowledgement': {
+      subject: '我们已收到您的留言',
+      greeting: '您好：',
+      intro: '感谢您联系我们。我们已收到您的留言，会尽快回复您。',
+      closing: '此致\n{siteName}'
+    },
+    'contact-reply': {
+      subject: '{subject}',
+      quoteHeader: '{name} <{email}> 于 {sentAt} 写道：'
+    },
+    'password-changed': {
+      subject: '您的密码已修改',
+      greeting: '{name}，您好：',
+      intro: '您的账户密码已于 {changedAt} 修改。',
+      warning: '如果这不是您本人的操作，请立即联系我们。'
+    },
+    'quote-request-admin-alert': {
+      subject: '新的询价 {quoteNumber}',
+      intro: '{contactName} 为 {itemCount} 件产品提交了询价。',
+      company: '公司',
+      email: '邮箱',
+      reference: '询价 {quoteNumber}'
+    },
+    'quote-ready': {
+      subject: '您的报价单 {quoteNumber} 已准备好',
+      greeting: '{name}，您好：',
+      intro: '我们已为您的询价 {quoteNumber} 准备了报价单，有效期至 {validUntil}。',
+      action: '您可以在账户中下载 PDF 报价单并确认接受。',
+      closing: '此致\n{siteName}'
+    },
+    'account-created': {
+      subject: '欢迎来到 {siteName}',
+      greeting: '{name}，您好：',
+      intro: '感谢您在 {siteName} 注册账户。',
+      introAdmin: '我们已为您在 {siteName} 创建了账户。',
+      username: '您的用户名是 {username}。',
+      passwordHint: '请向管理员索取密码，并在登录后修改。'
+    }
+  }
+};
+
+/**
+ * Fill {placeholders} in a string
+ */
+const interpolate = (text, values = {}) =>
+  String(text).replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/**
+ * String lookup of one template in a locale, falling back to the default locale and then the key
+ */
+const translator = (template, locale) => (key, values) => {
+  const text = (MESSAGES[locale] && MESSAGES[locale][template] && MESSAGES[locale][template][key]) ||
+    (MESSAGES[DEFAULT_LOCALE][template] && MESSAGES[DEFAULT_LOCALE][template][key]) ||
+    key;
+  return interpolate(text, values);
+};
+
+/**
+ * Format a date for the body of an email in a locale
+ */
+const formatDate = (date, locale) =>
+  new Date(date).toLocaleString(locale === 'zh' ? 'zh-CN' : 'en-US', { dateStyle: 'long', timeStyle: 'short', timeZone: 'UTC' }) + ' UTC';
+
+/**
+ * Render an email template in a locale: resolves to { locale, subject, html, text }, where
+ * locale is the supported locale actually used
+ */
+const renderEmail = async (template, locale, data = {}) => {
+  if (!MESSAGES[DEFAULT_LOCALE][template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const emailLocale = matchLocale(locale) || DEFAULT_LOCALE;
+  const values = { siteName: SITE_NAME, ...data };
+  const t = translator(template, emailLocale);
+  const subject = t('subject', values);
+  const locals = { ...values, locale: emailLocale, t, formatDate: date => formatDate(date, emailLocale) };
+
+  const content = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.html.ejs`), locals);
+  const html = await ejs.renderFile(path.join(TEMPLATE_DIR, 'layout.html.ejs'), {
+    ...locals,
+    title: subject,
+    content,
+    t: translator('layout', emailLocale)
+  });
+  const text = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.text.ejs`), locals);
+
+  return { locale: emailLocale, subject, html, text: text.replace(/\n{3,}/g, '\n\n').trim() + '\n' };
+};
+
+module.exports = {
+  MESSAGES,
+  renderEmail
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { storage } = require('../config/storage');
+
+// Standard sizes: longest side in pixels, images are never enlarged
+const IMAGE_SIZES = {
+  thumb: 150,
+  card: 400,
+  detail: 800,
+  zoom: 1600
+};
+
+// Size whose fallback file is stored as image_url, for clients that don't use the size set
+const DEFAULT_SIZE = 'detail';
+
+const WEBP_QUALITY = 80;
+const JPEG_QUALITY = 82;
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const imageError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Resize an upload into every standard size, as WebP plus a fallback format
+ * (PNG for images with transparency, JPEG otherwise). Images are rotated according to
+ * their EXIF orientation, then all metadata (EXIF, GPS, ICC comments) is dropped.
+ * Returns { fallbackFormat, width, height, variants: [{ size, format, width, height, buffer }] }
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw imageError('Invalid image file');
+  }
+
+  const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  const variants = [];
+
+  for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+    // sharp drops metadata unless withMetadata() is called
+    const resized = sharp(buffer)
+      .rotate()
+      .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true });
+
+    const webp = await resized.clone().webp({ quality: WEBP_QUALITY }).toBuffer({ resolveWithObject: true });
+    const fallback = fallbackFormat === 'png'
+      ? await resized.clone().png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true })
+      : await resized.clone().jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+
+    [['webp', webp], [fallbackFormat, fallback]].forEach(([format, output]) => {
+      variants.push({
+        size,
+        format,
+        width: output.info.width,
+        height: output.info.height,
+        buffer: output.data
+      });
+    });
+  }
+
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  return {
+    fallbackFormat,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    variants
+  };
+};
+
+/**
+ * Store a processed image set below <folder> in the configured storage and describe it as a size set:
+ *   { thumb: { width, height, webp: url, fallback: url }, card: {...}, ... }
+ */
+const saveImageSet = async (processed, folder, prefix) => {
+  const baseName = `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const sizes = {};
+
+  for (const variant of processed.variants) {
+    const extension = variant.format === 'jpeg' ? 'jpg' : variant.format;
+    const url = await storage.put(`${folder}/${baseName}-${variant.size}.${extension}`, variant.buffer, {
+      contentType: CONTENT_TYPES[variant.format]
+    });
+
+    sizes[variant.size] = sizes[variant.size] || { width: variant.width, height: variant.height };
+    sizes[variant.size][variant.format === 'webp' ? 'webp' : 'fallback'] = url;
+  }
+
+  return sizes;
+};
+
+/**
+ * Process an uploaded file (multer memory storage) and store its size set.
+ * Returns { image_url, sizes, width, height, stored_size }, width and height being
+ * those of the original image and stored_size the bytes written to storage.
+ */
+const storeUpload = async (file, folder, prefix) => {
+  const processed = await processImage(file.buffer);
+  const sizes = await saveImageSet(processed, folder, prefix);
+
+  return {
+    image_url: sizes[DEFAULT_SIZE].fallback,
+    sizes,
+    width: processed.width,
+    height: processed.height,
+    stored_size: processed.variants.reduce((total, variant) => total + variant.buffer.length, 0)
+  };
+};
+
+/**
+ * All public URLs belonging to an image: its size set files, or the single legacy file
+ */
+const imageUrls = ({ image_url: imageUrl, sizes }) => {
+  const urls = new Set(imageUrl ? [imageUrl] : []);
+  Object.values(sizes || {}).forEach(size => {
+    if (size.webp) urls.add(size.webp);
+    if (size.fallback) urls.add(size.fallback);
+  });
+  return [...urls];
+};
+
+/**
+ * Delete the files of an image from storage. URLs the storage doesn't manage
+ * (external images, files of a previous storage backend) are left alone.
+ */
+const deleteImageFiles = async (image) => {
+  const keys = imageUrls(image).map(url => storage.keyFromUrl(url)).filter(Boolean);
+  await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+/**
+ * srcset strings for a size set, e.g. { webp: '/a-thumb.webp 150w, ...', fallback: '/a-thumb.jpg 150w, ...' }
+ */
+const buildSrcset = (sizes) => {
+  if (!sizes) {
+    return null;
+  }
+  const entries = Object.values(sizes).sort((a, b) => a.width - b.width);
+  return {
+    webp: entries.filter(size => size.webp).map(size => `${size.webp} ${size.width}w`).join(', '),
+    fallback: entries.filter(size => size.fallback).map(size => `${size.fallback} ${size.width}w`).join(', ')
+  };
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  DEFAULT_SIZE,
+  processImage,
+  storeUpload,
+  imageUrls,
+  deleteImageFiles,
+  buildSrcset
+};
@@ -0,0 +1,239 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Product, StockMovement } = require('../models');
+
+const ON_HAND_TYPES = ['receipt', 'adjustment', 'sale'];
+const RESERVED_TYPES = ['reservation', 'release'];
+
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '5');
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const stockError = (message, status = 409) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * SQL summing the ledger quantities of the given movement types for a product column
+ */
+const sumSql = (productColumn, types) =>
+  `(SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements AS sm ` +
+  `WHERE sm.product_id = ${productColumn} AND sm.type IN (${types.map(type => `'${type}'`).join(', ')}))`;
+
+/**
+ * SQL for the available quantity (on hand minus reserved) of a product column
+ */
+const availableSql = (productColumn = '"Product"."id"') =>
+  `(${sumSql(productColumn, ON_HAND_TYPES)} - ${sumSql(productColumn, RESERVED_TYPES)})`;
+
+/**
+ * SQL condition that is true when a product can be bought
+ */
+const inStockSql = (tableAlias = '"Product"') =>
+  `(${tableAlias}."track_inventory" = false OR ${availableSql(`${tableAlias}."id"`)} > 0)`;
+
+/**
+ * Get on hand, reserved and available quantities keyed by the given ledger column
+ */
+const getLevels = async (column, ids, { transaction } = {}) => {
+  const levels = new Map();
+  ids.forEach(id => levels.set(Number(id), { on_hand: 0, reserved: 0, available: 0 }));
+
+  if (ids.length === 0) {
+    return levels;
+  }
+
+  const rows = await sequelize.query(
+    `SELECT ${column} AS id,
+            COALESCE(SUM(CASE WHEN type IN (:onHandTypes) THEN quantity ELSE 0 END), 0) AS on_hand,
+            COALESCE(SUM(CASE WHEN type IN (:reservedTypes) THEN quantity ELSE 0 END), 0) AS reserved
+       FROM stock_movements
+      WHERE ${column} IN (:ids)
+      GROUP BY ${column}`,
+    {
+      replacements: { onHandTypes: ON_HAND_TYPES, reservedTypes: RESERVED_TYPES, ids },
+      type: QueryTypes.SELECT,
+      transaction
+    }
+  );
+
+  rows.forEach(row => {
+    const onHand = parseInt(row.on_hand);
+    const reserved = parseInt(row.reserved);
+    levels.set(Number(row.id), { on_hand: onHand, reserved, available: onHand - reserved });
+  });
+
+  return levels;
+};
+
+/**
+ * Get stock levels for products (including all their variants), keyed by product ID
+ */
+const getStockLevels = (productIds, options) => getLevels('product_id', productIds, options);
+
+/**
+ * Get stock levels for variants, keyed by variant ID
+ */
+const getVariantStockLevels = (variantIds, options) => getLevels('variant_id', variantIds, options);
+
+/**
+ * Get the low stock threshold that applies to a product
+ */
+const getLowStockThreshold = (product) =>
+  product.low_stock_threshold !== null && product.low_stock_threshold !== undefined
+    ? product.low_stock_threshold
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+
+/**
+ * Add an entry to the stock ledger
+ */
+const recordMovement = async (movement, { transaction } = {}) => {
+  return await StockMovement.create(movement, { transaction });
+};
+
+/**
+ * Key identifying a product/variant pair in stock maps
+ */
+const stockKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Reserve stock for the lines of a new order. Lines with a variant reserve that
+ * variant's stock. Fails with a 409 when a tracked product doesn't have enough
+ * available stock.
+ */
+const reserveForOrder = async (order, lines, transaction) => {
+  // Lock tracked products in ID order so concurrent checkouts can't oversell
+  const productIds = [...new Set(lines.map(line => line.product.id))].sort((a, b) => a - b);
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds }, track_inventory: true },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (products.length === 0) {
+    return;
+  }
+
+  const trackedIds = new Set(products.map(product => product.id));
+  const trackedLines = lines.filter(line => trackedIds.has(line.product.id));
+
+  const productLevels = await getStockLevels([...trackedIds], { transaction });
+  const variantLevels = await getVariantStockLevels(
+    trackedLines.filter(line => line.variant).map(line => line.variant.id),
+    { transaction }
+  );
+
+  // Total the requested quantity per product/variant
+  const requested = new Map();
+  trackedLines.forEach(line => {
+    const key = stockKey(line.product.id, line.variant && line.variant.id);
+    const entry = requested.get(key) || { product: line.product, variant: line.variant, quantity: 0 };
+    entry.quantity += line.quantity;
+    requested.set(key, entry);
+  });
+
+  for (const { product, variant, quantity } of requested.values()) {
+    const { available } = variant ? variantLevels.get(variant.id) : productLevels.get(product.id);
+    const label = variant && variant.name ? `${product.name} (${variant.name})` : product.name;
+
+    if (available < quantity) {
+      throw stockError(
+        available > 0
+          ? `Only ${available} of ${label} left in stock`
+          : `${label} is out of stock`
+      );
+    }
+
+    await recordMovement({
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      type: 'reservation',
+      quantity,
+      order_id: order.id,
+      reference: order.order_number
+    }, { transaction });
+  }
+};
+
+/**
+ * Get the open reservation and sold quantity per product/variant for an order
+ */
+const getOrderStock = async (order, transaction) => {
+  const movements = await StockMovement.findAll({
+    where: { order_id: order.id },
+    transaction
+  });
+
+  const stock = new Map();
+  movements.forEach(movement => {
+    const key = stockKey(movement.product_id, movement.variant_id);
+    const entry = stock.get(key) || {
+      product_id: movement.product_id,
+      variant_id: movement.variant_id,
+      reserved: 0,
+      sold: 0
+    };
+    if (RESERVED_TYPES.includes(movement.type)) {
+      entry.reserved += movement.quantity;
+    } else if (movement.type === 'sale') {
+      entry.sold -= movement.quantity;
+    }
+    stock.set(key, entry);
+  });
+
+  return [...stock.values()];
+};
+
+/**
+ * Turn the reservations of a paid order into sales
+ */
+const commitOrderStock = async (order, transaction) => {
+  const stock = await getOrderStock(order, transaction);
+
+  for (const { product_id, variant_id, reserved } of stock) {
+    if (reserved > 0) {
+      const movement = { product_id, variant_id, order_id: order.id, reference: order.order_number };
+      await recordMovement({ ...movement, type: 'release', quantity: -reserved }, { transaction });
+      await recordMovement({ ...movement, type: 'sale', quantity: -reserved }, { transaction });
+    }
+  }
+};
+
+/**
+ * Release the reservations of a cancelled order and put sold goods back in stock
+ */
+const releaseOrderStock = async (order, transaction) => {
+  const stock = await getOrderStock(order, transaction);
+
+  for (const { product_id, variant_id, reserved, sold } of stock) {
+    const movement = { product_id, variant_id, order_id: order.id, reference: order.order_number };
+    if (reserved > 0) {
+      await recordMovement({ ...movement, type: 'release', quantity: -reserved }, { transaction });
+    }
+    if (sold > 0) {
+      await recordMovement({
+        ...movement,
+        type: 'adjustment',
+        quantity: sold,
+        note: 'Returned to stock on order cancellation'
+      }, { transaction });
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  availableSql,
+  inStockSql,
+  getStockLevels,
+  getVariantStockLevels,
+  getLowStockThreshold,
+  recordMovement,
+  reserveForOrder,
+  commitOrderStock,
+  releaseOrderStock
+};
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that writes every message as an .eml file into `dir` instead
+ * of delivering it. Meant for tests and staging, where the files can be
+ * inspected or opened in a mail client.
+ */
+const createFileTransport = ({ dir }) => {
+  const outputDir = path.resolve(dir);
+  // Builds the raw MIME message without sending it
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    dir: outputDir,
+
+    async send(mail) {
+      const info = await transporter.sendMail(mail);
+      const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outputDir, `${Date.now()}-${id}.eml`), info.message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Mail transport that only writes messages to the console, for development
+ * and installations without a mail server. Nothing is delivered.
+ */
+const createLogTransport = ({ logger = console } = {}) => ({
+  name: 'log',
+
+  async send(mail) {
+    const messageId = `<${crypto.randomUUID()}@log.local>`;
+    logger.log(`[mail] ${messageId} to ${mail.to}: ${mail.subject}\n${mail.text || ''}`);
+    return { messageId };
+  }
+});
+
+module.exports = { createLogTransport };
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport delivering through an SMTP server
+ */
+const createSmtpTransport = ({ host, port, secure, user, password }) => {
+  if (!host) {
+    throw new Error('SMTP transport needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(mail) {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { storage } = require('../config/storage');
+const { Media, ProductImage, Category } = require('../models');
+const { storeUpload, imageUrls, deleteImageFiles } = require('./imageService');
+
+// Storage prefix swept for files that no record refers to
+const UPLOADS_PREFIX = 'uploads';
+
+// Unreferenced media and files younger than this are left alone, they may belong to a request in progress
+const SWEEP_GRACE_HOURS = parseFloat(process.env.MEDIA_SWEEP_GRACE_HOURS) || 24;
+
+// Hours between scheduled sweeps, 0 disables them
+const SWEEP_INTERVAL_HOURS = process.env.MEDIA_SWEEP_INTERVAL_HOURS !== undefined
+  ? parseFloat(process.env.MEDIA_SWEEP_INTERVAL_HOURS) || 0
+  : 24;
+
+// Only one app instance sweeps at a time
+const SWEEP_LOCK_ID = 7311;
+
+/**
+ * SQL counting the product images and categories that use a media row
+ */
+const referenceCountSql = (alias = '"Media"') =>
+  `((SELECT COUNT(*) FROM product_images WHERE product_images.media_id = ${alias}.id) +
+    (SELECT COUNT(*) FROM categories WHERE categories.media_id = ${alias}.id))::integer`;
+
+/**
+ * Add an uploaded file (multer memory storage) to the media library.
+ * A file that was uploaded before is not processed again; its existing media is returned.
+ * Returns { media, reused }.
+ */
+const storeMedia = async (file, { folder, prefix, userId = null }) => {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  const existing = await Media.findOne({ where: { hash } });
+  if (existing) {
+    return { media: existing, reused: true };
+  }
+
+  const upload = await storeUpload(file, folder, prefix);
+  try {
+    const media = await Media.create({
+      hash,
+      file_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size,
+      stored_size: upload.stored_size,
+      width: upload.width,
+      height: upload.height,
+      folder,
+      image_url: upload.image_url,
+      sizes: upload.sizes,
+      uploaded_by: userId
+    });
+    return { media, reused: false };
+  } catch (err) {
+    // The same file was stored by a concurrent request, keep that copy
+    if (err instanceof UniqueConstraintError) {
+      await deleteImageFiles(upload);
+      return { media: await Media.findOne({ where: { hash } }), reused: true };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Delete media rows that are no longer used, with their files
+ */
+const releaseMedia = async (mediaIds) => {
+  const ids = [...new Set(mediaIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const unused = await Media.findAll({
+    where: {
+      id: { [Op.in]: ids },
+      [Op.and]: sequelize.literal(`${referenceCountSql()} = 0`)
+    }
+  });
+
+  for (const media of unused) {
+    await media.destroy();
+    await deleteImageFiles(media);
+  }
+};
+
+/**
+ * Free the files of removed product images or category images: media that are no
+ * longer used are deleted, images from before the media library have their files deleted
+ */
+const releaseImages = async (images) => {
+  await Promise.all(images.filter(image => !image.media_id).map(deleteImageFiles));
+  await releaseMedia(images.map(image => image.media_id));
+};
+
+/**
+ * Storage keys of every file a database record refers to
+ */
+const referencedKeys = async (transaction) => {
+  const [media, productImages, categories] = await Promise.all([
+    Media.findAll({ attributes: ['image_url', 'sizes'], transaction }),
+    ProductImage.findAll({ attributes: ['image_url', 'sizes'], transaction }),
+    Category.findAll({
+      attributes: ['image_url', 'image_sizes'],
+      where: { image_url: { [Op.ne]: null } },
+      transaction
+    })
+  ]);
+
+  const images = [
+    ...media,
+    ...productImages,
+    ...categories.map(category => ({ image_url: category.image_url, sizes: category.image_sizes }))
+  ];
+
+  const keys = new Set();
+  images.forEach(image => {
+    imageUrls(image).forEach(url => {
+      const key = storage.keyFromUrl(url);
+      if (key) {
+        keys.add(key);
+      }
+    });
+  });
+  return keys;
+};
+
+/**
+ * Find media that nothing uses and files in storage that no record refers to, both older
+ * than the grace period, and delete them unless dryRun is set.
+ * Returns a report { dry_run, cutoff, media, files, freed_bytes }, or { skipped: true }
+ * when another instance is already sweeping.
+ */
+const sweepMedia = async ({ dryRun = false, graceHours = SWEEP_GRACE_HOURS } = {}) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const [{ locked }] = await sequelize.query('SELECT pg_try_advisory_xact_lock(:id) AS locked', {
+      replacements: { id: SWEEP_LOCK_ID },
+      type: sequelize.QueryTypes.SELECT,
+      transaction
+    });
+    if (!locked) {
+      return null;
+    }
+
+    const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+    const unusedMedia = await Media.findAll({
+      where: {
+        created_at: { [Op.lt]: cutoff },
+        [Op.and]: sequelize.literal(`${referenceCountSql()} = 0`)
+      },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    // Files of unused media are deleted with the media, so they are not reported twice
+    const keys = await referencedKeys(transaction);
+    const orphanFiles = (await storage.list(UPLOADS_PREFIX))
+      .filter(file => !keys.has(file.key) && new Date(file.last_modified) < cutoff);
+
+    if (!dryRun) {
+      await Media.destroy({ where: { id: { [Op.in]: unusedMedia.map(media => media.id) } }, transaction });
+    }
+
+    return { cutoff, unusedMedia, orphanFiles };
+  });
+
+  if (!result) {
+    return { skipped: true };
+  }
+  const { cutoff, unusedMedia, orphanFiles } = result;
+
+  // Files are only removed once the media rows are gone for good
+  if (!dryRun) {
+    for (const media of unusedMedia) {
+      await deleteImageFiles(media);
+    }
+    for (const file of orphanFiles) {
+      await storage.remove(file.key);
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    cutoff,
+    media: unusedMedia.map(media => ({
+      id: media.id,
+      file_name: media.file_name,
+      image_url: media.image_url,
+      stored_size: media.stored_size,
+      created_at: media.created_at
+    })),
+    files: orphanFiles,
+    freed_bytes: unusedMedia.reduce((total, media) => total + media.stored_size, 0) +
+      orphanFiles.reduce((total, file) => total + file.size, 0)
+  };
+};
+
+/**
+ * Run the sweep every MEDIA_SWEEP_INTERVAL_HOURS and log what it removed
+ */
+const scheduleMediaSweep = () => {
+  if (!SWEEP_INTERVAL_HOURS) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const report = await sweepMedia();
+      if (!report.skipped && (report.media.length > 0 || report.files.length > 0)) {
+        console.log(
+          `Media sweep removed ${report.media.length} unused media and ${report.files.length} orphaned files ` +
+          `(${report.freed_bytes} bytes)`
+        );
+      }
+    } catch (err) {
+      console.error('Media sweep error:', err);
+    }
+  }, SWEEP_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  referenceCountSql,
+  storeMedia,
+  releaseMedia,
+  releaseImages,
+  sweepMedia,
+  scheduleMediaSweep
+};
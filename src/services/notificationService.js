@@ -0,0 +1,283 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { MAIL_FROM, mailTransport } = require('../config/mail');
+const { User, EmailOutbox, ContactReply } = require('../models');
+const { renderEmail } = require('./emailTemplates');
+const { DEFAULT_LOCALE } = require('./translationService');
+
+// Delivery attempts before an email is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+// Delay before the first retry, doubled on every further attempt up to the maximum
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Emails sent per outbox run
+const BATCH_SIZE = 20;
+
+// How often the outbox worker looks for due emails; 0 disables it
+const OUTBOX_INTERVAL_SECONDS = process.env.EMAIL_OUTBOX_INTERVAL_SECONDS !== undefined
+  ? parseFloat(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 0
+  : 60;
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failed ones
+ */
+const retryDelay = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+/**
+ * Send one locked outbox email and record the outcome. Returns 'sent', 'retried' or 'failed'.
+ */
+const deliver = async (email, transaction) => {
+  const attempts = email.attempts + 1;
+  // Contact replies sent with this email follow its delivery status
+  const updateReplies = (values) => ContactReply.update(values, { where: { email_id: email.id }, transaction });
+
+  try {
+    const { messageId } = await mailTransport.send({
+      from: MAIL_FROM,
+      to: email.to_email,
+      replyTo: email.reply_to || undefined,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      inReplyTo: email.in_reply_to || undefined,
+      references: email.references ? email.references.split(' ') : undefined
+    });
+
+    const sentAt = new Date();
+    await email.update({
+      status: 'sent',
+      attempts,
+      message_id: messageId || null,
+      last_error: null,
+      sent_at: sentAt
+    }, { transaction });
+    await updateReplies({ status: 'sent', mail_message_id: messageId || null, error: null, sent_at: sentAt });
+    return 'sent';
+  } catch (err) {
+    const failed = attempts >= email.max_attempts;
+    await email.update({
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      last_error: err.message,
+      next_attempt_at: new Date(Date.now() + retryDelay(attempts) * 1000)
+    }, { transaction });
+    await updateReplies({ status: failed ? 'failed' : 'pending', error: err.message });
+    return failed ? 'failed' : 'retried';
+  }
+};
+
+/**
+ * Send the emails that are due, one at a time. Each email is locked while it is
+ * sent, so several app instances can process the outbox side by side; an
+ * instance that stops mid-send leaves the email pending for the next run.
+ */
+const processOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+  const report = { sent: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const outcome = await sequelize.transaction(async (transaction) => {
+      const email = await EmailOutbox.findOne({
+        where: { status: 'pending', next_attempt_at: { [Op.lte]: new Date() } },
+        order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+      return email ? deliver(email, transaction) : null;
+    });
+
+    if (!outcome) {
+      break;
+    }
+    report[outcome]++;
+  }
+
+  return report;
+};
+
+let processing = null;
+
+/**
+ * Start an outbox run in the background unless one is already running in this process
+ */
+const kickOutbox = () => {
+  if (processing) {
+    return processing;
+  }
+
+  processing = new Promise(resolve => setImmediate(resolve))
+    .then(() => processOutbox())
+    .catch(err => console.error('Email outbox error:', err))
+    .finally(() => {
+      processing = null;
+    });
+  return processing;
+};
+
+/**
+ * Render an email template and add it to the outbox. Delivery starts right away in
+ * the background, or once the transaction commits when one is given.
+ * inReplyTo and references (Message-IDs) thread the email with earlier ones.
+ */
+const queueEmail = async ({
+  template, to, locale = DEFAULT_LOCALE, data = {}, replyTo = null, inReplyTo = null, references = [], transaction
+}) => {
+  const rendered = await renderEmail(template, locale, data);
+
+  const email = await EmailOutbox.create({
+    template,
+    locale: rendered.locale,
+    to_email: to,
+    reply_to: replyTo,
+    in_reply_to: inReplyTo,
+    references: references.length > 0 ? references.join(' ') : null,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    max_attempts: MAX_ATTEMPTS
+  }, { transaction });
+
+  if (transaction) {
+    transaction.afterCommit(() => kickOutbox());
+  } else {
+    kickOutbox();
+  }
+  return email;
+};
+
+/**
+ * Queue an email, logging instead of throwing: a notification that can't be queued
+ * must not fail the action that triggered it
+ */
+const notify = async (options) => {
+  try {
+    return await queueEmail(options);
+  } catch (err) {
+    console.error(`Queue ${options.template} email error:`, err);
+    return null;
+  }
+};
+
+/**
+ * Name to greet a user by
+ */
+const displayName = (user) => user.first_name || user.username;
+
+/**
+ * Addresses that get admin alerts: CONTACT_NOTIFY_EMAIL (comma separated), or every admin user
+ */
+const adminRecipients = async () => {
+  if (process.env.CONTACT_NOTIFY_EMAIL) {
+    return process.env.CONTACT_NOTIFY_EMAIL.split(',').map(address => address.trim()).filter(Boolean);
+  }
+  const admins = await User.findAll({ where: { is_admin: true }, attributes: ['email'] });
+  return admins.map(user => user.email);
+};
+
+/**
+ * Alert the admins about a new contact message and acknowledge it to the sender in the locale they wrote in.
+ * The acknowledgement is a fixed text: echoing what was submitted would let anyone send
+ * their own content to any address through the contact form.
+ */
+const notifyContactMessage = async (message) => {
+  const data = {
+    id: message.id,
+    name: message.name,
+    email: message.email,
+    phone: message.phone,
+    subject: message.subject || '',
+    message: message.message
+  };
+
+  try {
+    for (const address of await adminRecipients()) {
+      await notify({ template: 'contact-admin-alert', to: address, data, replyTo: message.email });
+    }
+  } catch (err) {
+    console.error('Contact admin alert error:', err);
+  }
+  await notify({ template: 'contact-acknowledgement', to: message.email, locale: message.locale || undefined });
+};
+
+/**
+ * Tell a user that their password was changed
+ */
+const notifyPasswordChanged = (user, locale) => notify({
+  template: 'password-changed',
+  to: user.email,
+  locale,
+  data: { name: displayName(user), changedAt: new Date() }
+});
+
+/**
+ * Welcome a new user; createdByAdmin explains that someone else created the account
+ */
+const notifyAccountCreated = (user, locale, { createdByAdmin = false } = {}) => notify({
+  template: 'account-created',
+  to: user.email,
+  locale,
+  data: { name: displayName(user), username: user.username, createdByAdmin }
+});
+
+/**
+ * Alert the admins about a new quote request
+ */
+const notifyQuoteRequested = async (quote, items) => {
+  const data = {
+    quoteNumber: quote.quote_number,
+    contactName: quote.contact_name,
+    company: quote.company,
+    email: quote.email,
+    itemCount: items.length,
+    items: items.map(item => ({ quantity: item.quantity, product_name: item.product_name, variant_name: item.variant_name }))
+  };
+
+  try {
+    for (const address of await adminRecipients()) {
+      await notify({ template: 'quote-request-admin-alert', to: address, data, replyTo: quote.email });
+    }
+  } catch (err) {
+    console.error('Quote request admin alert error:', err);
+  }
+};
+
+/**
+ * Tell the buyer that their quotation is ready
+ */
+const notifyQuoteReady = (quote, locale) => notify({
+  template: 'quote-ready',
+  to: quote.email,
+  locale,
+  data: { name: quote.contact_name, quoteNumber: quote.quote_number, validUntil: quote.valid_until }
+});
+
+/**
+ * Run the outbox every EMAIL_OUTBOX_INTERVAL_SECONDS, picking up retries and
+ * emails queued while the app was down
+ */
+const scheduleOutbox = () => {
+  if (!OUTBOX_INTERVAL_SECONDS) {
+    return null;
+  }
+
+  const timer = setInterval(kickOutbox, OUTBOX_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for the outbox
+  timer.unref();
+  kickOutbox();
+  return timer;
+};
+
+module.exports = {
+  processOutbox,
+  kickOutbox,
+  queueEmail,
+  notifyContactMessage,
+  notifyPasswordChanged,
+  notifyAccountCreated,
+  notifyQuoteRequested,
+  notifyQuoteReady,
+  scheduleOutbox
+};
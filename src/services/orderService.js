@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { Order, OrderItem } = require('../models');
+const { sequelize } = require('../config/database');
+const { roundMoney } = require('./cartService');
+const { reserveForOrder, commitOrderStock, releaseOrderStock } = require('./inventoryService');
+
+/**
+ * Generate a human readable order number, e.g. SK20250601-4F7K2Q
+ */
+const generateOrderNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(4).toString('hex').slice(0, 6).toUpperCase();
+  return `SK${date}-${suffix}`;
+};
+
+/**
+ * Create an order with its items inside the given transaction and reserve its stock.
+ * Each line is { product, variant, quantity, unit_price } (variant optional); product
+ * and variant details are snapshotted onto the order item.
+ */
+const createOrder = async ({ userId, lines, shipping, notes }, transaction) => {
+  let subtotal = 0;
+
+  const items = lines.map(line => {
+    const unitPrice = roundMoney(parseFloat(line.unit_price));
+    const lineTotal = roundMoney(unitPrice * line.quantity);
+    subtotal += lineTotal;
+
+    return {
+      product_id: line.product.id,
+      variant_id: line.variant ? line.variant.id : null,
+      product_name: line.product.name,
+      model_number: line.product.model_number,
+      variant_sku: line.variant ? line.variant.sku : null,
+      variant_name: line.variant ? line.variant.name : null,
+      unit_price: unitPrice.toFixed(2),
+      quantity: line.quantity,
+      line_total: lineTotal.toFixed(2)
+    };
+  });
+
+  subtotal = roundMoney(subtotal);
+
+  const order = await Order.create({
+    order_number: generateOrderNumber(),
+    user_id: userId,
+    status: 'pending',
+    subtotal: subtotal.toFixed(2),
+    total: subtotal.toFixed(2),
+    ...shipping,
+    notes: notes || null
+  }, { transaction });
+
+  await OrderItem.bulkCreate(
+    items.map(item => ({ ...item, order_id: order.id })),
+    { transaction }
+  );
+
+  await reserveForOrder(order, lines, transaction);
+
+  return order;
+};
+
+/**
+ * Move an order to a new status and update the stock ledger to match
+ */
+const transitionOrder = async (order, status, { transaction } = {}) => {
+  if (!transaction) {
+    return await sequelize.transaction(t => transitionOrder(order, status, { transaction: t }));
+  }
+
+  await order.transitionTo(status, { transaction });
+
+  if (status === 'paid') {
+    await commitOrderStock(order, transaction);
+  } else if (status === 'cancelled') {
+    await releaseOrderStock(order, transaction);
+  }
+
+  return order;
+};
+
+module.exports = {
+  generateOrderNumber,
+  createOrder,
+  transitionOrder
+};
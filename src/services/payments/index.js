@@ -0,0 +1,46 @@
+const { createMockProvider } = require('./mockProvider');
+
+/**
+ * Payment provider registry.
+ *
+ * A provider is an object with:
+ *   name                                          - unique provider name
+ *   createIntent({ amount, currency, reference }) - returns { id, status, client_secret }
+ *   capture(intentId, { amount, paymentMethod, idempotencyKey })
+ *                                                 - returns { id, status, amount, failure_reason }
+ *   refund(intentId, { amount, idempotencyKey })  - returns { id, status, amount }
+ *   verifyWebhook(rawBody, headers)               - returns the normalized event, or null
+ *                                                   when the signature is invalid
+ *
+ * Amounts passed to and returned by providers are in minor units (cents).
+ */
+const providers = new Map();
+
+/**
+ * Register a payment provider
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered payment provider by name
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * List the names of all registered providers
+ */
+const listProviders = () => [...providers.keys()];
+
+// The mock provider settles payments without charging anyone, so it is only available
+// when enabled with PAYMENT_MOCK_ENABLED=true (development and tests)
+if (process.env.PAYMENT_MOCK_ENABLED === 'true') {
+  registerProvider(createMockProvider());
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
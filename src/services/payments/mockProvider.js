@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Local mock payment provider.
+ *
+ * Every result is derived from its inputs, so the same request always produces the
+ * same intent ID, outcome and refund ID. Use the payment method `mock_card_declined`
+ * to simulate a declined card; any other payment method succeeds.
+ */
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const DECLINED_PAYMENT_METHOD = 'mock_card_declined';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Create a mock provider instance. Webhooks are signed with webhookSecret or
+ * MOCK_PAYMENT_WEBHOOK_SECRET; there is no built-in secret anyone could sign with.
+ */
+const createMockProvider = ({ webhookSecret } = {}) => {
+  const secret = webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('Mock payment provider needs MOCK_PAYMENT_WEBHOOK_SECRET');
+  }
+
+  const sign = (rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  return {
+    name: 'mock',
+
+    /**
+     * Create a payment intent for an amount in minor units (cents)
+     */
+    async createIntent({ amount, currency, reference }) {
+      const id = `mock_pi_${hash(`${reference}:${amount}:${currency}`).slice(0, 24)}`;
+      return {
+        id,
+        status: 'requires_capture',
+        client_secret: `${id}_secret_${hash(id).slice(0, 16)}`
+      };
+    },
+
+    /**
+     * Capture a payment intent
+     */
+    async capture(intentId, { amount, paymentMethod }) {
+      if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+        return { id: intentId, status: 'failed', amount: 0, failure_reason: 'card_declined' };
+      }
+      return { id: intentId, status: 'succeeded', amount };
+    },
+
+    /**
+     * Refund part or all of a captured payment
+     */
+    async refund(intentId, { amount, idempotencyKey }) {
+      return {
+        id: `mock_re_${hash(`${intentId}:${idempotencyKey}`).slice(0, 24)}`,
+        status: 'succeeded',
+        amount
+      };
+    },
+
+    /**
+     * Verify a webhook signature and return the normalized event
+     */
+    verifyWebhook(rawBody, headers) {
+      const signature = headers[SIGNATURE_HEADER];
+      if (!signature || !rawBody) {
+        return null;
+      }
+
+      const expected = Buffer.from(sign(rawBody));
+      const received = Buffer.from(String(signature));
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        id: event.id,
+        type: event.type,
+        payment_id: event.data.payment_id,
+        amount: event.data.amount,
+        refund_id: event.data.refund_id || null,
+        failure_reason: event.data.failure_reason || null
+      };
+    },
+
+    /**
+     * Build a signed webhook request, for local testing
+     */
+    signWebhook(event) {
+      const body = JSON.stringify(event);
+      return {
+        body,
+        headers: {
+          'content-type': 'application/json',
+          [SIGNATURE_HEADER]: sign(body)
+        }
+      };
+    }
+  };
+};
+
+module.exports = { createMockProvider, DECLINED_PAYMENT_METHOD };
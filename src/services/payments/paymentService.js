@@ -0,0 +1,300 @@
+const { sequelize } = require('../../config/database');
+const { Order, Payment } = require('../../models');
+const { getProvider } = require('./index');
+const { transitionOrder } = require('../orderService');
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const paymentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+const fromMinorUnits = (amount) => (amount / 100).toFixed(2);
+
+/**
+ * Look up a provider or fail with a 400
+ */
+const requireProvider = (name) => {
+  const provider = getProvider(name);
+  if (!provider) {
+    throw paymentError(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Lock the order of a payment for the rest of the transaction
+ */
+const lockOrder = (payment, transaction) =>
+  Order.findByPk(payment.order_id, { lock: transaction.LOCK.UPDATE, transaction });
+
+/**
+ * Mark a payment as succeeded and move its order to paid. The order has to be locked
+ * (lockOrder) by the caller. Money taken for an order that can no longer be paid, e.g.
+ * one cancelled in the meantime, is refunded through the provider right away.
+ */
+const applySucceeded = async (payment, order, transaction) => {
+  if (payment.status !== 'pending' && payment.status !== 'failed') {
+    return;
+  }
+
+  if (!order || !order.canTransitionTo('paid')) {
+    await voidPayment(payment, transaction);
+    return;
+  }
+
+  await payment.update({
+    status: 'succeeded',
+    failure_reason: null,
+    captured_at: new Date()
+  }, { transaction });
+
+  await transitionOrder(order, 'paid', { transaction });
+};
+
+/**
+ * Refund the full amount of a payment captured for an order that can't be paid.
+ * The order itself is left as it is.
+ */
+const voidPayment = async (payment, transaction) => {
+  const provider = requireProvider(payment.provider);
+  const idempotencyKey = `void-${payment.id}`;
+  const result = await provider.refund(payment.provider_payment_id, {
+    amount: toMinorUnits(payment.amount),
+    idempotencyKey
+  });
+  if (result.status !== 'succeeded') {
+    throw paymentError('Refund was declined by the payment provider', 502);
+  }
+
+  await payment.update({
+    status: 'refunded',
+    failure_reason: 'order_not_payable',
+    captured_at: new Date(),
+    refunds: [
+      ...payment.refunds,
+      {
+        id: result.id,
+        amount: fromMinorUnits(result.amount),
+        idempotency_key: idempotencyKey,
+        created_at: new Date()
+      }
+    ],
+    amount_refunded: fromMinorUnits(result.amount)
+  }, { transaction });
+};
+
+/**
+ * Mark a pending payment as failed
+ */
+const applyFailed = async (payment, reason, transaction) => {
+  if (payment.status !== 'pending') {
+    return;
+  }
+
+  await payment.update({ status: 'failed', failure_reason: reason || 'payment_failed' }, { transaction });
+};
+
+/**
+ * Record a refund on a payment, cancelling the order once it is fully refunded.
+ * Refunds already recorded (same refund ID or idempotency key) are ignored.
+ */
+const applyRefund = async (payment, refund, transaction) => {
+  const alreadyRecorded = payment.refunds.some(existing =>
+    existing.id === refund.id ||
+    (refund.idempotency_key && existing.idempotency_key === refund.idempotency_key)
+  );
+  if (alreadyRecorded) {
+    return;
+  }
+
+  const refundedCents = toMinorUnits(payment.amount_refunded) + refund.amount;
+  const fullyRefunded = refundedCents >= toMinorUnits(payment.amount);
+
+  await payment.update({
+    refunds: [
+      ...payment.refunds,
+      {
+        id: refund.id,
+        amount: fromMinorUnits(refund.amount),
+        idempotency_key: refund.idempotency_key || null,
+        created_at: new Date()
+      }
+    ],
+    amount_refunded: fromMinorUnits(refundedCents),
+    status: fullyRefunded ? 'refunded' : 'partially_refunded'
+  }, { transaction });
+
+  if (fullyRefunded) {
+    const order = await lockOrder(payment, transaction);
+    if (order && order.canTransitionTo('cancelled')) {
+      await transitionOrder(order, 'cancelled', { transaction });
+    }
+  }
+};
+
+/**
+ * Start a payment for an order. Reuses the pending payment for the same provider if one exists.
+ */
+const createPayment = async (order, providerName) => {
+  const provider = requireProvider(providerName);
+
+  if (order.status !== 'pending') {
+    throw paymentError('Only pending orders can be paid');
+  }
+
+  let payment = await Payment.findOne({
+    where: { order_id: order.id, provider: provider.name, status: 'pending' }
+  });
+
+  if (!payment) {
+    payment = await Payment.create({
+      order_id: order.id,
+      provider: provider.name,
+      amount: order.total
+    });
+  }
+
+  const intent = await provider.createIntent({
+    amount: toMinorUnits(payment.amount),
+    currency: payment.currency,
+    reference: `payment-${payment.id}`
+  });
+
+  if (payment.provider_payment_id !== intent.id) {
+    await payment.update({ provider_payment_id: intent.id });
+  }
+
+  return { payment, clientSecret: intent.client_secret };
+};
+
+/**
+ * Capture a pending payment. Capturing an already succeeded payment returns it unchanged.
+ */
+const capturePayment = async (paymentId, { paymentMethod, idempotencyKey }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findByPk(paymentId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!payment) {
+      throw paymentError('Payment not found', 404);
+    }
+
+    if (payment.status === 'succeeded') {
+      return payment;
+    }
+
+    if (payment.status !== 'pending') {
+      throw paymentError(`Cannot capture a ${payment.status} payment`, 409);
+    }
+
+    // Don't take money for an order that was cancelled (or paid) since the payment started
+    const order = await lockOrder(payment, transaction);
+    if (!order || !order.canTransitionTo('paid')) {
+      throw paymentError(`Cannot capture a payment for a ${order ? order.status : 'deleted'} order`, 409);
+    }
+
+    const provider = requireProvider(payment.provider);
+    const result = await provider.capture(payment.provider_payment_id, {
+      amount: toMinorUnits(payment.amount),
+      paymentMethod,
+      idempotencyKey: idempotencyKey || `capture-${payment.id}`
+    });
+
+    if (result.status === 'succeeded') {
+      await applySucceeded(payment, order, transaction);
+    } else {
+      await applyFailed(payment, result.failure_reason, transaction);
+    }
+
+    return payment;
+  });
+};
+
+/**
+ * Refund part or all of a payment. Repeating a refund with the same idempotency key
+ * returns the payment without refunding again.
+ */
+const refundPayment = async (paymentId, { amount, idempotencyKey }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findByPk(paymentId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!payment) {
+      throw paymentError('Payment not found', 404);
+    }
+
+    if (payment.refunds.some(refund => refund.idempotency_key === idempotencyKey)) {
+      return payment;
+    }
+
+    if (payment.status !== 'succeeded' && payment.status !== 'partially_refunded') {
+      throw paymentError(`Cannot refund a ${payment.status} payment`, 409);
+    }
+
+    const refundableCents = toMinorUnits(payment.amount) - toMinorUnits(payment.amount_refunded);
+    const refundCents = amount !== undefined && amount !== null ? toMinorUnits(amount) : refundableCents;
+    if (refundCents <= 0 || refundCents > refundableCents) {
+      throw paymentError(`Refund amount must be between 0.01 and ${fromMinorUnits(refundableCents)}`);
+    }
+
+    const provider = requireProvider(payment.provider);
+    const result = await provider.refund(payment.provider_payment_id, {
+      amount: refundCents,
+      idempotencyKey
+    });
+
+    if (result.status !== 'succeeded') {
+      throw paymentError('Refund was declined by the payment provider', 502);
+    }
+
+    await applyRefund(payment, {
+      id: result.id,
+      amount: result.amount,
+      idempotency_key: idempotencyKey
+    }, transaction);
+
+    return payment;
+  });
+};
+
+/**
+ * Apply a verified webhook event from a provider. Events are applied at most once.
+ */
+const handleWebhookEvent = async (providerName, event) => {
+  await sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findOne({
+      where: { provider: providerName, provider_payment_id: event.payment_id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!payment || payment.processed_events.includes(event.id)) {
+      return;
+    }
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        await applySucceeded(payment, await lockOrder(payment, transaction), transaction);
+        break;
+      case 'payment.failed':
+        await applyFailed(payment, event.failure_reason, transaction);
+        break;
+      case 'refund.succeeded':
+        await applyRefund(payment, { id: event.refund_id, amount: event.amount }, transaction);
+        break;
+      // Other event types are acknowledged but ignored
+    }
+
+    await payment.update({
+      processed_events: [...payment.processed_events, event.id]
+    }, { transaction });
+  });
+};
+
+module.exports = {
+  createPayment,
+  capturePayment,
+  refundPayment,
+  handleWebhookEvent
+};
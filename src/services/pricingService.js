@@ -0,0 +1,179 @@
+const { User, CustomerGroup, PriceList, PriceListEntry } = require('../models');
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const pricingError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Price lists a user buys at, in order of precedence: the active price list of the
+ * user's customer group, then the active default list. Guests only get the default list.
+ * Takes the authenticated user (req.user) or nothing; returns { priceListIds }.
+ */
+const getPricingContext = async (user) => {
+  const priceListIds = [];
+
+  if (user && user.id) {
+    const account = await User.findByPk(user.id, {
+      attributes: ['id', 'customer_group_id'],
+      include: [
+        {
+          model: CustomerGroup,
+          as: 'customerGroup',
+          attributes: ['id', 'price_list_id'],
+          include: [{ model: PriceList, as: 'priceList', attributes: ['id', 'is_active'] }]
+        }
+      ]
+    });
+    const groupList = account && account.customerGroup && account.customerGroup.priceList;
+    if (groupList && groupList.is_active) {
+      priceListIds.push(groupList.id);
+    }
+  }
+
+  const defaultList = await PriceList.findOne({ where: { is_default: true, is_active: true }, attributes: ['id'] });
+  if (defaultList && !priceListIds.includes(defaultList.id)) {
+    priceListIds.push(defaultList.id);
+  }
+
+  return { priceListIds };
+};
+
+/**
+ * Load the price list entries of products for a pricing context.
+ * Returns a price book { priceListIds, entries }, entries keyed by product id.
+ */
+const loadPriceBook = async (pricing, productIds, { transaction } = {}) => {
+  const priceListIds = pricing ? pricing.priceListIds : [];
+  const entries = new Map();
+  const ids = [...new Set(productIds)];
+  if (priceListIds.length === 0 || ids.length === 0) {
+    return { priceListIds, entries };
+  }
+
+  const rows = await PriceListEntry.findAll({
+    where: { price_list_id: priceListIds, product_id: ids },
+    order: [['min_quantity', 'ASC']],
+    transaction
+  });
+  rows.forEach(entry => {
+    if (!entries.has(entry.product_id)) {
+      entries.set(entry.product_id, []);
+    }
+    entries.get(entry.product_id).push(entry);
+  });
+
+  return { priceListIds, entries };
+};
+
+/**
+ * Quantity tiers a product (or variant) is sold at: [{ min_quantity, unit_price }], lowest
+ * quantity first, or [] when no price list covers it. Lists earlier in the price book win;
+ * a later list only fills in the quantities below the tiers found so far.
+ * Entries for the variant take precedence over the product's entries on the same list;
+ * product entries don't apply to variants with a price of their own.
+ */
+const priceTiers = (priceBook, product, variant = null) => {
+  const entries = priceBook ? priceBook.entries.get(product.id) || [] : [];
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const hasOwnPrice = Boolean(variant) && variant.price !== null && variant.price !== undefined;
+  let tiers = [];
+  for (const priceListId of priceBook.priceListIds) {
+    const listEntries = entries.filter(entry => entry.price_list_id === priceListId);
+    const variantEntries = variant ? listEntries.filter(entry => entry.variant_id === variant.id) : [];
+    const productEntries = hasOwnPrice ? [] : listEntries.filter(entry => entry.variant_id === null);
+    const lowest = tiers.length > 0 ? tiers[0].min_quantity : Infinity;
+
+    const added = (variantEntries.length > 0 ? variantEntries : productEntries)
+      .filter(entry => entry.min_quantity < lowest)
+      .map(entry => ({ min_quantity: entry.min_quantity, unit_price: parseFloat(entry.price) }));
+    tiers = [...added, ...tiers].sort((a, b) => a.min_quantity - b.min_quantity);
+
+    if (tiers.length > 0 && tiers[0].min_quantity <= 1) {
+      break;
+    }
+  }
+  return tiers;
+};
+
+/**
+ * Unit price of the highest tier reached by a quantity, or null when the quantity
+ * is below the first tier
+ */
+const tierUnitPrice = (tiers, quantity) => {
+  let price = null;
+  tiers.forEach(tier => {
+    if (quantity >= tier.min_quantity) {
+      price = tier.unit_price;
+    }
+  });
+  return price;
+};
+
+/**
+ * SQL for the single-unit price list price of a product in the base currency, resolved like
+ * priceTiers and tierUnitPrice do: the product's quantity 1 tier on the first of the context's
+ * lists that has one, NULL when none has. Returns null when the context has no price lists.
+ */
+const listPriceSql = (pricing, tableAlias = '"Product"') => {
+  const priceListIds = pricing ? pricing.priceListIds.map(id => parseInt(id)) : [];
+  if (priceListIds.length === 0) {
+    return null;
+  }
+
+  const ids = priceListIds.join(', ');
+  return `(SELECT price_list_entries.price FROM price_list_entries
+    WHERE price_list_entries.product_id = ${tableAlias}."id" AND price_list_entries.variant_id IS NULL
+      AND price_list_entries.min_quantity = 1 AND price_list_entries.price_list_id IN (${ids})
+    ORDER BY array_position(ARRAY[${ids}], price_list_entries.price_list_id)
+    LIMIT 1)`;
+};
+
+/**
+ * Validate the quantity tiers of a product or variant on a price list
+ * ([{ min_quantity, price }]) and return them sorted by quantity
+ */
+const normalizeEntries = (input) => {
+  if (!Array.isArray(input)) {
+    throw pricingError('tiers must be an array');
+  }
+
+  const tiers = input.map((tier, index) => {
+    if (!tier || typeof tier !== 'object') {
+      throw pricingError(`Tier ${index + 1} must be an object`);
+    }
+    const minQuantity = Number(tier.min_quantity !== undefined ? tier.min_quantity : 1);
+    const price = Number(tier.price);
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+      throw pricingError(`Tier ${index + 1}: min_quantity must be a positive whole number`);
+    }
+    if (tier.price === null || tier.price === undefined || tier.price === '' || isNaN(price) || price < 0) {
+      throw pricingError(`Tier ${index + 1}: price must be a positive number`);
+    }
+    return { min_quantity: minQuantity, price: price.toFixed(2) };
+  });
+
+  tiers.sort((a, b) => a.min_quantity - b.min_quantity);
+  tiers.forEach((tier, index) => {
+    if (index > 0 && tier.min_quantity === tiers[index - 1].min_quantity) {
+      throw pricingError(`Duplicate tier for quantity ${tier.min_quantity}`);
+    }
+  });
+  return tiers;
+};
+
+module.exports = {
+  getPricingContext,
+  loadPriceBook,
+  priceTiers,
+  tierUnitPrice,
+  listPriceSql,
+  normalizeEntries
+};
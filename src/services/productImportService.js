@@ -0,0 +1,591 @@
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const { Op } = require('sequelize');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const { sequelize } = require('../config/database');
+const { Product, Category, ProductImage, Media } = require('../models');
+const { storeMedia, releaseImages } = require('./mediaService');
+
+// Fixed columns of import and export files, specification columns follow as spec.<key>
+const COLUMNS = ['model_number', 'name', 'category', 'price', 'description', 'features', 'images'];
+const SPEC_PREFIX = 'spec.';
+
+// Separator of image entries in the images column (newlines are accepted too)
+const IMAGE_SEPARATOR = ' | ';
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)$/i;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 15000;
+const MAX_REDIRECTS = 3;
+
+// Limits of image zip files, checked before anything is inflated
+const MAX_ZIP_ENTRIES = 500;
+const MAX_ZIP_SIZE = 200 * 1024 * 1024;
+
+// Addresses image downloads may not connect to: this host, private networks, link-local
+// (cloud metadata services), multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const importError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Read the rows of a CSV or XLSX file as objects keyed by column header.
+ * Each row gets the row number it has in the file (the header is row 1) as `_row`.
+ */
+const parseProductFile = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === '.csv') {
+    let records;
+    try {
+      records = parse(file.buffer, { bom: true, relax_column_count: true, skip_empty_lines: false });
+    } catch (err) {
+      throw importError(`Invalid CSV file: ${err.message}`);
+    }
+    const [header = [], ...dataRows] = records;
+    return dataRows.map((cells, index) => ({
+      _row: index + 2,
+      ...Object.fromEntries(header.map((column, columnIndex) => [column.trim(), cells[columnIndex] ?? '']))
+    }));
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (err) {
+      throw importError('Invalid XLSX file');
+    }
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return [];
+    }
+
+    const header = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      header[column] = cell.text.trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+      const values = { _row: rowNumber };
+      header.forEach((column, index) => {
+        if (column) {
+          values[column] = row.getCell(index).text;
+        }
+      });
+      rows.push(values);
+    });
+    return rows;
+  }
+
+  throw importError('Only CSV and XLSX files can be imported');
+};
+
+/**
+ * Image files of a zip archive, keyed by lowercase file name
+ */
+const readImageZip = (file) => {
+  const images = new Map();
+  if (!file) {
+    return images;
+  }
+
+  let zip;
+  try {
+    zip = new AdmZip(file.buffer);
+  } catch (err) {
+    throw importError('Invalid zip file');
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw importError(`A zip file can have at most ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  let totalSize = 0;
+  entries.forEach(entry => {
+    const name = path.posix.basename(entry.entryName);
+    // Skip folders and macOS resource forks
+    if (!entry.isDirectory && IMAGE_EXTENSIONS.test(name) && !name.startsWith('._')) {
+      images.set(name.toLowerCase(), entry);
+      totalSize += entry.header.size;
+    }
+  });
+
+  if (totalSize > MAX_ZIP_SIZE) {
+    throw importError(`The images in the zip file are larger than ${MAX_ZIP_SIZE / 1024 / 1024}MB in total`);
+  }
+  return images;
+};
+
+/**
+ * Split an images cell into its entries
+ */
+const splitImages = (value) => String(value || '')
+  .split(/\s*\|\s*|\r?\n/)
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Normalize a row: fixed columns by lowercase name, spec.<key> columns collected into specifications
+ */
+const readRow = (raw) => {
+  const row = { row: raw._row, specifications: {} };
+  Object.entries(raw).forEach(([column, value]) => {
+    if (column === '_row') {
+      return;
+    }
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const name = column.toLowerCase();
+    if (name.startsWith(SPEC_PREFIX)) {
+      const key = column.slice(SPEC_PREFIX.length).trim();
+      if (key && text) {
+        row.specifications[key] = text;
+      }
+    } else if (COLUMNS.includes(name)) {
+      row[name] = text;
+    }
+  });
+  return row;
+};
+
+/**
+ * Check every row of an import and work out what it will do. Returns the rows with
+ * { row, model_number, action: 'create' | 'update', product_id, images, errors }.
+ */
+const validateRows = async (rawRows, zipImages) => {
+  const rows = rawRows.map(readRow)
+    .filter(row => COLUMNS.some(column => row[column]) || Object.keys(row.specifications).length > 0);
+
+  const modelNumbers = [...new Set(rows.map(row => row.model_number).filter(Boolean))];
+  const products = modelNumbers.length === 0 ? [] : await Product.findAll({
+    where: { model_number: { [Op.in]: modelNumbers } },
+    attributes: ['id', 'model_number']
+  });
+  const categorySlugs = [...new Set(rows.map(row => row.category).filter(Boolean))];
+  const categories = categorySlugs.length === 0 ? [] : await Category.findAll({
+    where: { slug: { [Op.in]: categorySlugs } },
+    attributes: ['id', 'slug']
+  });
+  const categoryIds = new Map(categories.map(category => [category.slug, category.id]));
+
+  // Site URLs of images that are already stored, so re-importing an export reuses them
+  const imageUrls = [...new Set(rows.flatMap(row => splitImages(row.images)))];
+  const knownUrls = new Set();
+  if (imageUrls.length > 0) {
+    const [media, productImages] = await Promise.all([
+      Media.findAll({ where: { image_url: { [Op.in]: imageUrls } }, attributes: ['image_url'] }),
+      ProductImage.findAll({ where: { image_url: { [Op.in]: imageUrls } }, attributes: ['image_url'] })
+    ]);
+    [...media, ...productImages].forEach(image => knownUrls.add(image.image_url));
+  }
+
+  const seen = new Map();
+  return rows.map(row => {
+    const errors = [];
+    const matches = products.filter(product => product.model_number === row.model_number);
+
+    if (!row.model_number) {
+      errors.push('model_number is required');
+    } else if (row.model_number.length > 50) {
+      errors.push('model_number must be at most 50 characters');
+    } else if (seen.has(row.model_number)) {
+      errors.push(`Duplicate model_number, also on row ${seen.get(row.model_number)}`);
+    } else {
+      seen.set(row.model_number, row.row);
+    }
+    if (matches.length > 1) {
+      errors.push(`model_number matches ${matches.length} products`);
+    }
+
+    const action = matches.length === 1 ? 'update' : 'create';
+    if (action === 'create') {
+      if (!row.name) {
+        errors.push('name is required for new products');
+      }
+      if (!row.category) {
+        errors.push('category is required for new products');
+      }
+      if (!row.description) {
+        errors.push('description is required for new products');
+      }
+    }
+    if (row.name && row.name.length > 255) {
+      errors.push('name must be at most 255 characters');
+    }
+    if (row.category && !categoryIds.has(row.category)) {
+      errors.push(`Unknown category: ${row.category}`);
+    }
+
+    let price;
+    if (row.price) {
+      price = Number(row.price.replace(/,/g, ''));
+      if (isNaN(price) || price < 0) {
+        errors.push(`Invalid price: ${row.price}`);
+      }
+    }
+
+    // Images come from the zip file, from this site or are downloaded
+    const images = splitImages(row.images).map(entry => {
+      if (zipImages.has(path.posix.basename(entry).toLowerCase())) {
+        return { source: 'zip', entry };
+      }
+      if (knownUrls.has(entry)) {
+        return { source: 'existing', entry };
+      }
+      if (/^https?:\/\//i.test(entry)) {
+        return { source: 'download', entry };
+      }
+      errors.push(`Image not found: ${entry}`);
+      return null;
+    }).filter(Boolean);
+
+    return {
+      row: row.row,
+      model_number: row.model_number || null,
+      action,
+      product_id: matches.length === 1 ? matches[0].id : null,
+      values: {
+        name: row.name || undefined,
+        category_id: row.category ? categoryIds.get(row.category) : undefined,
+        price: row.price ? price : undefined,
+        description: row.description || undefined,
+        features: row.features || undefined
+      },
+      specifications: row.specifications,
+      images,
+      errors
+    };
+  });
+};
+
+/**
+ * Reject image URLs that aren't http(s) or whose host resolves to a blocked address
+ */
+const checkDownloadUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw importError('Invalid image URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw importError('Images can only be downloaded over http or https');
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (err) {
+    throw importError('Image host not found');
+  }
+  if (addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw importError('Images cannot be downloaded from private addresses');
+  }
+  return parsed;
+};
+
+/**
+ * Download an image, returning it in the shape of a multer file.
+ * Redirects are followed by hand so that every hop is checked.
+ */
+const downloadImage = async (url) => {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT);
+  let target = await checkDownloadUrl(url);
+  let response = await fetch(target, { signal, redirect: 'manual' });
+  for (let redirects = 0; response.status >= 300 && response.status < 400; redirects++) {
+    const location = response.headers.get('location');
+    if (!location || redirects >= MAX_REDIRECTS) {
+      throw importError('Image download failed (too many redirects)');
+    }
+    target = await checkDownloadUrl(new URL(location, target).href);
+    response = await fetch(target, { signal, redirect: 'manual' });
+  }
+
+  if (!response.ok) {
+    throw importError(`Image download failed (${response.status})`);
+  }
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!contentType.startsWith('image/')) {
+    throw importError('Not an image');
+  }
+  if (parseInt(response.headers.get('content-length')) > MAX_IMAGE_SIZE) {
+    throw importError('Image is larger than 5MB');
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_SIZE) {
+    throw importError('Image is larger than 5MB');
+  }
+
+  return {
+    buffer,
+    originalname: decodeURIComponent(path.posix.basename(target.pathname)) || 'image',
+    mimetype: contentType,
+    size: buffer.length
+  };
+};
+
+/**
+ * Resolve the images of a row to { media_id, image_url, sizes }, storing new files in the media library
+ */
+const resolveImages = async (images, zipImages, userId) => {
+  const resolved = [];
+  for (const image of images) {
+    if (image.source === 'existing') {
+      const media = await Media.findOne({ where: { image_url: image.entry } });
+      const existing = media || await ProductImage.findOne({ where: { image_url: image.entry } });
+      resolved.push({
+        media_id: media ? media.id : existing.media_id,
+        image_url: existing.image_url,
+        sizes: existing.sizes
+      });
+      continue;
+    }
+
+    try {
+      let file;
+      if (image.source === 'zip') {
+        const entry = zipImages.get(path.posix.basename(image.entry).toLowerCase());
+        // Inflation is capped at the declared size, so check that before inflating
+        if (!entry.header.size) {
+          throw importError('Image is empty');
+        }
+        if (entry.header.size > MAX_IMAGE_SIZE) {
+          throw importError('Image is larger than 5MB');
+        }
+        const buffer = entry.getData();
+        const extension = path.extname(entry.entryName).slice(1).toLowerCase();
+        file = {
+          buffer,
+          originalname: path.posix.basename(entry.entryName),
+          mimetype: `image/${extension === 'jpg' ? 'jpeg' : extension}`,
+          size: buffer.length
+        };
+      } else {
+        file = await downloadImage(image.entry);
+      }
+
+      const { media } = await storeMedia(file, { folder: 'uploads/products', prefix: 'product', userId });
+      resolved.push({ media_id: media.id, image_url: media.image_url, sizes: media.sizes });
+    } catch (err) {
+      // Unreachable hosts (TypeError from fetch), timeouts and invalid files are problems of the row
+      if (err.status || err.name === 'TypeError' || err.name === 'TimeoutError') {
+        throw importError(err.status ? `${image.entry}: ${err.message}` : `Image download failed: ${image.entry}`);
+      }
+      throw err;
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Public part of a validated row for the import report
+ */
+const reportRow = (row) => ({
+  row: row.row,
+  model_number: row.model_number,
+  action: row.action,
+  product_id: row.product_id,
+  images: row.images.length,
+  errors: row.errors
+});
+
+/**
+ * Import products from a CSV/XLSX file, with images from URLs or an optional zip file.
+ * Rows are matched to existing products by model_number and updated, other rows create
+ * products; empty cells leave fields unchanged and specification columns are merged into
+ * the existing specifications. A non-empty images cell replaces the product's images.
+ * Nothing is saved when any row is invalid, or when dryRun is set.
+ * Returns { dry_run, imported, summary: { total, created, updated, failed }, rows }.
+ */
+const importProducts = async ({ file, zip, dryRun = false, userId = null }) => {
+  const zipImages = readImageZip(zip);
+  const rows = await validateRows(await parseProductFile(file), zipImages);
+
+  const report = () => ({
+    dry_run: dryRun,
+    imported: !dryRun && rows.every(row => row.errors.length === 0) && rows.length > 0,
+    summary: {
+      total: rows.length,
+      created: rows.filter(row => row.action === 'create' && row.errors.length === 0).length,
+      updated: rows.filter(row => row.action === 'update' && row.errors.length === 0).length,
+      failed: rows.filter(row => row.errors.length > 0).length
+    },
+    rows: rows.map(reportRow)
+  });
+
+  if (rows.length === 0) {
+    throw importError('The file contains no products');
+  }
+  if (dryRun || rows.some(row => row.errors.length > 0)) {
+    return report();
+  }
+
+  // Images are stored before the products are written, unused ones are removed by the media sweep
+  const rowImages = new Map();
+  for (const row of rows) {
+    if (row.images.length > 0) {
+      try {
+        rowImages.set(row, await resolveImages(row.images, zipImages, userId));
+      } catch (err) {
+        if (!err.status) {
+          throw err;
+        }
+        row.errors.push(err.message);
+      }
+    }
+  }
+  if (rows.some(row => row.errors.length > 0)) {
+    return report();
+  }
+
+  const replacedImages = [];
+  await sequelize.transaction(async (transaction) => {
+    for (const row of rows) {
+      const values = Object.fromEntries(Object.entries(row.values).filter(([, value]) => value !== undefined));
+
+      let product;
+      if (row.action === 'update') {
+        product = await Product.findByPk(row.product_id, { transaction });
+        await product.update({
+          ...values,
+          specifications: { ...(product.specifications || {}), ...row.specifications }
+        }, { transaction });
+      } else {
+        product = await Product.create({
+          ...values,
+          model_number: row.model_number,
+          specifications: Object.keys(row.specifications).length > 0 ? row.specifications : null
+        }, { transaction });
+        row.product_id = product.id;
+      }
+
+      const images = rowImages.get(row);
+      if (images) {
+        replacedImages.push(...await ProductImage.findAll({ where: { product_id: product.id }, transaction }));
+        await ProductImage.destroy({ where: { product_id: product.id }, transaction });
+        await ProductImage.bulkCreate(images.map((image, index) => ({
+          ...image,
+          product_id: product.id,
+          is_primary: index === 0, // First image is primary
+          display_order: index
+        })), { transaction });
+      }
+    }
+  });
+
+  // Free the files of replaced images that the imported images don't reuse
+  await releaseImages(replacedImages);
+
+  return report();
+};
+
+/**
+ * Export products (optionally of one category) with the column layout of the import.
+ * Returns { contentType, extension, buffer } for format 'csv' or 'xlsx'.
+ */
+const exportProducts = async ({ format = 'csv', category } = {}) => {
+  if (!['csv', 'xlsx'].includes(format)) {
+    throw importError('Format must be csv or xlsx');
+  }
+
+  const products = await Product.findAll({
+    include: [
+      {
+        model: Category,
+        as: 'category',
+        attributes: ['slug'],
+        ...(category ? { where: { slug: category } } : {})
+      },
+      {
+        model: ProductImage,
+        as: 'images',
+        attributes: ['image_url', 'display_order']
+      }
+    ],
+    order: [['model_number', 'ASC'], ['id', 'ASC'], ...ProductImage.includeOrder()]
+  });
+
+  // Specification keys in the order they first appear
+  const specKeys = [];
+  products.forEach(product => {
+    Object.keys(product.specifications || {}).forEach(key => {
+      if (!specKeys.includes(key)) {
+        specKeys.push(key);
+      }
+    });
+  });
+
+  const header = [...COLUMNS, ...specKeys.map(key => `${SPEC_PREFIX}${key}`)];
+  const rows = products.map(product => {
+    const specifications = product.specifications || {};
+    return [
+      product.model_number || '',
+      product.name,
+      product.category ? product.category.slug : '',
+      product.price === null ? '' : product.price,
+      product.description || '',
+      product.features || '',
+      product.images.map(image => image.image_url).join(IMAGE_SEPARATOR),
+      ...specKeys.map(key => {
+        const value = specifications[key];
+        if (value === undefined || value === null) {
+          return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      })
+    ];
+  });
+
+  if (format === 'csv') {
+    return {
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv',
+      // BOM so spreadsheet programs read the file as UTF-8
+      buffer: Buffer.from(stringify([header, ...rows], { bom: true }))
+    };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+  worksheet.addRow(header).font = { bold: true };
+  rows.forEach(row => worksheet.addRow(row));
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  return {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    buffer: Buffer.from(await workbook.xlsx.writeBuffer())
+  };
+};
+
+module.exports = {
+  COLUMNS,
+  parseProductFile,
+  importProducts,
+  exportProducts
+};
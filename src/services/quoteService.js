@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { storage, privateStorage } = require('../config/storage');
+const { Product, ProductVariant, QuoteRequest, QuoteRequestItem, QuoteAttachment } = require('../models');
+const { roundMoney, resolveUnitPrice } = require('./cartService');
+const { getPricingContext, loadPriceBook, priceTiers } = require('./pricingService');
+const { createOrder } = require('./orderService');
+const { BASE_CURRENCY, formatAmount } = require('./currencyService');
+const { SITE_NAME } = require('./seoService');
+
+// Key prefix of quote attachments in private storage
+const ATTACHMENTS_PREFIX = 'quote-attachments';
+
+// Most lines and price tiers one quote request may have
+const MAX_ITEMS = 50;
+const MAX_TIERS = 10;
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const quoteError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Generate a human readable quote number, e.g. RFQ20250601-4F7K2Q
+ */
+const generateQuoteNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(4).toString('hex').slice(0, 6).toUpperCase();
+  return `RFQ${date}-${suffix}`;
+};
+
+/**
+ * Parse the requested lines (an array or JSON text, as sent with multipart forms) of
+ * { product_id, variant_id, quantity, customization } and snapshot their product details,
+ * along with their list price on the price book of the buyer
+ */
+const buildQuoteItems = async (input, { pricing = null, transaction } = {}) => {
+  let items = input;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (err) {
+      throw quoteError('items must be valid JSON');
+    }
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw quoteError('At least one item is required');
+  }
+  if (items.length > MAX_ITEMS) {
+    throw quoteError(`A quote request can have at most ${MAX_ITEMS} items`);
+  }
+
+  const productIds = [...new Set(items.map(item => parseInt(item.product_id)).filter(Boolean))];
+  const products = new Map(
+    (await Product.findAll({ where: { id: { [Op.in]: productIds } }, transaction }))
+      .map(product => [product.id, product])
+  );
+
+  const variantIds = [...new Set(items.map(item => parseInt(item.variant_id)).filter(Boolean))];
+  const variants = new Map(
+    (await ProductVariant.findAll({ where: { id: { [Op.in]: variantIds } }, transaction }))
+      .map(variant => [variant.id, variant])
+  );
+
+  const priceBook = await loadPriceBook(pricing, [...products.keys()], { transaction });
+
+  return items.map((item, index) => {
+    const line = `Item ${index + 1}`;
+    const product = products.get(parseInt(item.product_id));
+    if (!product) {
+      throw quoteError(`${line}: product not found`);
+    }
+
+    let variant = null;
+    if (item.variant_id !== undefined && item.variant_id !== null && item.variant_id !== '') {
+      variant = variants.get(parseInt(item.variant_id));
+      if (!variant || variant.product_id !== product.id) {
+        throw quoteError(`${line}: variant not found for ${product.name}`);
+      }
+      if (!variant.is_active) {
+        throw quoteError(`${line}: ${product.name} (${variant.name}) is no longer available`);
+      }
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw quoteError(`${line}: quantity must be a positive whole number`);
+    }
+    const listPrice = resolveUnitPrice(priceBook, product, variant, quantity);
+
+    return {
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      product_name: product.name,
+      model_number: product.model_number,
+      variant_sku: variant ? variant.sku : null,
+      variant_name: variant ? variant.name : null,
+      quantity,
+      customization: item.customization ? String(item.customization) : null,
+      list_price: listPrice === null ? null : listPrice.toFixed(2)
+    };
+  });
+};
+
+/**
+ * Validate quoted price tiers [{ min_quantity, unit_price }] and return them sorted by quantity.
+ * The lowest tier must not start below the MOQ.
+ */
+const normalizePriceTiers = (tiers, moq, label) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw quoteError(`${label}: at least one price tier is required`);
+  }
+  if (tiers.length > MAX_TIERS) {
+    throw quoteError(`${label}: at most ${MAX_TIERS} price tiers are allowed`);
+  }
+
+  const normalized = tiers.map(tier => {
+    const minQuantity = Number(tier.min_quantity);
+    const unitPrice = Number(tier.unit_price);
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+      throw quoteError(`${label}: tier min_quantity must be a positive whole number`);
+    }
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw quoteError(`${label}: tier unit_price must be a positive number`);
+    }
+    return { min_quantity: minQuantity, unit_price: formatAmount(unitPrice, BASE_CURRENCY) };
+  }).sort((a, b) => a.min_quantity - b.min_quantity);
+
+  if (normalized.some((tier, index) => index > 0 && tier.min_quantity === normalized[index - 1].min_quantity)) {
+    throw quoteError(`${label}: price tiers must have different min_quantity values`);
+  }
+  if (moq && normalized[0].min_quantity < moq) {
+    throw quoteError(`${label}: the lowest price tier starts below the MOQ`);
+  }
+  return normalized;
+};
+
+/**
+ * Minimum order quantity of a quoted line: its MOQ, or where its lowest price tier starts
+ */
+const itemMoq = (item) => item.moq || (item.price_tiers && item.price_tiers.length > 0 ? item.price_tiers[0].min_quantity : 1);
+
+/**
+ * Unit price of a quoted line at a quantity: the highest tier the quantity reaches, or null below the MOQ
+ */
+const tierPrice = (item, quantity) => {
+  if (!item.price_tiers || quantity < itemMoq(item)) {
+    return null;
+  }
+  const tier = [...item.price_tiers].reverse().find(candidate => quantity >= candidate.min_quantity);
+  return tier ? parseFloat(tier.unit_price) : null;
+};
+
+/**
+ * Safe file name for a storage key
+ */
+const storageFileName = (name) => {
+  const ext = path.extname(name).toLowerCase().replace(/[^.\w]/g, '');
+  const base = path.basename(name, path.extname(name)).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${base || 'file'}${ext}`;
+};
+
+/**
+ * Store uploaded attachments of a quote request. Files are removed again if a record can't be created.
+ */
+const storeQuoteAttachments = async (quote, files, { transaction } = {}) => {
+  const keys = [];
+  try {
+    const attachments = [];
+    for (const file of files) {
+      const key = `${ATTACHMENTS_PREFIX}/${quote.quote_number}/${crypto.randomBytes(8).toString('hex')}-${storageFileName(file.originalname)}`;
+      await privateStorage.put(key, file.buffer, { contentType: file.mimetype });
+      keys.push(key);
+
+      attachments.push(await QuoteAttachment.create({
+        quote_request_id: quote.id,
+        file_name: file.originalname,
+        mime_type: file.mimetype,
+        size: file.size,
+        storage_key: key
+      }, { transaction }));
+    }
+    return attachments;
+  } catch (err) {
+    await Promise.all(keys.map(key => privateStorage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+/**
+ * Contents of a quote attachment, or null when its file is missing
+ */
+const readQuoteAttachment = (attachment) => privateStorage.get(attachment.storage_key);
+
+/**
+ * Delete the stored files of quote attachments
+ */
+const removeQuoteAttachmentFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    await privateStorage.remove(attachment.storage_key)
+      .catch(err => console.error('Remove quote attachment error:', err));
+  }
+};
+
+/**
+ * Move attachments stored as public files (storage_key still holding their URL) to
+ * private storage. A file already where private storage keeps it is only re-keyed.
+ */
+const moveQuoteAttachmentsToPrivateStorage = async ({ from = storage, to = privateStorage } = {}) => {
+  const attachments = await QuoteAttachment.findAll({
+    where: { storage_key: { [Op.notLike]: `${ATTACHMENTS_PREFIX}/%` } }
+  });
+
+  for (const attachment of attachments) {
+    const key = from.keyFromUrl(attachment.storage_key);
+    const buffer = key ? await from.get(key) : null;
+    if (!buffer) {
+      console.error(`Quote attachment ${attachment.id} not found: ${attachment.storage_key}`);
+      continue;
+    }
+
+    const moved = from.location(key) !== to.location(key);
+    if (moved) {
+      await to.put(key, buffer, { contentType: attachment.mime_type });
+    }
+    await attachment.update({ storage_key: key });
+    if (moved) {
+      await from.remove(key);
+    }
+  }
+};
+
+/**
+ * Create a quote request with its lines and attachments
+ */
+const createQuoteRequest = async ({ userId, details, items, files = [] }) => {
+  const pricing = await getPricingContext({ id: userId });
+  let stored = [];
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const lines = await buildQuoteItems(items, { pricing, transaction });
+
+      const quote = await QuoteRequest.create({
+        ...details,
+        quote_number: generateQuoteNumber(),
+        user_id: userId,
+        status: 'submitted'
+      }, { transaction });
+
+      await QuoteRequestItem.bulkCreate(
+        lines.map(line => ({ ...line, quote_request_id: quote.id })),
+        { transaction }
+      );
+
+      stored = await storeQuoteAttachments(quote, files, { transaction });
+      return quote;
+    });
+  } catch (err) {
+    // The records are gone with the transaction, so are the files
+    await removeQuoteAttachmentFiles(stored);
+    throw err;
+  }
+};
+
+/**
+ * Mark quoted requests whose validity date has passed as expired
+ */
+const expireQuotes = async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const [count] = await QuoteRequest.update(
+    { status: 'expired', updated_at: new Date() },
+    { where: { status: 'quoted', valid_until: { [Op.lt]: today } } }
+  );
+  return count;
+};
+
+/**
+ * Price tiers a line is sold at to its buyer without a negotiated price: the tiers of the
+ * buyer's price list, or a single tier at the line's list price. Empty when it has neither.
+ */
+const listPriceTiers = (priceBook, line) => {
+  if (line.product) {
+    const tiers = priceTiers(priceBook, line.product, line.variant);
+    if (tiers.length > 0) {
+      return tiers.map(tier => ({ min_quantity: tier.min_quantity, unit_price: tier.unit_price }));
+    }
+  }
+  return line.list_price === null ? [] : [{ min_quantity: 1, unit_price: line.list_price }];
+};
+
+/**
+ * Answer a quote request: every line gets price tiers and optionally an MOQ, the quote
+ * gets a validity date and notes. Lines left out of the response are quoted at the buyer's
+ * price list tiers. A quoted request can be quoted again until it is accepted.
+ */
+const respondToQuote = async (quoteId, { items, validUntil, quoteNotes, userId }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const quote = await QuoteRequest.findByPk(quoteId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!quote) {
+      throw quoteError('Quote request not found', 404);
+    }
+    if (!['submitted', 'quoted', 'expired'].includes(quote.status)) {
+      throw quoteError(`A quote request that is ${quote.status} cannot be quoted`);
+    }
+    if (validUntil < new Date().toISOString().slice(0, 10)) {
+      throw quoteError('valid_until cannot be in the past');
+    }
+
+    const lines = await QuoteRequestItem.findAll({
+      where: { quote_request_id: quote.id },
+      include: [
+        { model: Product, as: 'product' },
+        { model: ProductVariant, as: 'variant' }
+      ],
+      transaction
+    });
+    const responses = new Map((Array.isArray(items) ? items : []).map(item => [parseInt(item.id), item]));
+    const priceBook = await loadPriceBook(
+      await getPricingContext({ id: quote.user_id }),
+      lines.map(line => line.product_id).filter(Boolean),
+      { transaction }
+    );
+
+    for (const line of lines) {
+      const label = `${line.product_name}${line.variant_name ? ` (${line.variant_name})` : ''}`;
+      let response = responses.get(line.id);
+      if (!response) {
+        const tiers = listPriceTiers(priceBook, line);
+        if (tiers.length === 0) {
+          throw quoteError(`${label}: no price given`);
+        }
+        response = { price_tiers: tiers };
+      }
+
+      let moq = null;
+      if (response.moq !== undefined && response.moq !== null && response.moq !== '') {
+        moq = Number(response.moq);
+        if (!Number.isInteger(moq) || moq < 1) {
+          throw quoteError(`${label}: moq must be a positive whole number`);
+        }
+      }
+
+      await line.update({ moq, price_tiers: normalizePriceTiers(response.price_tiers, moq, label) }, { transaction });
+    }
+
+    await quote.update({
+      status: 'quoted',
+      valid_until: validUntil,
+      quote_notes: quoteNotes !== undefined ? quoteNotes || null : quote.quote_notes,
+      quoted_by: userId,
+      quoted_at: new Date()
+    }, { transaction });
+
+    return quote;
+  });
+};
+
+/**
+ * Accept a quote and turn it into a pending order at the quoted prices. The buyer may
+ * change line quantities ({ itemId: quantity }) as long as they stay at or above the MOQ.
+ */
+const acceptQuote = async (quoteId, { userId, shipping, quantities = {}, notes }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const quote = await QuoteRequest.findByPk(quoteId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!quote || quote.user_id !== userId) {
+      throw quoteError('Quote request not found', 404);
+    }
+    if (quote.status === 'quoted' && quote.isExpired()) {
+      await quote.update({ status: 'expired' }, { transaction });
+      return { expired: true };
+    }
+    if (quote.status !== 'quoted') {
+      throw quoteError(`A quote request that is ${quote.status} cannot be accepted`);
+    }
+
+    const items = await QuoteRequestItem.findAll({
+      where: { quote_request_id: quote.id },
+      include: [
+        { model: Product, as: 'product' },
+        { model: ProductVariant, as: 'variant' }
+      ],
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    const lines = items.map(item => {
+      const label = `${item.product_name}${item.variant_name ? ` (${item.variant_name})` : ''}`;
+      if (!item.product || (item.variant_id === null && item.variant_name)) {
+        throw quoteError(`${label} is no longer available`);
+      }
+      if (item.variant && !item.variant.is_active) {
+        throw quoteError(`${label} is no longer available`);
+      }
+
+      const requested = quantities[item.id] !== undefined ? Number(quantities[item.id]) : item.quantity;
+      if (!Number.isInteger(requested) || requested < 1) {
+        throw quoteError(`${label}: quantity must be a positive whole number`);
+      }
+      const unitPrice = tierPrice(item, requested);
+      if (unitPrice === null) {
+        throw quoteError(`${label}: the minimum order quantity is ${itemMoq(item)}`);
+      }
+
+      return { product: item.product, variant: item.variant, quantity: requested, unit_price: roundMoney(unitPrice) };
+    });
+
+    const order = await createOrder({
+      userId,
+      lines,
+      shipping,
+      notes: [`Quote ${quote.quote_number}`, notes].filter(Boolean).join('\n')
+    }, transaction);
+
+    await quote.update({ status: 'accepted', accepted_at: new Date(), order_id: order.id }, { transaction });
+
+    return { quote, order };
+  });
+};
+
+/**
+ * Render a quoted request as a PDF quotation; resolves to a Buffer
+ */
+const quotationPdf = (quote) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Quotation ${quote.quote_number}`, Author: SITE_NAME } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (amount) => `${BASE_CURRENCY} ${formatAmount(amount, BASE_CURRENCY)}`;
+  const date = (value) => new Date(value).toISOString().slice(0, 10);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).text(SITE_NAME, left, 50);
+  doc.fontSize(14).text('QUOTATION', left, 50, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Quote number: ${quote.quote_number}`, left, 75, { width, align: 'right' })
+    .text(`Date: ${date(quote.quoted_at || quote.created_at)}`, { width, align: 'right' })
+    .text(`Valid until: ${quote.valid_until}`, { width, align: 'right' });
+
+  // Buyer
+  doc.moveDown(2).font('Helvetica-Bold').fontSize(11).text('Prepared for', left);
+  doc.font('Helvetica').fontSize(10);
+  [quote.company, quote.contact_name, quote.email, quote.phone, quote.country]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  // Lines
+  const columns = [
+    { title: 'Product', width: width * 0.34 },
+    { title: 'Qty', width: width * 0.09, align: 'right' },
+    { title: 'MOQ', width: width * 0.09, align: 'right' },
+    { title: 'Price tiers', width: width * 0.2 },
+    { title: 'Unit price', width: width * 0.13, align: 'right' },
+    { title: 'Total', width: width * 0.15, align: 'right' }
+  ];
+  const row = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width - 6 }));
+    const height = Math.max(...heights) + 8;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 3, top + 4, { width: columns[index].width - 6, align: columns[index].align || 'left' });
+      x += columns[index].width;
+    });
+    doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  doc.moveDown(1.5);
+  row(columns.map(column => column.title), 'Helvetica-Bold');
+
+  let total = 0;
+  let complete = true;
+  (quote.items || []).forEach(item => {
+    const unitPrice = tierPrice(item, item.quantity);
+    const lineTotal = unitPrice === null ? null : roundMoney(unitPrice * item.quantity);
+    if (lineTotal === null) {
+      complete = false;
+    } else {
+      total += lineTotal;
+    }
+
+    const product = [
+      item.product_name,
+      item.model_number ? `Model ${item.model_number}` : null,
+      item.variant_name || item.variant_sku,
+      item.customization ? `Customization: ${item.customization}` : null
+    ].filter(Boolean).join('\n');
+    const tiers = (item.price_tiers || []).map(tier => `${tier.min_quantity}+: ${formatAmount(parseFloat(tier.unit_price), BASE_CURRENCY)}`).join('\n');
+
+    row([
+      product,
+      String(item.quantity),
+      String(itemMoq(item)),
+      tiers,
+      unitPrice === null ? 'Below MOQ' : formatAmount(unitPrice, BASE_CURRENCY),
+      lineTotal === null ? '-' : formatAmount(lineTotal, BASE_CURRENCY)
+    ], 'Helvetica');
+  });
+
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11)
+    .text(`Total at requested quantities: ${money(roundMoney(total))}`, left, doc.y, { width, align: 'right' });
+  if (!complete) {
+    doc.font('Helvetica').fontSize(9).text('Lines below their MOQ are not included in the total.', { width, align: 'right' });
+  }
+
+  // Notes
+  doc.x = left;
+  if (quote.customization_notes) {
+    doc.moveDown(1.5).font('Helvetica-Bold').fontSize(11).text('Customization', left);
+    doc.font('Helvetica').fontSize(10).text(quote.customization_notes, { width });
+  }
+  if (quote.quote_notes) {
+    doc.moveDown(1.5).font('Helvetica-Bold').fontSize(11).text('Notes', left);
+    doc.font('Helvetica').fontSize(10).text(quote.quote_notes, { width });
+  }
+
+  doc.moveDown(2).font('Helvetica').fontSize(8).fillColor('#666666').text(
+    `Prices are in ${BASE_CURRENCY} per unit, excluding shipping. The unit price depends on the ordered quantity; ` +
+    `quantities below the MOQ cannot be ordered. This quotation can be accepted until ${quote.valid_until}.`,
+    left, doc.y, { width }
+  );
+
+  doc.end();
+});
+
+module.exports = {
+  ATTACHMENTS_PREFIX,
+  createQuoteRequest,
+  readQuoteAttachment,
+  removeQuoteAttachmentFiles,
+  moveQuoteAttachmentsToPrivateStorage,
+  expireQuotes,
+  respondToQuote,
+  acceptQuote,
+  itemMoq,
+  tierPrice,
+  quotationPdf
+};
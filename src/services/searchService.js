@@ -0,0 +1,196 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Product, Category, ProductImage } = require('../models');
+const { normalizeSpecKey, specEntriesSql } = require('./specService');
+
+// Minimum trigram similarity for a fuzzy match on name/model number or a spelling correction
+const SIMILARITY_THRESHOLD = 0.3;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5';
+
+/**
+ * SQL fragments for matching, ranking and highlighting products against a search term.
+ * `alias` is the products table alias in the surrounding query.
+ *   match   - full-text match, or fuzzy (trigram) match on name and model number
+ *   rank    - full-text rank plus trigram similarity, higher is better
+ *   snippet - description fragment with matches wrapped in <mark>
+ */
+const searchSql = (term, alias = '"Product"') => {
+  const escapedTerm = sequelize.escape(term);
+  const escapedPrefix = sequelize.escape(`${term.replace(/[\\%_]/g, '\\$&')}%`);
+  const query = `websearch_to_tsquery('english', ${escapedTerm})`;
+  const similarity =
+    `GREATEST(word_similarity(${escapedTerm}, ${alias}."name"), ` +
+    `similarity(coalesce(${alias}."model_number", ''), ${escapedTerm}))`;
+
+  return {
+    match:
+      `(${alias}."search_vector" @@ ${query} ` +
+      `OR ${alias}."model_number" ILIKE ${escapedPrefix} ` +
+      `OR ${similarity} > ${SIMILARITY_THRESHOLD})`,
+    rank: `(ts_rank_cd(${alias}."search_vector", ${query}) + ${similarity})`,
+    snippet: `ts_headline('english', coalesce(${alias}."description", ''), ${query}, '${HEADLINE_OPTIONS}')`
+  };
+};
+
+/**
+ * Replace misspelled words in a search term with the closest word in the search index.
+ * Returns null when nothing could be corrected.
+ */
+const correctSpelling = async (term) => {
+  const words = term.toLowerCase().split(/\s+/).filter(word => word.length >= 3);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const rows = await sequelize.query(
+    `SELECT w.input, s.word, similarity(s.word, w.input) AS score
+       FROM unnest(ARRAY[:words]::text[]) AS w(input),
+            ts_stat('SELECT search_vector FROM products') AS s
+      WHERE similarity(s.word, w.input) > :threshold
+      ORDER BY score DESC`,
+    {
+      replacements: { words, threshold: SIMILARITY_THRESHOLD },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  // Keep the best suggestion per word (rows are sorted by score)
+  const suggestions = new Map();
+  rows.forEach(row => {
+    if (!suggestions.has(row.input)) {
+      suggestions.set(row.input, row.word);
+    }
+  });
+
+  let changed = false;
+  const corrected = term.split(/\s+/).map(word => {
+    const suggestion = suggestions.get(word.toLowerCase());
+    if (suggestion && suggestion !== word.toLowerCase()) {
+      changed = true;
+      return suggestion;
+    }
+    return word;
+  }).join(' ');
+
+  return changed ? corrected : null;
+};
+
+/**
+ * Run the ranked search query and collect facets for one search term
+ */
+const runSearch = async (term, { category, limit, offset }) => {
+  const { match, rank, snippet } = searchSql(term, 'p');
+  const categoryFilter = category ? 'AND c.slug = :category' : '';
+  const replacements = { category, limit, offset };
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*)::int AS total
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+      WHERE ${match} ${categoryFilter}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  const hits = await sequelize.query(
+    `SELECT p.id, ${rank} AS rank, ${snippet} AS snippet
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+      WHERE ${match} ${categoryFilter}
+      ORDER BY rank DESC, p.id ASC
+      LIMIT :limit OFFSET :offset`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  // Category counts ignore the category filter so other categories stay selectable
+  const categoryFacets = await sequelize.query(
+    `SELECT c.id, c.name, c.slug, COUNT(*)::int AS count
+       FROM products p
+       JOIN categories c ON c.id = p.category_id
+      WHERE ${match}
+      GROUP BY c.id, c.name, c.slug
+      ORDER BY count DESC, c.name ASC`,
+    { type: QueryTypes.SELECT }
+  );
+
+  const specRows = await sequelize.query(
+    `SELECT s.key, s.value, COUNT(*)::int AS count
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       CROSS JOIN LATERAL ${specEntriesSql('p')} AS s
+      WHERE ${match} ${categoryFilter}
+      GROUP BY s.key, s.value
+      ORDER BY s.key ASC, count DESC, s.value ASC`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  // Keyed the way spec.<key> filters refer to them
+  const specFacets = {};
+  specRows.forEach(row => {
+    const key = normalizeSpecKey(row.key);
+    if (!key) {
+      return;
+    }
+    specFacets[key] = specFacets[key] || [];
+    specFacets[key].push({ value: row.value, count: row.count });
+  });
+
+  return { total, hits, facets: { categories: categoryFacets, specifications: specFacets } };
+};
+
+/**
+ * Search products with relevance ranking, highlighted snippets and facet counts.
+ * When nothing matches, the term is spell-corrected against the index and searched again.
+ */
+const searchProducts = async (term, { category, page = 1, limit = 10 } = {}) => {
+  const offset = (page - 1) * limit;
+  let result = await runSearch(term, { category, limit, offset });
+  let correctedQuery = null;
+
+  if (result.total === 0) {
+    correctedQuery = await correctSpelling(term);
+    if (correctedQuery) {
+      result = await runSearch(correctedQuery, { category, limit, offset });
+    }
+  }
+
+  const ids = result.hits.map(hit => hit.id);
+  const products = ids.length === 0 ? [] : await Product.findAll({
+    where: { id: ids },
+    include: [
+      {
+        model: Category,
+        as: 'category',
+        attributes: ['id', 'name', 'slug']
+      },
+      {
+        model: ProductImage,
+        as: 'images',
+        attributes: ProductImage.PUBLIC_ATTRIBUTES
+      }
+    ],
+    order: ProductImage.includeOrder()
+  });
+
+  // Return products in rank order with their score and snippet
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const rankedProducts = result.hits
+    .filter(hit => productsById.has(hit.id))
+    .map(hit => ({
+      ...productsById.get(hit.id).toJSON(),
+      search_rank: parseFloat(hit.rank),
+      search_snippet: hit.snippet
+    }));
+
+  return {
+    products: rankedProducts,
+    total: result.total,
+    facets: result.facets,
+    correctedQuery
+  };
+};
+
+module.exports = {
+  searchSql,
+  searchProducts
+};
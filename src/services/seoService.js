@@ -0,0 +1,72 @@
+const { BASE_CURRENCY } = require('./currencyService');
+
+const SITE_NAME = 'SKMEI Watch';
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Open Graph locale codes of the supported content locales
+const OG_LOCALES = {
+  en: 'en_US',
+  zh: 'zh_CN'
+};
+
+/**
+ * Absolute URL of a site path; SITE_URL takes precedence over the request host
+ */
+const absoluteUrl = (req, sitePath) => {
+  const origin = process.env.SITE_URL
+    ? process.env.SITE_URL.replace(/\/+$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return /^https?:\/\//.test(sitePath) ? sitePath : `${origin}${sitePath}`;
+};
+
+/**
+ * Collapse whitespace and shorten text to a meta description, cutting at a word boundary
+ */
+const metaDescription = (text) => {
+  const plain = String(text || '').replace(/\s+/g, ' ').trim();
+  if (plain.length <= MAX_DESCRIPTION_LENGTH) {
+    return plain;
+  }
+  const cut = plain.slice(0, MAX_DESCRIPTION_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+/**
+ * Title, description and Open Graph data of a product page
+ */
+const productMeta = (req, product, sitePath) => {
+  const primaryImage = (product.images || []).find(image => image.is_primary) || (product.images || [])[0];
+
+  return {
+    title: `${product.name} - ${SITE_NAME}`,
+    description: metaDescription(product.description),
+    url: absoluteUrl(req, sitePath),
+    type: 'product',
+    locale: OG_LOCALES[req.locale] || OG_LOCALES.en,
+    image: primaryImage ? absoluteUrl(req, primaryImage.image_url) : null,
+    price: product.price !== null && product.price !== undefined
+      ? { amount: product.price, currency: BASE_CURRENCY }
+      : null
+  };
+};
+
+/**
+ * Title, description and Open Graph data of a category page
+ */
+const categoryMeta = (req, category, sitePath) => ({
+  title: `${category.name} - ${SITE_NAME}`,
+  description: metaDescription(category.description || `${category.name} from ${SITE_NAME}`),
+  url: absoluteUrl(req, sitePath),
+  type: 'website',
+  locale: OG_LOCALES[req.locale] || OG_LOCALES.en,
+  image: category.image_url ? absoluteUrl(req, category.image_url) : null,
+  price: null
+});
+
+module.exports = {
+  SITE_NAME,
+  absoluteUrl,
+  metaDescription,
+  productMeta,
+  categoryMeta
+};
@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const { pinyin } = require('pinyin-pro');
+const { sequelize } = require('../config/database');
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn a name into a URL slug. Chinese characters are transliterated to pinyin
+ * and accents are stripped, e.g. '男士手表 Café 1894' -> 'nan-shi-shou-biao-cafe-1894'
+ */
+const slugify = (text) => {
+  const transliterated = pinyin(String(text || ''), { toneType: 'none', type: 'array', nonZh: 'consecutive' })
+    .join(' ');
+
+  return transliterated
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Slugs starting with `base` that are taken by other records of a model.
+ * Product slugs also include the slug history of other products, so old URLs keep
+ * pointing to the product they were created for.
+ */
+const findTakenSlugs = async (modelName, base, { excludeId, transaction }) => {
+  const { models } = sequelize;
+  const where = { slug: { [Op.like]: `${base}%` } };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const records = await models[modelName].findAll({ where, attributes: ['slug'], transaction });
+  const taken = new Set(records.map(record => record.slug));
+
+  if (modelName === 'Product') {
+    const historyWhere = { slug: { [Op.like]: `${base}%` } };
+    if (excludeId) {
+      historyWhere.product_id = { [Op.ne]: excludeId };
+    }
+    const history = await models.ProductSlug.findAll({ where: historyWhere, attributes: ['slug'], transaction });
+    history.forEach(record => taken.add(record.slug));
+  }
+
+  return taken;
+};
+
+/**
+ * Generate a slug for a name that is unique for the model, adding -2, -3... when needed
+ */
+const generateUniqueSlug = async (modelName, name, { excludeId = null, fallback = 'item', transaction } = {}) => {
+  let base = slugify(name) || fallback;
+  // Numeric slugs would be mistaken for IDs in /products/:category/:id URLs
+  if (/^\d+$/.test(base)) {
+    base = `${fallback}-${base}`;
+  }
+  const taken = await findTakenSlugs(modelName, base, { excludeId, transaction });
+
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * Keep the slug history of a product after its slug changed: the old slug is
+ * remembered for redirects and the current slug is no longer a redirect.
+ */
+const recordSlugChange = async (product, previousSlug, { transaction } = {}) => {
+  const { ProductSlug } = sequelize.models;
+
+  await ProductSlug.destroy({ where: { slug: product.slug }, transaction });
+  if (previousSlug) {
+    await ProductSlug.findOrCreate({
+      where: { slug: previousSlug },
+      defaults: { product_id: product.id },
+      transaction
+    });
+  }
+};
+
+/**
+ * Find a product by its current or a former slug, with its category unless other find options
+ * are given.
+ * Returns { product, current } where current is false for former slugs, or null.
+ */
+const findProductBySlug = async (slug, options = {}) => {
+  const { Product, ProductSlug, Category } = sequelize.models;
+  const findOptions = {
+    ...options,
+    include: options.include || [{ model: Category, as: 'category', attributes: ['id', 'name', 'slug'] }]
+  };
+
+  const product = await Product.findOne({ ...findOptions, where: { slug } });
+  if (product) {
+    return { product, current: true };
+  }
+
+  const history = await ProductSlug.findOne({ where: { slug } });
+  if (history) {
+    const renamed = await Product.findByPk(history.product_id, findOptions);
+    if (renamed) {
+      return { product: renamed, current: false };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Canonical page path of a product
+ */
+const productPath = (product, category) => `/products/${category ? category.slug : 'all'}/${product.slug}`;
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  recordSlugChange,
+  findProductBySlug,
+  productPath
+};
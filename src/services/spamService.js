@@ -0,0 +1,140 @@
+const jwt = require('jsonwebtoken');
+const { Op, fn, col, where: sqlWhere } = require('sequelize');
+const { ContactMessage } = require('../models');
+
+// Messages accepted per sender within the rate limit window
+const RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.CONTACT_RATE_WINDOW_MINUTES) || 60;
+const RATE_LIMIT_PER_IP = parseInt(process.env.CONTACT_RATE_LIMIT_IP) || 5;
+const RATE_LIMIT_PER_EMAIL = parseInt(process.env.CONTACT_RATE_LIMIT_EMAIL) || 3;
+
+// Forms submitted faster than this after loading were most likely filled in by a bot
+const MIN_FILL_SECONDS = process.env.CONTACT_MIN_FILL_SECONDS !== undefined
+  ? parseFloat(process.env.CONTACT_MIN_FILL_SECONDS) || 0
+  : 3;
+const FORM_TOKEN_TTL = '1d';
+
+// Messages scoring at least this much are quarantined
+const SPAM_THRESHOLD = parseInt(process.env.CONTACT_SPAM_THRESHOLD) || 5;
+
+// Words common in spam; CONTACT_SPAM_KEYWORDS (comma separated) replaces the list
+const SPAM_KEYWORDS = process.env.CONTACT_SPAM_KEYWORDS
+  ? process.env.CONTACT_SPAM_KEYWORDS.split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+  : [
+    'viagra', 'cialis', 'casino', 'betting', 'crypto', 'bitcoin', 'forex', 'loan',
+    'seo services', 'backlinks', 'guest post', 'rank your website', 'web traffic',
+    'adult', 'porn', 'dating', 'weight loss', 'click here', 'unsubscribe'
+  ];
+
+// Keywords match whole words only, so "adult" doesn't match "adulthood"
+const KEYWORD_PATTERNS = SPAM_KEYWORDS.map(keyword => [
+  keyword,
+  new RegExp(`(?<![\\p{L}\\p{N}_])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`, 'iu')
+]);
+
+// Hidden form field people leave empty and bots fill in
+const HONEYPOT_FIELD = 'website';
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Token the contact form gets when it loads; its issue time is the start of the fill time
+ */
+const issueFormToken = () => jwt.sign({ purpose: 'contact-form' }, process.env.JWT_SECRET, { expiresIn: FORM_TOKEN_TTL });
+
+/**
+ * Seconds since a form token was issued, or null when it is missing, forged or expired
+ */
+const formFillSeconds = (token) => {
+  if (!token) {
+    return null;
+  }
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    return payload.purpose === 'contact-form' ? Date.now() / 1000 - payload.iat : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Whether a submission filled in the honeypot field
+ */
+const isHoneypotFilled = (body) => Boolean(body[HONEYPOT_FIELD] && String(body[HONEYPOT_FIELD]).trim());
+
+/**
+ * Check the per-IP and per-email limits. Returns null when the sender may post,
+ * otherwise the number of seconds until they may post again.
+ */
+const checkRateLimit = async ({ ip, email }) => {
+  const since = new Date(Date.now() - RATE_LIMIT_WINDOW_MINUTES * 60 * 1000);
+  const limits = [];
+  if (ip) {
+    limits.push([{ ip_address: ip }, RATE_LIMIT_PER_IP]);
+  }
+  if (email) {
+    limits.push([sqlWhere(fn('lower', col('email')), String(email).toLowerCase()), RATE_LIMIT_PER_EMAIL]);
+  }
+
+  for (const [condition, limit] of limits) {
+    const recent = await ContactMessage.findAll({
+      where: { [Op.and]: [condition, { created_at: { [Op.gte]: since } }] },
+      attributes: ['created_at'],
+      order: [['created_at', 'DESC']],
+      limit
+    });
+
+    if (recent.length >= limit) {
+      // The sender may post again once the oldest counted message leaves the window
+      const oldest = new Date(recent[recent.length - 1].created_at);
+      return Math.max(Math.ceil((oldest.getTime() - since.getTime()) / 1000), 1);
+    }
+  }
+  return null;
+};
+
+/**
+ * Score a contact submission for spam. Returns { score, reasons, quarantine }.
+ */
+const scoreMessage = ({ name, subject, message, formToken }) => {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const fillSeconds = formFillSeconds(formToken);
+  if (fillSeconds === null) {
+    add(3, 'missing or invalid form token');
+  } else if (fillSeconds < MIN_FILL_SECONDS) {
+    add(5, `form submitted after ${Math.round(fillSeconds * 10) / 10}s`);
+  }
+
+  const text = [name, subject, message].filter(Boolean).join('\n');
+  const links = (text.match(LINK_PATTERN) || []).length;
+  if (links > 0) {
+    // One link can be a genuine reference, more than that is typical for spam
+    add(links === 1 ? 1 : links * 2, `${links} link${links === 1 ? '' : 's'}`);
+  }
+  if (/<a\s|\[url=/i.test(text)) {
+    add(3, 'HTML or BBCode link markup');
+  }
+  if (/https?:\/\/|www\./i.test(String(name || ''))) {
+    add(3, 'link in name');
+  }
+
+  const keywords = KEYWORD_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([keyword]) => keyword);
+  if (keywords.length > 0) {
+    add(keywords.length * 2, `spam keywords: ${keywords.join(', ')}`);
+  }
+
+  return { score, reasons, quarantine: score >= SPAM_THRESHOLD };
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  issueFormToken,
+  isHoneypotFilled,
+  checkRateLimit,
+  scoreMessage
+};
@@ -0,0 +1,154 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Range operators accepted in spec.<key>[<op>]=<number> query parameters
+const RANGE_OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const specError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Normalize a specification key the way filters refer to it,
+ * e.g. 'Water Resistance' -> 'water_resistance', 'Case Diameter (mm)' -> 'case_diameter_mm'
+ */
+const normalizeSpecKey = (key) =>
+  String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// SQL equivalent of normalizeSpecKey for a key column
+const specKeySql = (column) =>
+  `trim(both '_' from regexp_replace(lower(${column}), '[^a-z0-9]+', '_', 'g'))`;
+
+// SQL extracting the leading number of a value such as '42mm' or '5 ATM' (NULL if there is none)
+const specNumberSql = (column) =>
+  `substring(${column} from '-?[0-9]+(?:[.][0-9]+)?')::numeric`;
+
+// SQL expanding the specifications object of a products row into (key, value) rows
+const specEntriesSql = (alias) =>
+  `jsonb_each_text(CASE WHEN jsonb_typeof(${alias}."specifications") = 'object' ` +
+  `THEN ${alias}."specifications" ELSE '{}'::jsonb END)`;
+
+/**
+ * Parse spec filters from query parameters:
+ *   spec.movement=quartz                 - value equals (case-insensitive)
+ *   spec.movement=quartz,digital         - value equals any of the list
+ *   spec.case_diameter_mm[gte]=40        - numeric range, operators gt, gte, lt, lte
+ * Returns [{ key, values, ranges: [{ operator, value }] }]
+ */
+const parseSpecFilters = (query) => {
+  const filters = [];
+
+  Object.entries(query).forEach(([param, raw]) => {
+    if (!param.startsWith('spec.')) {
+      return;
+    }
+
+    const key = normalizeSpecKey(param.slice('spec.'.length));
+    if (!key) {
+      throw specError(`Invalid specification filter: ${param}`);
+    }
+
+    const filter = { key, values: [], ranges: [] };
+
+    if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) {
+      Object.entries(raw).forEach(([operator, value]) => {
+        const number = parseFloat(value);
+        if (!RANGE_OPERATORS[operator] || !Number.isFinite(number)) {
+          throw specError(`Invalid range filter for specification ${key}`);
+        }
+        filter.ranges.push({ operator, value: number });
+      });
+    } else {
+      [].concat(raw)
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(value => value !== '')
+        .forEach(value => filter.values.push(value.toLowerCase()));
+    }
+
+    if (filter.values.length > 0 || filter.ranges.length > 0) {
+      filters.push(filter);
+    }
+  });
+
+  return filters;
+};
+
+/**
+ * SQL condition that is true when a product matches one spec filter
+ */
+const specFilterSql = (filter, alias = '"Product"') => {
+  const checks = [`${specKeySql('s.key')} = ${sequelize.escape(filter.key)}`];
+
+  if (filter.values.length > 0) {
+    checks.push(`lower(s.value) IN (${filter.values.map(value => sequelize.escape(value)).join(', ')})`);
+  }
+
+  filter.ranges.forEach(({ operator, value }) => {
+    // Infinity and NaN have no SQL literal
+    if (!RANGE_OPERATORS[operator] || !Number.isFinite(Number(value))) {
+      throw specError(`Invalid range filter for specification ${filter.key}`);
+    }
+    checks.push(`${specNumberSql('s.value')} ${RANGE_OPERATORS[operator]} ${Number(value)}`);
+  });
+
+  return `EXISTS (SELECT 1 FROM ${specEntriesSql(alias)} AS s WHERE ${checks.join(' AND ')})`;
+};
+
+/**
+ * List the specification keys used by the products of a category with their distinct values.
+ * Keys whose values are all numeric also get their min and max, for range sliders.
+ */
+const getSpecFacets = async (categoryId) => {
+  const rows = await sequelize.query(
+    `SELECT ${specKeySql('s.key')} AS key, MIN(s.key) AS label, s.value, COUNT(*)::int AS count,
+            ${specNumberSql('s.value')} AS number
+       FROM products p
+       CROSS JOIN LATERAL ${specEntriesSql('p')} AS s
+      WHERE p.category_id = :categoryId
+      GROUP BY 1, s.value
+      ORDER BY 1 ASC, number ASC NULLS LAST, s.value ASC`,
+    { replacements: { categoryId }, type: QueryTypes.SELECT }
+  );
+
+  const facets = new Map();
+  rows.forEach(row => {
+    if (!row.key) {
+      return;
+    }
+    if (!facets.has(row.key)) {
+      facets.set(row.key, { key: row.key, label: row.label, values: [], numbers: [] });
+    }
+    const facet = facets.get(row.key);
+    facet.values.push({ value: row.value, count: row.count });
+    facet.numbers.push(row.number === null ? null : parseFloat(row.number));
+  });
+
+  return [...facets.values()].map(({ numbers, ...facet }) => {
+    const numeric = numbers.every(number => number !== null);
+    return {
+      ...facet,
+      numeric,
+      min: numeric ? Math.min(...numbers) : null,
+      max: numeric ? Math.max(...numbers) : null
+    };
+  });
+};
+
+module.exports = {
+  normalizeSpecKey,
+  specEntriesSql,
+  parseSpecFilters,
+  specFilterSql,
+  getSpecFacets
+};
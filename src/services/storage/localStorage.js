@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Storage adapter that keeps files on the local disk below `root`, served by
+ * express.static under `baseUrl`. Only suitable for a single app instance, or
+ * instances sharing the same volume.
+ *
+ * `root` also holds files the app doesn't manage (e.g. public/images), so only keys
+ * below one of `prefixes` are ever removed or recognized in URLs.
+ */
+const createLocalStorage = ({ root, baseUrl = '', prefixes = ['uploads/'] }) => {
+  const rootDir = path.resolve(root);
+  const urlPrefix = `${baseUrl.replace(/\/+$/, '')}/`;
+
+  /**
+   * Whether a key lies below one of the managed prefixes
+   */
+  const isManaged = (key) => prefixes.some(prefix => key.startsWith(prefix));
+
+  /**
+   * Absolute path of a key, refusing keys that would escape the root directory
+   */
+  const filePath = (key) => {
+    const resolved = path.resolve(rootDir, key);
+    if (!resolved.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const url = (key) => `${urlPrefix}${key}`;
+
+  return {
+    name: 'local',
+
+    url,
+
+    /**
+     * Where a key is stored; two adapters giving the same location share the file
+     */
+    location: (key) => `file://${filePath(key)}`,
+
+    async put(key, buffer) {
+      const destination = filePath(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.writeFile(destination, buffer);
+      return url(key);
+    },
+
+    /**
+     * Contents of a file, or null when it doesn't exist
+     */
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      if (!isManaged(key)) {
+        throw new Error(`Not a managed storage key: ${key}`);
+      }
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (err) {
+        // Already gone
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+
+    /**
+     * Files below a key prefix: [{ key, size, last_modified }]
+     */
+    async list(prefix) {
+      const files = [];
+      const walk = async (directory) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') {
+            return;
+          }
+          throw err;
+        }
+        for (const entry of entries) {
+          const entryPath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(entryPath);
+            files.push({
+              key: path.relative(rootDir, entryPath).split(path.sep).join('/'),
+              size: stats.size,
+              last_modified: stats.mtime
+            });
+          }
+        }
+      };
+      await walk(filePath(prefix));
+      return files;
+    },
+
+    keyFromUrl(fileUrl) {
+      if (typeof fileUrl !== 'string' || !fileUrl.startsWith(urlPrefix)) {
+        return null;
+      }
+      const key = decodeURIComponent(fileUrl.slice(urlPrefix.length).split(/[?#]/)[0]);
+      return key && isManaged(key) && !key.split('/').includes('..') ? key : null;
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
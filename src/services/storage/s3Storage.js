@@ -0,0 +1,119 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage adapter for Amazon S3 and S3-compatible services (MinIO, R2, ...).
+ * `endpoint` and `forcePathStyle` point it at a non-AWS service; `publicUrl` is
+ * the base URL files are served from (bucket URL or CDN). `cacheControl` is stored
+ * with every object.
+ */
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  acl,
+  // File names are never reused, so they can be cached forever
+  cacheControl = 'public, max-age=31536000, immutable'
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Default public URL matches the addressing style the client uses
+  const defaultUrl = endpoint
+    ? (forcePathStyle ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : endpoint.replace('://', `://${bucket}.`))
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const urlPrefix = `${(publicUrl || defaultUrl).replace(/\/+$/, '')}/`;
+
+  const url = (key) => `${urlPrefix}${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  return {
+    name: 's3',
+
+    client,
+
+    url,
+
+    /**
+     * Where a key is stored; two adapters giving the same location share the object
+     */
+    location: (key) => `s3://${endpoint || region}/${bucket}/${key}`,
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+        ACL: acl || undefined
+      }));
+      return url(key);
+    },
+
+    /**
+     * Contents of an object, or null when it doesn't exist
+     */
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      // Deleting a missing object is not an error in S3
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    /**
+     * Objects below a key prefix: [{ key, size, last_modified }]
+     */
+    async list(prefix) {
+      const files = [];
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix.replace(/\/*$/, '/'),
+          ContinuationToken: continuationToken
+        }));
+        (page.Contents || []).forEach(object => {
+          files.push({ key: object.Key, size: object.Size, last_modified: object.LastModified });
+        });
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    },
+
+    keyFromUrl(fileUrl) {
+      if (typeof fileUrl !== 'string' || !fileUrl.startsWith(urlPrefix)) {
+        return null;
+      }
+      return decodeURIComponent(fileUrl.slice(urlPrefix.length).split(/[?#]/)[0]) || null;
+    }
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,130 @@
+const { ProductTranslation, CategoryTranslation } = require('../models');
+
+// Locales the catalog can be shown in; content of the default locale lives on the products and categories
+const SUPPORTED_LOCALES = ['en', 'zh'];
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Translatable fields per model
+const PRODUCT_FIELDS = ['name', 'description', 'features'];
+const CATEGORY_FIELDS = ['name', 'description'];
+
+/**
+ * Map a language tag such as "zh-CN" or "EN_us" to a supported locale, or null
+ */
+const matchLocale = (tag) => {
+  const language = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Pick the best supported locale from an Accept-Language header, honouring q-values
+ */
+const parseAcceptLanguage = (header) => {
+  const candidates = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: matchLocale(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(candidate => candidate.locale && candidate.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return candidates.length > 0 ? candidates[0].locale : null;
+};
+
+/**
+ * Locale of a request: ?lang= wins over Accept-Language, falling back to the default locale
+ */
+const resolveLocale = (req) =>
+  matchLocale(req.query.lang) || parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+
+/**
+ * Overlay the non-empty translated fields onto plain values
+ */
+const applyTranslation = (values, translation, fields) => {
+  if (!translation) {
+    return values;
+  }
+  const translated = { ...values };
+  fields.forEach(field => {
+    if (translation[field]) {
+      translated[field] = translation[field];
+    }
+  });
+  return translated;
+};
+
+/**
+ * Load translations of one model for the given ids in a locale, keyed by owner id
+ */
+const loadTranslations = async (Model, foreignKey, ids, locale) => {
+  const translations = new Map();
+  if (ids.length === 0 || locale === DEFAULT_LOCALE) {
+    return translations;
+  }
+
+  const rows = await Model.findAll({ where: { [foreignKey]: ids, locale } });
+  rows.forEach(row => translations.set(row[foreignKey], row));
+
+  return translations;
+};
+
+const toValues = (record) => (typeof record.toJSON === 'function' ? record.toJSON() : record);
+
+/**
+ * Translate categories (model instances or plain objects) into a locale
+ */
+const translateCategories = async (categories, locale) => {
+  const values = categories.map(toValues);
+  const translations = await loadTranslations(
+    CategoryTranslation, 'category_id', values.map(category => category.id), locale
+  );
+
+  return values.map(category => ({
+    ...applyTranslation(category, translations.get(category.id), CATEGORY_FIELDS),
+    locale
+  }));
+};
+
+/**
+ * Translate products (model instances or plain objects) and their included category into a locale
+ */
+const translateProducts = async (products, locale) => {
+  const values = products.map(toValues);
+  const translations = await loadTranslations(
+    ProductTranslation, 'product_id', values.map(product => product.id), locale
+  );
+  const categoryIds = [...new Set(values.filter(product => product.category).map(product => product.category.id))];
+  const categoryTranslations = await loadTranslations(CategoryTranslation, 'category_id', categoryIds, locale);
+
+  return values.map(product => {
+    const translated = applyTranslation(product, translations.get(product.id), PRODUCT_FIELDS);
+    if (product.category) {
+      translated.category = applyTranslation(
+        product.category, categoryTranslations.get(product.category.id), CATEGORY_FIELDS
+      );
+    }
+    translated.locale = locale;
+    return translated;
+  });
+};
+
+/**
+ * List the fields of a record that have content but no translation
+ */
+const missingFields = (record, translation, fields) =>
+  fields.filter(field => record[field] && !(translation && translation[field]));
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  PRODUCT_FIELDS,
+  CATEGORY_FIELDS,
+  matchLocale,
+  resolveLocale,
+  translateCategories,
+  translateProducts,
+  missingFields
+};
@@ -0,0 +1,96 @@
+const { ProductVariant, ProductImage } = require('../models');
+const { getVariantStockLevels } = require('./inventoryService');
+const { getUnitPrice } = require('./cartService');
+
+/**
+ * Normalize variant options: trimmed, lower case snake_case axis names with string values
+ */
+const normalizeOptions = (options) => {
+  const normalized = {};
+  Object.entries(options || {}).forEach(([axis, value]) => {
+    const key = String(axis).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (key && value !== null && value !== undefined && String(value).trim() !== '') {
+      normalized[key] = String(value).trim();
+    }
+  });
+  return normalized;
+};
+
+/**
+ * Check whether two option sets describe the same variant
+ */
+const sameOptions = (a, b) => {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => a[key] === b[key]);
+};
+
+/**
+ * Build the variant matrix for a product, used by the detail page to swap images and price:
+ *   axes     - option axes with their values in display order, e.g. [{ name: 'color', values: ['Black', 'Red'] }]
+ *   variants - active variants with their effective price, stock state and images
+ */
+const buildVariantMatrix = async (product) => {
+  const variants = await ProductVariant.findAll({
+    where: { product_id: product.id, is_active: true },
+    order: [['display_order', 'ASC'], ['id', 'ASC']]
+  });
+
+  if (variants.length === 0) {
+    return { axes: [], variants: [] };
+  }
+
+  const images = await ProductImage.findAll({
+    where: { product_id: product.id },
+    attributes: ProductImage.PUBLIC_ATTRIBUTES,
+    order: [['display_order', 'ASC'], ['id', 'ASC']]
+  });
+
+  const levels = product.track_inventory
+    ? await getVariantStockLevels(variants.map(variant => variant.id))
+    : null;
+
+  // Collect axes and values in the order they first appear
+  const axes = new Map();
+  variants.forEach(variant => {
+    Object.entries(variant.options).forEach(([axis, value]) => {
+      if (!axes.has(axis)) {
+        axes.set(axis, []);
+      }
+      if (!axes.get(axis).includes(value)) {
+        axes.get(axis).push(value);
+      }
+    });
+  });
+
+  return {
+    axes: [...axes].map(([name, values]) => ({ name, values })),
+    variants: variants.map(variant => {
+      const price = getUnitPrice(product, variant);
+      return {
+        id: variant.id,
+        sku: variant.sku,
+        name: variant.name,
+        options: variant.options,
+        price: price === null ? null : price.toFixed(2),
+        has_price_override: variant.price !== null,
+        in_stock: levels ? levels.get(variant.id).available > 0 : true,
+        images: images
+          .filter(image => image.variant_id === variant.id)
+          .map(image => ({
+            id: image.id,
+            image_url: image.image_url,
+            sizes: image.sizes,
+            srcset: image.srcset,
+            is_primary: image.is_primary
+          }))
+      };
+    })
+  };
+};
+
+module.exports = {
+  normalizeOptions,
+  sameOptions,
+  buildVariantMatrix
+};
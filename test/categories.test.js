@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('category hierarchy', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  let men;
+  let digital;
+  let sport;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    token = tokenFor(await createUser({ is_admin: true }));
+
+    // Men > Digital > Sport
+    men = await createCategory('Men');
+    digital = await createCategory('Digital', men.id);
+    sport = await createCategory('Sport', digital.id);
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const createCategory = async (name, parentId = null) => {
+    const id = uniqueId();
+    const res = await request(app.baseUrl, 'POST', '/api/categories', {
+      token,
+      body: { name: `${name} ${id}`, slug: `test-${name.toLowerCase()}-${id}`, parent_id: parentId }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body.category;
+  };
+
+  const moveCategory = (category, parentId) => request(app.baseUrl, 'PUT', `/api/categories/${category.id}`, {
+    token,
+    body: { parent_id: parentId }
+  });
+
+  it('refuses to move a category below itself or its subcategories', async () => {
+    for (const parent of [men, digital, sport]) {
+      const res = await moveCategory(men, parent.id);
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.message, 'A category cannot be moved below itself or one of its subcategories');
+    }
+
+    const missing = await moveCategory(digital, 2147483647);
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.body.message, 'Parent category not found');
+
+    const { Category } = require('../src/models');
+    assert.strictEqual((await Category.findByPk(men.id)).parent_id, null);
+  });
+
+  it('moves a category to another branch', async () => {
+    const women = await createCategory('Women');
+    const moved = await moveCategory(sport, women.id);
+    assert.strictEqual(moved.status, 200);
+
+    const tree = await request(app.baseUrl, 'GET', '/api/categories/tree');
+    const find = (nodes, id) => nodes.find(node => node.id === id);
+    const womenNode = find(tree.body.categories, women.id);
+    assert.deepStrictEqual(womenNode.children.map(child => child.id), [sport.id]);
+    assert.deepStrictEqual(find(tree.body.categories, men.id).children.map(child => child.id), [digital.id]);
+    assert.deepStrictEqual(find(find(tree.body.categories, men.id).children, digital.id).children, []);
+
+    const detail = await request(app.baseUrl, 'GET', `/api/categories/${sport.id}`);
+    assert.deepStrictEqual(detail.body.breadcrumbs.map(crumb => crumb.id), [women.id, sport.id]);
+
+    // Back where it was
+    assert.strictEqual((await moveCategory(sport, digital.id)).status, 200);
+  });
+
+  it('lists the products of subcategories and keeps categories with children', async () => {
+    const product = await createProduct({ category_id: sport.id });
+
+    const own = await request(app.baseUrl, 'GET', `/api/categories/${men.slug}/products`);
+    assert.deepStrictEqual(own.body.products, []);
+    const all = await request(app.baseUrl, 'GET', `/api/categories/${men.slug}/products?include_descendants=true`);
+    assert.deepStrictEqual(all.body.products.map(listed => listed.id), [product.id]);
+    assert.deepStrictEqual(all.body.breadcrumbs.map(crumb => crumb.id), [men.id]);
+
+    const deleted = await request(app.baseUrl, 'DELETE', `/api/categories/${men.id}`, { token });
+    assert.strictEqual(deleted.status, 400);
+    assert.match(deleted.body.message, /^Cannot delete category with 1 subcategories/);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('product collections', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    adminToken = tokenFor(await createUser({ is_admin: true }));
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const createCollection = async (body) => {
+    const id = uniqueId();
+    const res = await request(app.baseUrl, 'POST', '/api/collections', {
+      token: adminToken,
+      body: { name: `Test Collection ${id}`, slug: `test-collection-${id}`, ...body }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body.collection;
+  };
+
+  const listProducts = (collection, token) =>
+    request(app.baseUrl, 'GET', `/api/collections/${collection.slug}/products`, { token });
+
+  const productIds = (res) => res.body.products.map(product => product.id);
+
+  it('shows collections only while they are scheduled and active', async () => {
+    const { Collection } = require('../src/models');
+    const { liveWhere } = require('../src/services/collectionService');
+    const now = Date.now();
+
+    const live = await createCollection({ starts_at: new Date(now - DAY).toISOString() });
+    const upcoming = await createCollection({ starts_at: new Date(now + DAY).toISOString() });
+    const ended = await createCollection({ ends_at: new Date(now - DAY).toISOString() });
+    const inactive = await createCollection({ is_active: false });
+
+    assert.strictEqual((await listProducts(live)).status, 200);
+    for (const hidden of [upcoming, ended, inactive]) {
+      assert.strictEqual((await listProducts(hidden)).status, 404);
+      assert.strictEqual((await listProducts(hidden, adminToken)).status, 200);
+    }
+
+    const listed = await request(app.baseUrl, 'GET', '/api/collections');
+    const listedIds = listed.body.collections.map(collection => collection.id);
+    assert.ok(listedIds.includes(live.id));
+    assert.ok(![upcoming.id, ended.id, inactive.id].some(id => listedIds.includes(id)));
+
+    // starts_at is inclusive, ends_at exclusive
+    const liveAt = async (date) => (await Collection.findAll({
+      where: { id: [live.id, upcoming.id, ended.id, inactive.id], ...liveWhere(date) },
+      order: [['id', 'ASC']]
+    })).map(collection => collection.id);
+    assert.deepStrictEqual(await liveAt(new Date(now + 2 * DAY)), [live.id, upcoming.id]);
+    assert.deepStrictEqual(await liveAt(new Date(now - DAY)), [live.id]);
+    assert.deepStrictEqual(await liveAt(new Date(now - 2 * DAY)), [ended.id]);
+  });
+
+  it('keeps the products of manual collections in their order', async () => {
+    const first = await createProduct();
+    const second = await createProduct();
+    const collection = await createCollection({ product_ids: [second.id, first.id] });
+
+    assert.deepStrictEqual(productIds(await listProducts(collection)), [second.id, first.id]);
+
+    const reordered = await request(app.baseUrl, 'PUT', `/api/collections/${collection.id}/products`, {
+      token: adminToken,
+      body: { product_ids: [first.id, second.id] }
+    });
+    assert.strictEqual(reordered.status, 200);
+    assert.deepStrictEqual(productIds(await listProducts(collection)), [first.id, second.id]);
+  });
+
+  it('matches rule collections on category, price and product age', async () => {
+    const { Category, Product } = require('../src/models');
+    const id = uniqueId();
+    const category = await Category.create({ name: `Test Category ${id}`, slug: `test-category-${id}` });
+    const subcategory = await Category.create({
+      name: `Test Subcategory ${id}`,
+      slug: `test-subcategory-${id}`,
+      parent_id: category.id
+    });
+
+    const cheap = await createProduct({ category_id: category.id, price: '19.90' });
+    const expensive = await createProduct({ category_id: category.id, price: '80.00' });
+    const nested = await createProduct({ category_id: subcategory.id, price: '15.00' });
+    const old = await createProduct({ category_id: category.id, price: '10.00' });
+    await Product.update({ created_at: new Date(Date.now() - 60 * DAY) }, { where: { id: old.id }, silent: true });
+    await createProduct({ price: '5.00' });
+
+    const underFifty = await createCollection({
+      type: 'rule',
+      sort: 'price-asc',
+      rules: { category: category.slug, max_price: 50 }
+    });
+    assert.deepStrictEqual(productIds(await listProducts(underFifty)), [old.id, cheap.id]);
+
+    const withSubcategories = await createCollection({
+      type: 'rule',
+      sort: 'price-asc',
+      rules: { category: category.slug, include_descendants: true, max_price: 50 }
+    });
+    assert.deepStrictEqual(productIds(await listProducts(withSubcategories)), [old.id, nested.id, cheap.id]);
+
+    const newArrivals = await createCollection({
+      type: 'rule',
+      sort: 'price-desc',
+      rules: { category: category.slug, include_descendants: true, added_within_days: 30 }
+    });
+    assert.deepStrictEqual(productIds(await listProducts(newArrivals)), [expensive.id, cheap.id, nested.id]);
+  });
+
+  it('rejects invalid rules', async () => {
+    for (const [rules, message] of [
+      [{ colour: 'red' }, 'Unknown rule: colour'],
+      [{ category: `missing-${uniqueId()}` }, /^Unknown category: /],
+      [{ min_price: 50, max_price: 10 }, 'min_price must not be greater than max_price'],
+      [{ added_within_days: 0.5 }, 'added_within_days must be a positive whole number']
+    ]) {
+      const res = await request(app.baseUrl, 'POST', '/api/collections', {
+        token: adminToken,
+        body: { name: `Test Collection ${uniqueId()}`, type: 'rule', rules }
+      });
+      assert.strictEqual(res.status, 400);
+      if (message instanceof RegExp) {
+        assert.match(res.body.message, message);
+      } else {
+        assert.strictEqual(res.body.message, message);
+      }
+    }
+  });
+});
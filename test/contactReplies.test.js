@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor
+} = require('./helpers');
+
+describe('contact message replies', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  let ContactMessage;
+  let ContactReply;
+  let EmailOutbox;
+  let kickOutbox;
+  let processOutbox;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    ({ ContactMessage, ContactReply, EmailOutbox } = require('../src/models'));
+    ({ kickOutbox, processOutbox } = require('../src/services/notificationService'));
+    token = tokenFor(await createUser({ is_admin: true }));
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const createMessage = (values = {}) => ContactMessage.create({
+    name: 'Jane Buyer',
+    email: `buyer-${uniqueId()}@example.com`,
+    subject: 'Wholesale prices',
+    message: 'What do 500 watches cost?',
+    ...values
+  });
+
+  // Send what the reply queued, whether or not the background run got to it first
+  const deliverQueued = async () => {
+    await kickOutbox();
+    await processOutbox();
+  };
+
+  it('queues replies in the outbox and threads them', async () => {
+    const message = await createMessage();
+
+    const first = await request(app.baseUrl, 'POST', `/api/contact/messages/${message.id}/replies`, {
+      token,
+      body: { body: 'About 5 USD each.' }
+    });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.reply.subject, 'Re: Wholesale prices');
+    assert.ok(first.body.reply.email_id);
+    await message.reload();
+    assert.strictEqual(message.status, 'replied');
+
+    await deliverQueued();
+    const sent = await ContactReply.findByPk(first.body.reply.id);
+    assert.strictEqual(sent.status, 'sent');
+    assert.ok(sent.mail_message_id);
+
+    const firstEmail = await EmailOutbox.findByPk(sent.email_id);
+    assert.strictEqual(firstEmail.status, 'sent');
+    assert.strictEqual(firstEmail.to_email, message.email);
+    assert.match(firstEmail.text, /About 5 USD each\.[\s\S]*> What do 500 watches cost\?/);
+
+    const second = await request(app.baseUrl, 'POST', `/api/contact/messages/${message.id}/replies`, {
+      token,
+      body: { body: 'Shipping is included.' }
+    });
+    assert.strictEqual(second.status, 201);
+    const secondEmail = await EmailOutbox.findByPk(second.body.reply.email_id);
+    assert.strictEqual(secondEmail.in_reply_to, sent.mail_message_id);
+    assert.strictEqual(secondEmail.references, sent.mail_message_id);
+    await deliverQueued();
+  });
+
+  it('refuses replies to quarantined messages', async () => {
+    const message = await createMessage({ status: 'quarantined' });
+
+    const res = await request(app.baseUrl, 'POST', `/api/contact/messages/${message.id}/replies`, {
+      token,
+      body: { body: 'Thanks!' }
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.message, 'Approve the message before replying to it');
+
+    await message.reload();
+    assert.strictEqual(message.status, 'quarantined');
+    assert.strictEqual(await ContactReply.count({ where: { message_id: message.id } }), 0);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderEmail } = require('../src/services/emailTemplates');
+
+describe('contact acknowledgement email', () => {
+  it('does not repeat anything the sender submitted', async () => {
+    const data = { name: 'Buy now', subject: 'Cheap watches', message: 'Visit http://spam.example' };
+
+    for (const locale of ['en', 'zh']) {
+      const email = await renderEmail('contact-acknowledgement', locale, data);
+      for (const value of Object.values(data)) {
+        assert.ok(!email.subject.includes(value), `${locale} subject contains "${value}"`);
+        assert.ok(!email.html.includes(value), `${locale} html contains "${value}"`);
+        assert.ok(!email.text.includes(value), `${locale} text contains "${value}"`);
+      }
+    }
+  });
+});
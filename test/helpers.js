@@ -0,0 +1,129 @@
+const { once } = require('events');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Predictable settings for the app under test; a real environment may override them
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'log';
+process.env.PAYMENT_MOCK_ENABLED = 'true';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
+
+/**
+ * Tests that need Postgres write to it, so they only run against a database whose
+ * name ends in _test (DB_NAME, DB_HOST, ... as for the app)
+ */
+const hasTestDatabase = /_test$/.test(process.env.DB_NAME || '');
+const skipWithoutDatabase = hasTestDatabase ? false : 'set DB_NAME to a *_test database to run';
+
+/**
+ * Create the tables and seed data of the test database
+ */
+const setupDatabase = async () => {
+  const { initializeDatabase } = require('../src/config/dbInit');
+  await initializeDatabase();
+};
+
+/**
+ * Close the database connections so the test process can exit
+ */
+const closeDatabase = async () => {
+  const { sequelize } = require('../src/config/database');
+  await sequelize.close();
+};
+
+/**
+ * Start the app on a free port: { baseUrl, close }
+ */
+const startApp = async () => {
+  const app = require('../src/server');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Send a JSON request to the app: { status, headers, body }
+ */
+const request = async (baseUrl, method, path, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && typeof body !== 'string' ? { 'content-type': 'application/json' } : {}),
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON, keep the text
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+};
+
+/**
+ * Unique suffix for records created by a test
+ */
+const uniqueId = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Create a user with a unique username and email
+ */
+const createUser = async (values = {}) => {
+  const { User } = require('../src/models');
+  const id = uniqueId();
+  return User.create({
+    username: `test-${id}`,
+    email: `test-${id}@example.com`,
+    password: 'password123',
+    ...values
+  });
+};
+
+/**
+ * Bearer token for a user, as issued on login
+ */
+const tokenFor = (user) => jwt.sign({
+  user: {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    is_admin: user.is_admin,
+    role: user.role
+  }
+}, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+/**
+ * Create a product with a unique name and model number
+ */
+const createProduct = async (values = {}) => {
+  const { Product } = require('../src/models');
+  const id = uniqueId();
+  return Product.create({
+    name: `Test Watch ${id}`,
+    model_number: `T-${id}`,
+    price: '49.90',
+    ...values
+  });
+};
+
+module.exports = {
+  hasTestDatabase,
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+};
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('stock reservations', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    adminToken = tokenFor(await createUser({ is_admin: true }));
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const shipping = {
+    shipping_name: 'Test Buyer',
+    shipping_address: '1 Test Street',
+    shipping_city: 'Testville',
+    shipping_country: 'NL'
+  };
+
+  /**
+   * A tracked product with the given quantity received into the warehouse
+   */
+  const createStockedProduct = async (quantity) => {
+    const product = await createProduct({ track_inventory: true });
+    const received = await request(app.baseUrl, 'POST', `/api/inventory/products/${product.id}/receipts`, {
+      token: adminToken,
+      body: { quantity }
+    });
+    assert.strictEqual(received.status, 201);
+    return product;
+  };
+
+  const getStock = async (product) => {
+    const res = await request(app.baseUrl, 'GET', `/api/inventory/products/${product.id}`, { token: adminToken });
+    const { on_hand, reserved, available } = res.body.stock;
+    return { on_hand, reserved, available };
+  };
+
+  /**
+   * Check out `quantity` units as a new customer: { status, body, token }
+   */
+  const checkout = async (product, quantity) => {
+    const token = tokenFor(await createUser());
+    await request(app.baseUrl, 'POST', '/api/cart/items', {
+      token,
+      body: { product_id: product.id, quantity }
+    });
+    const placed = await request(app.baseUrl, 'POST', '/api/orders', { token, body: shipping });
+    return { ...placed, token };
+  };
+
+  it('reserves stock for orders and releases it when they are cancelled', async () => {
+    const product = await createStockedProduct(5);
+
+    const first = await checkout(product, 3);
+    assert.strictEqual(first.status, 201);
+    assert.deepStrictEqual(await getStock(product), { on_hand: 5, reserved: 3, available: 2 });
+
+    const second = await checkout(product, 3);
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.body.message, `Only 2 of ${product.name} left in stock`);
+
+    const cancelled = await request(app.baseUrl, 'POST', `/api/orders/${first.body.order.id}/cancel`, {
+      token: first.token
+    });
+    assert.strictEqual(cancelled.status, 200);
+    assert.deepStrictEqual(await getStock(product), { on_hand: 5, reserved: 0, available: 5 });
+
+    const retried = await checkout(product, 3);
+    assert.strictEqual(retried.status, 201);
+  });
+
+  it('turns reservations into sales when an order is paid and restocks cancelled sales', async () => {
+    const product = await createStockedProduct(4);
+    const { body } = await checkout(product, 4);
+
+    const outOfStock = await request(app.baseUrl, 'GET', `/api/products?in_stock=false&sort=name-asc&search=${product.model_number}`);
+    assert.ok(outOfStock.body.products.some(listed => listed.id === product.id));
+
+    const paid = await request(app.baseUrl, 'PUT', `/api/orders/${body.order.id}/status`, {
+      token: adminToken,
+      body: { status: 'paid' }
+    });
+    assert.strictEqual(paid.status, 200);
+    assert.deepStrictEqual(await getStock(product), { on_hand: 0, reserved: 0, available: 0 });
+
+    const cancelled = await request(app.baseUrl, 'PUT', `/api/orders/${body.order.id}/status`, {
+      token: adminToken,
+      body: { status: 'cancelled' }
+    });
+    assert.strictEqual(cancelled.status, 200);
+    assert.deepStrictEqual(await getStock(product), { on_hand: 4, reserved: 0, available: 4 });
+  });
+});
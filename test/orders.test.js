@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('cart and checkout', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const shipping = {
+    shipping_name: 'Test Buyer',
+    shipping_address: '1 Test Street',
+    shipping_city: 'Testville',
+    shipping_country: 'NL'
+  };
+
+  const addToCart = async (product, quantity, options) => {
+    const added = await request(app.baseUrl, 'POST', '/api/cart/items', {
+      ...options,
+      body: { product_id: product.id, quantity }
+    });
+    assert.strictEqual(added.status, 201);
+    return added;
+  };
+
+  it('totals the cart and snapshots it into the order', async () => {
+    const token = tokenFor(await createUser());
+    const watch = await createProduct({ price: '19.99' });
+    const strap = await createProduct({ price: '5.05' });
+
+    await addToCart(watch, 2, { token });
+    await addToCart(watch, 1, { token });
+    await addToCart(strap, 1, { token });
+
+    const cart = await request(app.baseUrl, 'GET', '/api/cart', { token });
+    assert.strictEqual(cart.body.cart.item_count, 4);
+    assert.strictEqual(cart.body.cart.subtotal, '65.02');
+    assert.strictEqual(cart.body.cart.purchasable, true);
+    assert.deepStrictEqual(
+      cart.body.cart.items.map(item => [item.product_id, item.quantity, item.unit_price, item.line_total]),
+      [[watch.id, 3, '19.99', '59.97'], [strap.id, 1, '5.05', '5.05']]
+    );
+
+    const placed = await request(app.baseUrl, 'POST', '/api/orders', { token, body: shipping });
+    assert.strictEqual(placed.status, 201);
+    const { order } = placed.body;
+    assert.strictEqual(order.status, 'pending');
+    assert.strictEqual(order.subtotal, '65.02');
+    assert.strictEqual(order.total, '65.02');
+
+    // Later catalog changes don't touch the order
+    const name = watch.name;
+    await watch.update({ name: 'Renamed Watch', price: '99.00' });
+    const fetched = await request(app.baseUrl, 'GET', `/api/orders/${order.id}`, { token });
+    const item = fetched.body.order.items.find(orderItem => orderItem.product_id === watch.id);
+    assert.strictEqual(item.product_name, name);
+    assert.strictEqual(item.model_number, watch.model_number);
+    assert.strictEqual(item.unit_price, '19.99');
+    assert.strictEqual(item.quantity, 3);
+    assert.strictEqual(item.line_total, '59.97');
+
+    const emptied = await request(app.baseUrl, 'GET', '/api/cart', { token });
+    assert.deepStrictEqual(emptied.body.cart.items, []);
+    const again = await request(app.baseUrl, 'POST', '/api/orders', { token, body: shipping });
+    assert.strictEqual(again.status, 400);
+  });
+
+  it('refuses to check out products without a price', async () => {
+    const token = tokenFor(await createUser());
+    await addToCart(await createProduct({ price: null }), 1, { token });
+
+    const cart = await request(app.baseUrl, 'GET', '/api/cart', { token });
+    assert.strictEqual(cart.body.cart.purchasable, false);
+
+    const placed = await request(app.baseUrl, 'POST', '/api/orders', { token, body: shipping });
+    assert.strictEqual(placed.status, 400);
+  });
+
+  it('merges the guest cart into the account cart on login', async () => {
+    const user = await createUser();
+    const token = tokenFor(user);
+    const product = await createProduct({ price: '10.00' });
+    await addToCart(product, 1, { token });
+
+    const guest = await addToCart(product, 2);
+    const cookie = guest.headers.get('set-cookie').split(';')[0];
+
+    const login = await request(app.baseUrl, 'POST', '/api/auth/login', {
+      body: { username: user.username, password: 'password123' },
+      headers: { cookie }
+    });
+    assert.strictEqual(login.status, 200);
+
+    const cart = await request(app.baseUrl, 'GET', '/api/cart', { token });
+    assert.deepStrictEqual(cart.body.cart.items.map(item => item.quantity), [3]);
+    assert.strictEqual(cart.body.cart.subtotal, '30.00');
+
+    const guestCart = await request(app.baseUrl, 'GET', '/api/cart', { headers: { cookie } });
+    assert.deepStrictEqual(guestCart.body.cart.items, []);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createMockProvider } = require('../src/services/payments/mockProvider');
+
+describe('mock payment provider', () => {
+  it('is only registered when enabled', () => {
+    const registry = require.resolve('../src/services/payments');
+    const load = (enabled) => {
+      delete require.cache[registry];
+      process.env.PAYMENT_MOCK_ENABLED = enabled;
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+      return require(registry);
+    };
+
+    try {
+      assert.strictEqual(load('').getProvider('mock'), null);
+      assert.ok(load('true').getProvider('mock'));
+    } finally {
+      delete require.cache[registry];
+      delete process.env.PAYMENT_MOCK_ENABLED;
+      delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    }
+  });
+
+  it('refuses to start without a webhook secret', () => {
+    assert.throws(() => createMockProvider(), /MOCK_PAYMENT_WEBHOOK_SECRET/);
+
+    const provider = createMockProvider({ webhookSecret: 'secret' });
+    const signed = provider.signWebhook({ id: 'evt_1', type: 'payment.succeeded', data: {} });
+    assert.ok(provider.verifyWebhook(signed.body, signed.headers));
+    assert.strictEqual(createMockProvider({ webhookSecret: 'other' }).verifyWebhook(signed.body, signed.headers), null);
+  });
+});
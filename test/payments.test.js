@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('checkout with the mock payment provider', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let token;
+  let product;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    token = tokenFor(await createUser());
+    product = await createProduct({ price: '25.00' });
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const shipping = {
+    shipping_name: 'Test Buyer',
+    shipping_address: '1 Test Street',
+    shipping_city: 'Testville',
+    shipping_country: 'NL'
+  };
+
+  /**
+   * Put the product in the cart and check out: the created order
+   */
+  const checkout = async () => {
+    const added = await request(app.baseUrl, 'POST', '/api/cart/items', {
+      token,
+      body: { product_id: product.id, quantity: 2 }
+    });
+    assert.strictEqual(added.status, 201);
+
+    const placed = await request(app.baseUrl, 'POST', '/api/orders', { token, body: shipping });
+    assert.strictEqual(placed.status, 201);
+    assert.strictEqual(placed.body.order.status, 'pending');
+    assert.strictEqual(placed.body.order.total, '50.00');
+    return placed.body.order;
+  };
+
+  /**
+   * Start a mock payment for an order: the created payment
+   */
+  const startPayment = async (order) => {
+    const started = await request(app.baseUrl, 'POST', '/api/payments/intents', {
+      token,
+      body: { order_id: order.id, provider: 'mock' }
+    });
+    assert.strictEqual(started.status, 201);
+    return started.body.payment;
+  };
+
+  /**
+   * Post a signed mock webhook event
+   */
+  const sendWebhook = async (type, data) => {
+    const { getProvider } = require('../src/services/payments');
+    const signed = getProvider('mock').signWebhook({ id: `evt_${uniqueId()}`, type, data });
+    return request(app.baseUrl, 'POST', '/api/payments/webhooks/mock', signed);
+  };
+
+  it('captures the payment, marks the order paid and applies refund webhooks once', async () => {
+    const order = await checkout();
+    const payment = await startPayment(order);
+
+    const captured = await request(app.baseUrl, 'POST', `/api/payments/${payment.id}/capture`, {
+      token,
+      body: { payment_method: 'mock_card' }
+    });
+    assert.strictEqual(captured.status, 200);
+    assert.strictEqual(captured.body.payment.status, 'succeeded');
+
+    const paidOrder = await request(app.baseUrl, 'GET', `/api/orders/${order.id}`, { token });
+    assert.strictEqual(paidOrder.body.order.status, 'paid');
+
+    // The provider confirms the capture later; applying it again changes nothing
+    const confirmed = await sendWebhook('payment.succeeded', { payment_id: payment.provider_payment_id });
+    assert.strictEqual(confirmed.status, 200);
+
+    const refunded = await sendWebhook('refund.succeeded', {
+      payment_id: payment.provider_payment_id,
+      refund_id: `re_${uniqueId()}`,
+      amount: 1000
+    });
+    assert.strictEqual(refunded.status, 200);
+
+    const payments = await request(app.baseUrl, 'GET', `/api/payments/order/${order.id}`, { token });
+    const [updated] = payments.body.payments;
+    assert.strictEqual(updated.status, 'partially_refunded');
+    assert.strictEqual(updated.amount_refunded, '10.00');
+  });
+
+  it('rejects webhooks with an invalid signature', async () => {
+    const response = await request(app.baseUrl, 'POST', '/api/payments/webhooks/mock', {
+      body: { id: 'evt_forged', type: 'payment.succeeded', data: { payment_id: 'x' } },
+      headers: { 'x-mock-signature': 'forged' }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('refuses to capture a payment for a cancelled order', async () => {
+    const order = await checkout();
+    const payment = await startPayment(order);
+
+    const cancelled = await request(app.baseUrl, 'POST', `/api/orders/${order.id}/cancel`, { token });
+    assert.strictEqual(cancelled.status, 200);
+
+    const captured = await request(app.baseUrl, 'POST', `/api/payments/${payment.id}/capture`, {
+      token,
+      body: { payment_method: 'mock_card' }
+    });
+    assert.strictEqual(captured.status, 409);
+
+    const payments = await request(app.baseUrl, 'GET', `/api/payments/order/${order.id}`, { token });
+    assert.strictEqual(payments.body.payments[0].status, 'pending');
+  });
+
+  it('refunds a payment the provider captured for a cancelled order', async () => {
+    const order = await checkout();
+    const payment = await startPayment(order);
+    await request(app.baseUrl, 'POST', `/api/orders/${order.id}/cancel`, { token });
+
+    const confirmed = await sendWebhook('payment.succeeded', { payment_id: payment.provider_payment_id });
+    assert.strictEqual(confirmed.status, 200);
+
+    const payments = await request(app.baseUrl, 'GET', `/api/payments/order/${order.id}`, { token });
+    const [voided] = payments.body.payments;
+    assert.strictEqual(voided.status, 'refunded');
+    assert.strictEqual(voided.amount_refunded, '50.00');
+
+    const cancelledOrder = await request(app.baseUrl, 'GET', `/api/orders/${order.id}`, { token });
+    assert.strictEqual(cancelledOrder.body.order.status, 'cancelled');
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('deleting product images', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let adminToken;
+  // A site file below public/images, like the shared placeholder image
+  const siteFile = path.join(__dirname, '../public/images', `test-${uniqueId()}.jpg`);
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    adminToken = tokenFor(await createUser({ role: 'admin' }));
+    await fs.promises.writeFile(siteFile, 'site image');
+  });
+
+  after(async () => {
+    await fs.promises.rm(siteFile, { force: true });
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  it('keeps site files that an image URL points at', async () => {
+    const { ProductImage } = require('../src/models');
+    const product = await createProduct();
+    const image = await ProductImage.create({
+      product_id: product.id,
+      image_url: `/images/${path.basename(siteFile)}`,
+      is_primary: true
+    });
+
+    const response = await request(app.baseUrl, 'DELETE', `/api/products/${product.id}/images/${image.id}`, {
+      token: adminToken
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.images, []);
+    assert.strictEqual(await fs.promises.readFile(siteFile, 'utf8'), 'site image');
+  });
+});
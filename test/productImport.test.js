@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const AdmZip = require('adm-zip');
+const { skipWithoutDatabase, setupDatabase, closeDatabase, uniqueId } = require('./helpers');
+
+describe('product import images', { skip: skipWithoutDatabase }, () => {
+  let importProducts;
+  let category;
+  let server;
+  let requests = 0;
+  let imageUrl;
+
+  before(async () => {
+    await setupDatabase();
+    ({ importProducts } = require('../src/services/productImportService'));
+
+    const { Category } = require('../src/models');
+    const id = uniqueId();
+    category = await Category.create({ name: `Test Category ${id}`, slug: `test-category-${id}` });
+
+    // An image server on this host, which imports must not reach
+    server = http.createServer((req, res) => {
+      requests++;
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.from('not really a png'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    imageUrl = `http://127.0.0.1:${server.address().port}/image.png`;
+  });
+
+  after(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    await closeDatabase();
+  });
+
+  const csvFile = (images) => ({
+    originalname: 'products.csv',
+    buffer: Buffer.from(
+      'model_number,name,category,price,description,images\n' +
+      `IMP-${uniqueId()},Import Watch,${category.slug},19.90,Imported,${images}\n`
+    )
+  });
+
+  const zipFile = (files) => {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, buffer]) => zip.addFile(name, buffer));
+    return { originalname: 'images.zip', buffer: zip.toBuffer() };
+  };
+
+  it('refuses to download images from private addresses', async () => {
+    for (const url of [imageUrl, `http://localhost:${server.address().port}/image.png`]) {
+      const report = await importProducts({ file: csvFile(url) });
+      assert.strictEqual(report.imported, false);
+      assert.deepStrictEqual(report.rows[0].errors, [`${url}: Images cannot be downloaded from private addresses`]);
+    }
+    assert.strictEqual(requests, 0);
+  });
+
+  it('rejects zip images larger than the image limit', async () => {
+    // Zeros compress to a few kilobytes
+    const report = await importProducts({
+      file: csvFile('big.jpg'),
+      zip: zipFile({ 'big.jpg': Buffer.alloc(6 * 1024 * 1024) })
+    });
+    assert.strictEqual(report.imported, false);
+    assert.deepStrictEqual(report.rows[0].errors, ['big.jpg: Image is larger than 5MB']);
+  });
+
+  it('rejects zip files with too many entries', async () => {
+    const files = {};
+    for (let i = 0; i <= 500; i++) {
+      files[`image-${i}.jpg`] = Buffer.from('x');
+    }
+    await assert.rejects(
+      importProducts({ file: csvFile('image-0.jpg'), zip: zipFile(files) }),
+      { status: 400, message: 'A zip file can have at most 500 files' }
+    );
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('product listing', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  describe('price filters', () => {
+    let category;
+    let cheap;
+    let mid;
+    let expensive;
+    let onRequest;
+
+    before(async () => {
+      const { Category } = require('../src/models');
+      const id = uniqueId();
+      category = await Category.create({ name: `Test Category ${id}`, slug: `test-category-${id}` });
+
+      cheap = await createProduct({ category_id: category.id, price: '19.90' });
+      mid = await createProduct({ category_id: category.id, price: '35.00' });
+      expensive = await createProduct({ category_id: category.id, price: '120.00' });
+      onRequest = await createProduct({ category_id: category.id, price: null });
+    });
+
+    const list = (query) => request(app.baseUrl, 'GET', `/api/products?category=${category.slug}&${query}`);
+    const ids = (res) => res.body.products.map(product => product.id);
+    const bounds = (res) => ({
+      min: Number(res.body.price_range.min),
+      max: Number(res.body.price_range.max),
+      price_on_request: res.body.price_range.price_on_request
+    });
+
+    it('filters on a price range and leaves out products without a price', async () => {
+      const all = await list('sort=price-asc');
+      assert.strictEqual(all.status, 200);
+      assert.deepStrictEqual(bounds(all), { min: 19.9, max: 120, price_on_request: 1 });
+
+      const between = await list('min_price=20&max_price=100');
+      assert.deepStrictEqual(ids(between), [mid.id]);
+
+      const from = await list('min_price=20&sort=price-asc');
+      assert.deepStrictEqual(ids(from), [mid.id, expensive.id]);
+      assert.deepStrictEqual(bounds(from), { min: 35, max: 120, price_on_request: 0 });
+
+      assert.strictEqual((await list('min_price=-1')).status, 400);
+      assert.strictEqual((await list('max_price=cheap')).status, 400);
+    });
+
+    it('sorts by price with products without a price last', async () => {
+      assert.deepStrictEqual(ids(await list('sort=price-asc')), [cheap.id, mid.id, expensive.id, onRequest.id]);
+      assert.deepStrictEqual(ids(await list('sort=price-desc')), [expensive.id, mid.id, cheap.id, onRequest.id]);
+    });
+  });
+
+  describe('prices in the requested currency', () => {
+    let category;
+    let overridden;
+    let converted;
+
+    before(async () => {
+      const { Category, ExchangeRate, ProductPrice } = require('../src/models');
+      const id = uniqueId();
+      category = await Category.create({ name: `Test Category ${id}`, slug: `test-category-${id}` });
+
+      await ExchangeRate.upsert({ currency: 'EUR', rate: '0.92', updated_at: new Date() });
+
+      // 49.90 USD converts to 45.91 EUR, but the manual EUR price is 59.00
+      overridden = await createProduct({ category_id: category.id, price: '49.90' });
+      await ProductPrice.create({ product_id: overridden.id, currency: 'EUR', price: '59.00' });
+
+      // 54.35 USD converts to 50.00 EUR
+      converted = await createProduct({ category_id: category.id, price: '54.35' });
+    });
+
+    /**
+     * List the test category's products with extra query parameters, as the token's user
+     */
+    const list = (query, token) => request(app.baseUrl, 'GET', `/api/products?category=${category.slug}&${query}`, { token });
+
+    it('filters on the price shown in the requested currency', async () => {
+      const cheap = await list('currency=EUR&max_price=50');
+      assert.strictEqual(cheap.status, 200);
+      assert.deepStrictEqual(cheap.body.products.map(product => product.id), [converted.id]);
+      assert.strictEqual(cheap.body.products[0].display_price.amount, '50.00');
+
+      const expensive = await list('currency=EUR&min_price=55');
+      assert.deepStrictEqual(expensive.body.products.map(product => product.id), [overridden.id]);
+      assert.strictEqual(expensive.body.products[0].display_price.amount, '59.00');
+    });
+
+    it('sorts and bounds on the price shown in the requested currency', async () => {
+      const sorted = await list('currency=EUR&sort=price-asc');
+      assert.deepStrictEqual(sorted.body.products.map(product => product.id), [converted.id, overridden.id]);
+      assert.deepStrictEqual(
+        { min: sorted.body.price_range.min, max: sorted.body.price_range.max },
+        { min: 50, max: 59 }
+      );
+
+      const base = await list('sort=price-asc');
+      assert.deepStrictEqual(base.body.products.map(product => product.id), [overridden.id, converted.id]);
+      assert.deepStrictEqual(
+        { min: base.body.price_range.min, max: base.body.price_range.max },
+        { min: 49.9, max: 54.35 }
+      );
+    });
+
+    it('filters, sorts and bounds on the price list price of the customer', async () => {
+      const { PriceList, PriceListEntry, CustomerGroup } = require('../src/models');
+      const id = uniqueId();
+      const priceList = await PriceList.create({ name: `Test Dealers ${id}` });
+      // 40.00 USD converts to 36.80 EUR; larger quantities don't set the listed price
+      await PriceListEntry.bulkCreate([
+        { price_list_id: priceList.id, product_id: converted.id, min_quantity: 1, price: '40.00' },
+        { price_list_id: priceList.id, product_id: converted.id, min_quantity: 10, price: '30.00' }
+      ]);
+      const group = await CustomerGroup.create({ name: `Test Dealers ${id}`, price_list_id: priceList.id });
+      const token = tokenFor(await createUser({ customer_group_id: group.id }));
+
+      const cheap = await list('currency=EUR&max_price=40', token);
+      assert.deepStrictEqual(cheap.body.products.map(product => product.id), [converted.id]);
+      assert.strictEqual(cheap.body.products[0].display_price.amount, '36.80');
+      assert.deepStrictEqual((await list('currency=EUR&max_price=40')).body.products, []);
+
+      const sorted = await list('currency=EUR&sort=price-desc', token);
+      assert.deepStrictEqual(sorted.body.products.map(product => product.id), [overridden.id, converted.id]);
+      assert.deepStrictEqual(
+        { min: sorted.body.price_range.min, max: sorted.body.price_range.max },
+        { min: 36.8, max: 59 }
+      );
+
+      const base = await list('min_price=45', token);
+      assert.deepStrictEqual(base.body.products.map(product => product.id), [overridden.id]);
+
+      // Search results are priced the same way
+      const search = (token) => request(
+        app.baseUrl,
+        'GET',
+        `/api/products/search?q=${encodeURIComponent(converted.name)}&category=${category.slug}&currency=EUR`,
+        { token }
+      );
+      const found = await search(token);
+      assert.strictEqual(found.status, 200);
+      assert.strictEqual(found.body.products.find(product => product.id === converted.id).display_price.amount, '36.80');
+      const guestFound = await search();
+      assert.strictEqual(guestFound.status, 200);
+      assert.strictEqual(guestFound.body.products.find(product => product.id === converted.id).display_price.amount, '50.00');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+const { createS3Storage } = require('../src/services/storage/s3Storage');
+const { startS3StandIn } = require('./s3StandIn');
+
+// Private files of this run, away from the app's storage/ directory
+const privateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-attachments-'));
+process.env.LOCAL_PRIVATE_STORAGE_DIR = privateDir;
+
+const publicDir = path.join(__dirname, '../public');
+
+describe('quote attachments', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let owner;
+  let product;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    owner = await createUser();
+    product = await createProduct();
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+    fs.rmSync(privateDir, { recursive: true, force: true });
+  });
+
+  const submitQuote = async (fileName, type, content) => {
+    const form = new FormData();
+    form.append('contact_name', 'Jane Buyer');
+    form.append('items', JSON.stringify([{ product_id: product.id, quantity: 100 }]));
+    form.append('attachments', new Blob([content], { type }), fileName);
+
+    const response = await fetch(`${app.baseUrl}/api/quotes`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${tokenFor(owner)}` },
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('keeps attachments private and serves them as downloads to the owner and admins', async () => {
+    const res = await submitQuote('logo.png', 'image/png', 'png bytes');
+    assert.strictEqual(res.status, 201);
+
+    const [attachment] = res.body.quote.attachments;
+    assert.strictEqual(attachment.url, `/api/quotes/${res.body.quote.id}/attachments/${attachment.id}`);
+    assert.ok(fs.existsSync(path.join(privateDir, attachment.storage_key)));
+    assert.ok(!fs.existsSync(path.join(publicDir, attachment.storage_key)));
+
+    const download = await request(app.baseUrl, 'GET', attachment.url, { token: tokenFor(owner) });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.body, 'png bytes');
+    assert.strictEqual(download.headers.get('content-disposition'), 'attachment; filename="logo.png"');
+    assert.strictEqual(download.headers.get('x-content-type-options'), 'nosniff');
+
+    const admin = await createUser({ is_admin: true });
+    assert.strictEqual((await request(app.baseUrl, 'GET', attachment.url, { token: tokenFor(admin) })).status, 200);
+
+    const stranger = await createUser();
+    assert.strictEqual((await request(app.baseUrl, 'GET', attachment.url, { token: tokenFor(stranger) })).status, 404);
+    assert.strictEqual((await request(app.baseUrl, 'GET', attachment.url)).status, 401);
+  });
+
+  it('rejects SVG files and mismatched file types', async () => {
+    const { QuoteAttachment } = require('../src/models');
+    const before = await QuoteAttachment.count();
+
+    const svg = await submitQuote('logo.svg', 'image/svg+xml', '<svg onload="alert(1)"/>');
+    assert.notStrictEqual(svg.status, 201);
+    const html = await submitQuote('logo.png', 'text/html', '<script>alert(1)</script>');
+    assert.notStrictEqual(html.status, 201);
+    const suffix = await submitQuote('logo.svg.pdf.svg', 'image/svg+xml', '<svg/>');
+    assert.notStrictEqual(suffix.status, 201);
+
+    assert.strictEqual(await QuoteAttachment.count(), before);
+  });
+
+  it('moves attachments stored as public files to private storage', async () => {
+    const { QuoteRequest, QuoteAttachment } = require('../src/models');
+    const { moveQuoteAttachmentsToPrivateStorage } = require('../src/services/quoteService');
+
+    const quote = await QuoteRequest.create({
+      quote_number: `Q-TEST-${uniqueId()}`,
+      user_id: owner.id,
+      contact_name: 'Jane Buyer',
+      email: owner.email
+    });
+    const key = `quote-attachments/${quote.quote_number}/artwork.pdf`;
+    const legacyDir = path.join(publicDir, 'quote-attachments');
+    const hadLegacyDir = fs.existsSync(legacyDir);
+    fs.mkdirSync(path.dirname(path.join(publicDir, key)), { recursive: true });
+    fs.writeFileSync(path.join(publicDir, key), 'pdf bytes');
+
+    try {
+      const attachment = await QuoteAttachment.create({
+        quote_request_id: quote.id,
+        file_name: 'artwork.pdf',
+        mime_type: 'application/pdf',
+        size: 9,
+        storage_key: `/${key}`
+      });
+
+      await moveQuoteAttachmentsToPrivateStorage();
+
+      await attachment.reload();
+      assert.strictEqual(attachment.storage_key, key);
+      assert.strictEqual(fs.readFileSync(path.join(privateDir, key), 'utf8'), 'pdf bytes');
+      assert.ok(!fs.existsSync(path.join(publicDir, key)));
+    } finally {
+      fs.rmSync(hadLegacyDir ? path.join(legacyDir, quote.quote_number) : legacyDir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps attachments that are already where private storage keeps them', async () => {
+    const { QuoteRequest, QuoteAttachment } = require('../src/models');
+    const { moveQuoteAttachmentsToPrivateStorage } = require('../src/services/quoteService');
+
+    // Public and private storage pointing at the same bucket
+    const standIn = await startS3StandIn();
+    const options = {
+      bucket: 'shared-bucket',
+      endpoint: standIn.endpoint,
+      forcePathStyle: true,
+      accessKeyId: 'test',
+      secretAccessKey: 'test-secret'
+    };
+    const from = createS3Storage(options);
+    const to = createS3Storage({ ...options, cacheControl: 'private, no-cache' });
+
+    try {
+      const quote = await QuoteRequest.create({
+        quote_number: `Q-TEST-${uniqueId()}`,
+        user_id: owner.id,
+        contact_name: 'Jane Buyer',
+        email: owner.email
+      });
+      const key = `quote-attachments/${quote.quote_number}/artwork.pdf`;
+      const attachment = await QuoteAttachment.create({
+        quote_request_id: quote.id,
+        file_name: 'artwork.pdf',
+        mime_type: 'application/pdf',
+        size: 9,
+        storage_key: await from.put(key, Buffer.from('pdf bytes'), { contentType: 'application/pdf' })
+      });
+
+      await moveQuoteAttachmentsToPrivateStorage({ from, to });
+
+      await attachment.reload();
+      assert.strictEqual(attachment.storage_key, key);
+      assert.deepStrictEqual(await to.get(key), Buffer.from('pdf bytes'));
+    } finally {
+      from.client.destroy();
+      to.client.destroy();
+      await standIn.close();
+    }
+  });
+});
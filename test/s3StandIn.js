@@ -0,0 +1,107 @@
+const http = require('http');
+const { once } = require('events');
+const crypto = require('crypto');
+
+/**
+ * Minimal in-memory stand-in for an S3-compatible service (like a local MinIO), enough
+ * for the storage adapter: path-style PutObject, GetObject, DeleteObject and
+ * ListObjectsV2 with pagination. Signatures are not checked.
+ */
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Start the stand-in on a free port: { endpoint, objects, close }.
+ * `pageSize` is the most keys a list response returns, small to exercise pagination.
+ */
+const startS3StandIn = async ({ pageSize = 2 } = {}) => {
+  // "bucket/key" -> { body, contentType, lastModified }
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+
+    const url = new URL(req.url, 'http://localhost');
+    const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (req.method === 'PUT' && key) {
+      objects.set(`${bucket}/${key}`, {
+        body,
+        contentType: req.headers['content-type'] || 'application/octet-stream',
+        lastModified: new Date()
+      });
+      res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+      return res.end();
+    }
+
+    if (req.method === 'DELETE' && key) {
+      objects.delete(`${bucket}/${key}`);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method === 'GET' && key) {
+      const object = objects.get(`${bucket}/${key}`);
+      if (!object) {
+        res.writeHead(404, { 'content-type': 'application/xml' });
+        return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code></Error>');
+      }
+      res.writeHead(200, { 'content-type': object.contentType, 'content-length': object.body.length });
+      return res.end(object.body);
+    }
+
+    if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const start = parseInt(url.searchParams.get('continuation-token') || '0');
+      const keys = [...objects.keys()]
+        .filter(name => name.startsWith(`${bucket}/${prefix}`))
+        .map(name => name.slice(bucket.length + 1))
+        .sort();
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+
+      const contents = page.map(name => {
+        const object = objects.get(`${bucket}/${name}`);
+        return `<Contents><Key>${escapeXml(name)}</Key>` +
+          `<LastModified>${object.lastModified.toISOString()}</LastModified>` +
+          `<Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+      }).join('');
+
+      res.writeHead(200, { 'content-type': 'application/xml' });
+      return res.end(
+        '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+        `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+        `<KeyCount>${page.length}</KeyCount><MaxKeys>${pageSize}</MaxKeys>` +
+        `<IsTruncated>${truncated}</IsTruncated>` +
+        (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+        `${contents}</ListBucketResult>`
+      );
+    }
+
+    res.writeHead(400, { 'content-type': 'application/xml' });
+    res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NotImplemented</Code></Error>');
+  });
+
+  // Clients may wait for 100 Continue before sending a body
+  server.on('checkContinue', (req, res) => {
+    res.writeContinue();
+    server.emit('request', req, res);
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startS3StandIn };
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// Forms may be submitted right away, so only the keywords count
+process.env.CONTACT_MIN_FILL_SECONDS = '0';
+const { issueFormToken, scoreMessage } = require('../src/services/spamService');
+
+describe('contact spam keywords', () => {
+  const score = (message) => scoreMessage({ name: 'Jane', subject: 'Question', message, formToken: issueFormToken() });
+
+  it('matches keywords as whole words', () => {
+    const result = score('Need a LOAN? Click here, casino bonus!');
+    assert.deepStrictEqual(result.reasons, ['spam keywords: casino, loan, click here']);
+  });
+
+  it('ignores keywords inside other words', () => {
+    const result = score('Are these watches for adulthood or kids? Our Scunthorpe office handles loans; see the cryptographic seal.');
+    assert.strictEqual(result.score, 0);
+    assert.deepStrictEqual(result.reasons, []);
+  });
+});
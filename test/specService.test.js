@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseSpecFilters, specFilterSql } = require('../src/services/specService');
+
+describe('specification filters', () => {
+  it('parses value lists and numeric ranges', () => {
+    const filters = parseSpecFilters({
+      'spec.Movement': 'Quartz,Digital',
+      'spec.case_diameter_mm': { gte: '40', lt: '45.5' },
+      page: '1'
+    });
+    assert.deepStrictEqual(filters, [
+      { key: 'movement', values: ['quartz', 'digital'], ranges: [] },
+      {
+        key: 'case_diameter_mm',
+        values: [],
+        ranges: [{ operator: 'gte', value: 40 }, { operator: 'lt', value: 45.5 }]
+      }
+    ]);
+    assert.match(specFilterSql(filters[1]), />= 40 AND .* < 45\.5\)$/);
+  });
+
+  it('rejects range values that are not finite numbers', () => {
+    for (const value of ['Infinity', '-Infinity', '1e999', 'abc']) {
+      assert.throws(
+        () => parseSpecFilters({ 'spec.case_diameter_mm': { gte: value } }),
+        { status: 400, message: 'Invalid range filter for specification case_diameter_mm' }
+      );
+    }
+    assert.throws(
+      () => specFilterSql({ key: 'case_diameter_mm', values: [], ranges: [{ operator: 'gte', value: Infinity }] }),
+      { status: 400 }
+    );
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../src/services/storage/localStorage');
+const { createS3Storage } = require('../src/services/storage/s3Storage');
+const { createStorage } = require('../src/config/storage');
+const { uniqueId } = require('./helpers');
+const { startS3StandIn } = require('./s3StandIn');
+
+/**
+ * Keys of the files below a prefix, sorted
+ */
+const listKeys = async (storage, prefix) => (await storage.list(prefix)).map(file => file.key).sort();
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage({ root, prefixes: ['uploads/', 'quote-attachments/'] });
+  });
+
+  after(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('puts, reads, lists and removes files, round-tripping keys through URLs', async () => {
+    const url = await storage.put('uploads/2025/01/a b.jpg', Buffer.from('a'));
+    await storage.put('uploads/2025/02/c.jpg', Buffer.from('cc'));
+
+    assert.strictEqual(url, '/uploads/2025/01/a b.jpg');
+    assert.strictEqual(storage.keyFromUrl(url), 'uploads/2025/01/a b.jpg');
+    assert.strictEqual(storage.keyFromUrl(`${url}?v=2`), 'uploads/2025/01/a b.jpg');
+    assert.deepStrictEqual(await listKeys(storage, 'uploads'), ['uploads/2025/01/a b.jpg', 'uploads/2025/02/c.jpg']);
+    assert.deepStrictEqual(await storage.get('uploads/2025/02/c.jpg'), Buffer.from('cc'));
+    assert.strictEqual(await storage.get('uploads/2025/02/missing.jpg'), null);
+
+    await storage.remove('uploads/2025/01/a b.jpg');
+    await storage.remove('uploads/2025/01/a b.jpg'); // already gone
+    assert.deepStrictEqual(await listKeys(storage, 'uploads'), ['uploads/2025/02/c.jpg']);
+  });
+
+  it('leaves files outside the managed prefixes alone', async () => {
+    const sitePath = path.join(root, 'images', 'placeholder.jpg');
+    await fs.promises.mkdir(path.dirname(sitePath), { recursive: true });
+    await fs.promises.writeFile(sitePath, 'site image');
+
+    assert.strictEqual(storage.keyFromUrl('/images/placeholder.jpg'), null);
+    assert.strictEqual(storage.keyFromUrl('/uploads/../images/placeholder.jpg'), null);
+    assert.strictEqual(storage.keyFromUrl('https://cdn.example.com/uploads/a.jpg'), null);
+    await assert.rejects(storage.remove('images/placeholder.jpg'));
+    assert.strictEqual(await fs.promises.readFile(sitePath, 'utf8'), 'site image');
+  });
+});
+
+describe('S3 storage', () => {
+  let standIn;
+  let storage;
+  const prefix = `uploads/test-${uniqueId()}`;
+
+  before(async () => {
+    // A real S3-compatible service (e.g. MinIO) can be used with S3_ENDPOINT and S3_BUCKET
+    let endpoint = process.env.S3_ENDPOINT;
+    if (!endpoint) {
+      standIn = await startS3StandIn();
+      endpoint = standIn.endpoint;
+    }
+
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET || 'test-bucket',
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      forcePathStyle: true,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || 'test',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || 'test-secret'
+    });
+  });
+
+  after(async () => {
+    storage.client.destroy();
+    if (standIn) {
+      await standIn.close();
+    }
+  });
+
+  it('puts, reads, lists across pages and removes objects, round-tripping keys through URLs', async () => {
+    const url = await storage.put(`${prefix}/a b.jpg`, Buffer.from('a'), { contentType: 'image/jpeg' });
+    await storage.put(`${prefix}/b.jpg`, Buffer.from('bb'), { contentType: 'image/jpeg' });
+    await storage.put(`${prefix}/c.jpg`, Buffer.from('ccc'), { contentType: 'image/jpeg' });
+
+    assert.ok(url.endsWith(`/${prefix}/a%20b.jpg`));
+    assert.strictEqual(storage.keyFromUrl(url), `${prefix}/a b.jpg`);
+    assert.strictEqual(storage.keyFromUrl('/images/placeholder.jpg'), null);
+
+    const files = await storage.list(prefix);
+    assert.deepStrictEqual(files.map(file => file.key).sort(), [`${prefix}/a b.jpg`, `${prefix}/b.jpg`, `${prefix}/c.jpg`]);
+    assert.strictEqual(files.find(file => file.key === `${prefix}/c.jpg`).size, 3);
+    assert.deepStrictEqual(await storage.get(`${prefix}/c.jpg`), Buffer.from('ccc'));
+    assert.strictEqual(await storage.get(`${prefix}/missing.jpg`), null);
+
+    await storage.remove(`${prefix}/a b.jpg`);
+    await storage.remove(`${prefix}/b.jpg`);
+    await storage.remove(`${prefix}/c.jpg`);
+    assert.deepStrictEqual(await listKeys(storage, prefix), []);
+  });
+});
+
+describe('storage configuration', () => {
+  const s3Env = { STORAGE_DRIVER: 's3', S3_BUCKET: 'site-files', S3_REGION: 'eu-west-1' };
+
+  it('keeps private files in their own S3 bucket', () => {
+    assert.throws(() => createStorage(s3Env, { isPrivate: true }), /S3_PRIVATE_BUCKET/);
+    assert.throws(() => createStorage({ ...s3Env, S3_PRIVATE_BUCKET: 'site-files' }, { isPrivate: true }), /S3_PRIVATE_BUCKET/);
+
+    const publicStorage = createStorage(s3Env);
+    const privateStorage = createStorage({ ...s3Env, S3_PRIVATE_BUCKET: 'private-files' }, { isPrivate: true });
+    try {
+      assert.notStrictEqual(privateStorage.location('quote-attachments/a.pdf'), publicStorage.location('quote-attachments/a.pdf'));
+    } finally {
+      publicStorage.client.destroy();
+      privateStorage.client.destroy();
+    }
+  });
+
+  it('keeps private files out of public/ on local disk', () => {
+    const publicStorage = createStorage({ STORAGE_DRIVER: 'local' });
+    const privateStorage = createStorage({ STORAGE_DRIVER: 'local' }, { isPrivate: true });
+    assert.notStrictEqual(privateStorage.location('quote-attachments/a.pdf'), publicStorage.location('quote-attachments/a.pdf'));
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  skipWithoutDatabase,
+  setupDatabase,
+  closeDatabase,
+  startApp,
+  request,
+  uniqueId,
+  createUser,
+  tokenFor,
+  createProduct
+} = require('./helpers');
+
+describe('product variants', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    await setupDatabase();
+    app = await startApp();
+    adminToken = tokenFor(await createUser({ is_admin: true }));
+  });
+
+  after(async () => {
+    if (app) {
+      await app.close();
+    }
+    await closeDatabase();
+  });
+
+  const createVariant = async (product, body) => {
+    const res = await request(app.baseUrl, 'POST', `/api/products/${product.id}/variants`, {
+      token: adminToken,
+      body: { sku: `SKU-${uniqueId()}`, ...body }
+    });
+    assert.strictEqual(res.status, 201);
+    return res.body.variant;
+  };
+
+  it('prices variants at their override or the product price', async () => {
+    const product = await createProduct({ price: '49.90' });
+    const red = await createVariant(product, { name: 'Red', options: { Color: 'Red' }, price: '59.00' });
+    const black = await createVariant(product, { name: 'Black', options: { Color: 'Black' } });
+
+    const detail = await request(app.baseUrl, 'GET', `/api/products/${product.id}`);
+    assert.strictEqual(detail.status, 200);
+    assert.deepStrictEqual(detail.body.variant_matrix.axes, [{ name: 'color', values: ['Red', 'Black'] }]);
+    assert.deepStrictEqual(
+      detail.body.variant_matrix.variants.map(variant => [variant.id, variant.price, variant.has_price_override]),
+      [[red.id, '59.00', true], [black.id, '49.90', false]]
+    );
+
+    const token = tokenFor(await createUser());
+    const withoutVariant = await request(app.baseUrl, 'POST', '/api/cart/items', {
+      token,
+      body: { product_id: product.id }
+    });
+    assert.strictEqual(withoutVariant.status, 400);
+
+    await request(app.baseUrl, 'POST', '/api/cart/items', {
+      token,
+      body: { product_id: product.id, variant_id: red.id, quantity: 2 }
+    });
+    const added = await request(app.baseUrl, 'POST', '/api/cart/items', {
+      token,
+      body: { product_id: product.id, variant_id: black.id }
+    });
+    assert.strictEqual(added.status, 201);
+    assert.strictEqual(added.body.cart.subtotal, '167.90');
+
+    const placed = await request(app.baseUrl, 'POST', '/api/orders', {
+      token,
+      body: {
+        shipping_name: 'Test Buyer',
+        shipping_address: '1 Test Street',
+        shipping_city: 'Testville',
+        shipping_country: 'NL'
+      }
+    });
+    assert.strictEqual(placed.status, 201);
+    assert.strictEqual(placed.body.order.total, '167.90');
+    assert.deepStrictEqual(
+      placed.body.order.items
+        .map(item => [item.variant_sku, item.variant_name, item.unit_price, item.line_total])
+        .sort((a, b) => a[1].localeCompare(b[1])),
+      [[black.sku, 'Black', '49.90', '49.90'], [red.sku, 'Red', '59.00', '118.00']]
+    );
+  });
+
+  it('falls back to the product price once the override is removed', async () => {
+    const product = await createProduct({ price: '20.00' });
+    const variant = await createVariant(product, { options: { strap: 'Steel' }, price: '25.00' });
+
+    const updated = await request(app.baseUrl, 'PUT', `/api/products/${product.id}/variants/${variant.id}`, {
+      token: adminToken,
+      body: { price: null }
+    });
+    assert.strictEqual(updated.status, 200);
+
+    const detail = await request(app.baseUrl, 'GET', `/api/products/${product.id}`);
+    const [listed] = detail.body.variant_matrix.variants;
+    assert.strictEqual(listed.price, '20.00');
+    assert.strictEqual(listed.has_price_override, false);
+  });
+});